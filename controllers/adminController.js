@@ -6,6 +6,7 @@ const Invitation = require('../models/Invitation');
 const AIChatConversation = require('../models/AIChatConversation');
 const AdminAuditLog = require('../models/AdminAuditLog');
 const { logAdminAction } = require('../middleware/adminMiddleware');
+const spaceOwnershipService = require('../services/spaceOwnershipService');
 
 // ===============================
 // AUTHENTICATION
@@ -3159,10 +3160,14 @@ exports.deleteUser = async (req, res) => {
       });
     }
 
+    // Hand their spaces over (to ?transferTo=<user id or email>, or their
+    // highest-ranked member) so they are not orphaned
+    const transferTo = await spaceOwnershipService.resolveUser((req.body || {}).transferTo || req.query.transferTo);
+    const spaces = await spaceOwnershipService.releaseSpacesOf([userId], { transferTo, wss: req.app.get('wss') });
+
     // Delete user's data
     await Promise.all([
       Card.deleteMany({ userId }),
-      Space.deleteMany({ owner: userId }),
       Invitation.deleteMany({ userId }),
       AIChatConversation.deleteMany({ userId }),
       Connection.deleteMany({ $or: [{ from: userId }, { to: userId }] })
@@ -3187,10 +3192,17 @@ exports.deleteUser = async (req, res) => {
 
     res.json({
       success: true,
-      message: 'User and all associated data deleted successfully'
+      message: 'User and all associated data deleted successfully',
+      spaces
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Delete user error:', error);
     res.status(500).json({
       success: false,
@@ -3214,6 +3226,7 @@ exports.bulkUserAction = async (req, res) => {
     let updateResult;
     let logAction;
     let message;
+    let spaces;
 
     switch (action) {
       case 'suspend':
@@ -3244,10 +3257,15 @@ exports.bulkUserAction = async (req, res) => {
         break;
 
       case 'delete':
+        // Hand their spaces over first so they are not orphaned
+        spaces = await spaceOwnershipService.releaseSpacesOf(userIds, {
+          transferTo: await spaceOwnershipService.resolveUser(req.body.transferTo),
+          wss: req.app.get('wss')
+        });
+
         // Delete users and their data
         await Promise.all([
           Card.deleteMany({ userId: { $in: userIds } }),
-          Space.deleteMany({ owner: { $in: userIds } }),
           Invitation.deleteMany({ userId: { $in: userIds } }),
           AIChatConversation.deleteMany({ userId: { $in: userIds } }),
           Connection.deleteMany({ 
@@ -3289,11 +3307,18 @@ exports.bulkUserAction = async (req, res) => {
       message,
       data: {
         affectedCount: updateResult.modifiedCount || updateResult.deletedCount,
-        totalRequested: userIds.length
+        totalRequested: userIds.length,
+        ...(spaces && { spaces })
       }
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Bulk user action error:', error);
     res.status(500).json({
       success: false,
@@ -1,5 +1,6 @@
 const AIChatConversation = require('../models/AIChatConversation');
 const aiChatService = require('../services/aiChatService');
+const cardMetadataService = require('../services/cardMetadataService');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -298,7 +299,8 @@ exports.sendMessage = async (req, res) => {
       spaceId: context.spaceId,
       limit: 10,
       searchAll: false, // Keep false for privacy, but will include public spaces now
-      conversationHistory: conversation.messages || [] // Pass conversation history for context
+      conversationHistory: conversation.messages || [], // Pass conversation history for context
+      filters: context.filters || null // e.g. { tags: ['billing'], fields: { language: 'sr' } }
     });
     
     // Generate AI response
@@ -310,7 +312,9 @@ exports.sendMessage = async (req, res) => {
       {
         recentMessages: conversation.getRecentMessages(5),
         currentSpace: context.spaceName,
-        activeCards: context.activeCards
+        activeCards: context.activeCards,
+        language: context.language || null, // Customer language, detected from the message if not set
+        targetLanguage: context.targetLanguage || null // Translate mode target language
       }
     );
     
@@ -353,7 +357,9 @@ exports.sendMessage = async (req, res) => {
         timestamp: aiMessage.timestamp,
         sources: aiMessage.sources,
         confidence: aiMessage.confidence,
-        metadata: aiMessage.metadata
+        metadata: aiMessage.metadata,
+        // Macro variable values filled from the customer message (macro mode)
+        template: aiResponse.template || null
       }
     });
     
@@ -474,7 +480,8 @@ exports.searchCards = async (req, res) => {
       mode,
       spaceId,
       limit: parseInt(limit),
-      searchAll: searchAllCards
+      searchAll: searchAllCards,
+      filters: cardMetadataService.parseFilters(req.query)
     });
     
     res.json(searchResults);
@@ -0,0 +1,142 @@
+const Card = require('../models/Card');
+const cardApprovalService = require('../services/cardApprovalService');
+const permissionService = require('../services/permissionService');
+const { broadcastChange } = require('../utils/broadcastUtils');
+
+const { permissions } = permissionService;
+
+// Permissions are checked by requireSpacePermission in routes/spaceRoutes.js
+
+const VIEW_FIELDS = 'title type userId spaceId tags visibility approvalStatus';
+
+const STATUSES = ['pending', 'approved', 'rejected', 'all'];
+
+// Pending state only goes to users who can edit cards (and see the card)
+const broadcastReview = (req, card, message) => {
+  broadcastChange(req, req.params.id, message, { card, permission: permissions.CARD_EDIT });
+};
+
+// Load a change request of the space and its card.
+// Returns { request, card } or sends the error response and returns null.
+const loadRequest = async (req, res) => {
+  const request = await cardApprovalService.getRequest(req.params.id, req.params.requestId);
+  if (!request) {
+    res.status(404).json({ success: false, message: 'Change request not found' });
+    return null;
+  }
+
+  const card = await Card.findById(request.cardId);
+  if (card && !permissionService.canViewCard(req.space, card, req.user)) {
+    res.status(404).json({ success: false, message: 'Change request not found' });
+    return null;
+  }
+
+  return { request, card };
+};
+
+// List change requests of a space (?status=pending|approved|rejected|all)
+exports.listChangeRequests = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `Status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const requests = await cardApprovalService.listRequests(req.params.id, { status });
+    const cards = await Card.find({ _id: { $in: requests.map(request => request.cardId) } }).select(VIEW_FIELDS);
+    const cardsById = new Map(cards.map(card => [card._id, card]));
+
+    // Requests on cards the user cannot see are left out
+    const changeRequests = requests
+      .filter(request => {
+        const card = cardsById.get(request.cardId);
+        return !card || permissionService.canViewCard(req.space, card, req.user);
+      })
+      .map(request => {
+        const card = cardsById.get(request.cardId);
+        return {
+          ...request.toJSON(),
+          card: card ? { id: card._id, title: card.title, type: card.type } : null
+        };
+      });
+
+    res.json({ success: true, spaceId: req.params.id, changeRequests });
+  } catch (error) {
+    console.error("Error fetching change requests:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// A change request with its diff against the current card
+exports.getChangeRequest = async (req, res) => {
+  try {
+    const loaded = await loadRequest(req, res);
+    if (!loaded) return;
+
+    const { request, card } = loaded;
+    res.json({
+      success: true,
+      changeRequest: request,
+      card,
+      diff: cardApprovalService.getDiff(request, card)
+    });
+  } catch (error) {
+    console.error("Error fetching change request:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Approve a change request and publish the change
+exports.approveChangeRequest = async (req, res) => {
+  try {
+    const loaded = await loadRequest(req, res);
+    if (!loaded) return;
+
+    const { comment, force } = req.body || {};
+    const { request, card } = await cardApprovalService.approve(loaded.request, req.user, comment, { force: force === true });
+
+    broadcastReview(req, card, {
+      type: 'card:changeApproved',
+      cardId: card._id,
+      changeRequest: request
+    });
+
+    // Everyone else now sees the approved content
+    broadcastChange(req, req.params.id, {
+      type: request.action === 'create' ? 'card:created' : 'card:updated',
+      card: card.toJSON()
+    });
+
+    console.log(`User ${req.user.id} approved change request ${request._id} on card ${card._id}`);
+    res.json({ success: true, changeRequest: request, card });
+  } catch (error) {
+    console.error("Error approving change request:", error);
+    res.status(error.status || 500).json({ success: false, message: error.message, conflicts: error.conflicts });
+  }
+};
+
+// Reject a change request; a rejected new card goes to the trash
+exports.rejectChangeRequest = async (req, res) => {
+  try {
+    const loaded = await loadRequest(req, res);
+    if (!loaded) return;
+
+    const { request, trashed } = await cardApprovalService.reject(loaded.request, req.user, (req.body || {}).comment);
+
+    broadcastReview(req, loaded.card, {
+      type: 'card:changeRejected',
+      cardId: request.cardId,
+      changeRequest: request
+    });
+
+    trashed.forEach(cardId => {
+      broadcastChange(req, req.params.id, { type: 'card:deleted', cardId });
+    });
+
+    console.log(`User ${req.user.id} rejected change request ${request._id} on card ${request.cardId}`);
+    res.json({ success: true, changeRequest: request, trashed });
+  } catch (error) {
+    console.error("Error rejecting change request:", error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,196 @@
+const Card = require('../models/Card');
+const cardCommentService = require('../services/cardCommentService');
+const permissionService = require('../services/permissionService');
+const notificationService = require('../services/notificationService');
+const { broadcastChange } = require('../utils/broadcastUtils');
+
+const { permissions } = permissionService;
+
+// Load a card and check a permission on it.
+// Returns { card, space } or sends the error response and returns null.
+const loadCard = async (req, res, permission) => {
+  const card = await Card.findOne({ _id: req.params.id, deletedAt: null });
+  if (!card) {
+    res.status(404).json({ success: false, message: 'Card not found' });
+    return null;
+  }
+
+  const access = await permissionService.checkCard(card, req.user, permission);
+  if (access.error) {
+    res.status(access.status).json({ success: false, message: access.error });
+    return null;
+  }
+
+  return { card, space: access.space };
+};
+
+// Comment events only go to users who can see the card
+const broadcastCommentEvent = (req, card, message) => {
+  broadcastChange(req, card.spaceId, message, { card });
+};
+
+// List the comment threads of a card
+exports.listComments = async (req, res) => {
+  try {
+    const loaded = await loadCard(req, res, permissions.SPACE_VIEW);
+    if (!loaded) return;
+
+    const includeResolved = req.query.includeResolved !== 'false';
+    const threads = await cardCommentService.listThreads(loaded.card._id, { includeResolved });
+
+    res.json({ success: true, cardId: loaded.card._id, threads });
+  } catch (error) {
+    console.error("Error fetching comments:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Start a thread or reply to one
+exports.createComment = async (req, res) => {
+  try {
+    const loaded = await loadCard(req, res, permissions.COMMENT_CREATE);
+    if (!loaded) return;
+
+    const { card, space } = loaded;
+    const { content, parentId, mentions } = req.body || {};
+
+    const { comment, mentioned } = await cardCommentService.createComment(card, space || 'public', req.user, {
+      content,
+      parentId,
+      mentions
+    });
+
+    broadcastCommentEvent(req, card, {
+      type: 'comment:created',
+      cardId: card._id,
+      comment,
+      mentions: mentioned,
+      userId: req.user.id.toString(),
+      userName: req.user.name
+    });
+
+    await notificationService.commentPosted(space || 'public', card, comment, req.user, {
+      mentionIds: comment.mentions
+    });
+
+    res.status(201).json({ success: true, comment, mentions: mentioned });
+  } catch (error) {
+    console.error("Error creating comment:", error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+};
+
+// Edit a comment (author only)
+exports.updateComment = async (req, res) => {
+  try {
+    const loaded = await loadCard(req, res, permissions.COMMENT_CREATE);
+    if (!loaded) return;
+
+    const { card, space } = loaded;
+    const comment = await cardCommentService.getComment(card._id, req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+
+    if (comment.authorId !== req.user.id.toString()) {
+      return res.status(403).json({ success: false, message: 'Only the author can edit this comment' });
+    }
+
+    const previousMentions = [...comment.mentions];
+    const { mentioned } = await cardCommentService.updateComment(comment, space || 'public', card, (req.body || {}).content);
+
+    broadcastCommentEvent(req, card, {
+      type: 'comment:updated',
+      cardId: card._id,
+      comment,
+      mentions: mentioned,
+      userId: req.user.id.toString(),
+      userName: req.user.name
+    });
+
+    // Only users newly mentioned by the edit are notified
+    await notificationService.commentPosted(space || 'public', card, comment, req.user, {
+      mentionIds: comment.mentions.filter(id => !previousMentions.includes(id)),
+      mentionsOnly: true
+    });
+
+    res.json({ success: true, comment, mentions: mentioned });
+  } catch (error) {
+    console.error("Error updating comment:", error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+};
+
+// Delete a comment (author, or members who manage the space); deleting a thread removes its replies
+exports.deleteComment = async (req, res) => {
+  try {
+    const loaded = await loadCard(req, res, permissions.SPACE_VIEW);
+    if (!loaded) return;
+
+    const { card, space } = loaded;
+    const comment = await cardCommentService.getComment(card._id, req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+
+    const userIdStr = req.user.id.toString();
+    if (comment.authorId !== userIdStr && !permissionService.can(space, userIdStr, permissions.MEMBER_MANAGE)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to delete this comment' });
+    }
+
+    const deletedIds = await cardCommentService.deleteComment(comment);
+
+    broadcastCommentEvent(req, card, {
+      type: 'comment:deleted',
+      cardId: card._id,
+      commentIds: deletedIds,
+      userId: userIdStr,
+      userName: req.user.name
+    });
+
+    res.json({ success: true, message: 'Comment deleted successfully', deletedIds });
+  } catch (error) {
+    console.error("Error deleting comment:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Resolve or reopen a thread: its author or anyone who can edit the card
+const setResolved = (resolved) => async (req, res) => {
+  try {
+    const loaded = await loadCard(req, res, permissions.COMMENT_CREATE);
+    if (!loaded) return;
+
+    const { card, space } = loaded;
+    const comment = await cardCommentService.getComment(card._id, req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+
+    const thread = await cardCommentService.getThread(comment);
+    if (thread.authorId !== req.user.id.toString() &&
+        !permissionService.canOnCard(space, card, req.user, permissions.CARD_EDIT)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to resolve this thread' });
+    }
+
+    await cardCommentService.setResolved(thread, req.user, resolved);
+
+    broadcastCommentEvent(req, card, {
+      type: 'comment:resolved',
+      cardId: card._id,
+      commentId: thread._id.toString(),
+      resolved,
+      comment: thread,
+      userId: req.user.id.toString(),
+      userName: req.user.name
+    });
+
+    res.json({ success: true, comment: thread });
+  } catch (error) {
+    console.error(`Error ${resolved ? 'resolving' : 'reopening'} comment:`, error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+};
+
+exports.resolveComment = setResolved(true);
+exports.unresolveComment = setResolved(false);
@@ -3,12 +3,95 @@ const Card = require('../models/Card');
 const Connection = require('../models/Connection');
 const User = require('../models/User');
 const Space = require('../models/Space');
+const cardHistoryService = require('../services/cardHistoryService');
+const trashService = require('../services/trashService');
+const operationLogService = require('../services/operationLogService');
+const cardSearchService = require('../services/cardSearchService');
+const cardMetadataService = require('../services/cardMetadataService');
+const macroTemplateService = require('../services/macroTemplateService');
+const cardLocaleService = require('../services/cardLocaleService');
+const permissionService = require('../services/permissionService');
+const cardVisibilityService = require('../services/cardVisibilityService');
+const cardApprovalService = require('../services/cardApprovalService');
+const cardLockService = require('../services/cardLockService');
+const { broadcastChange } = require('../utils/broadcastUtils');
+
+const { permissions } = permissionService;
+
+// Fields that clients may never change through updateCard
+const PROTECTED_CARD_FIELDS = ['_id', 'userId', 'spaceId', 'deletedAt', 'deletedBy', 'deletionId', 'approvalStatus', 'contentVersion'];
+
+// Send 423 if another user holds the card's edit lock; returns whether it did
+const rejectIfLocked = async (res, cardId, userId) => {
+  const lock = await cardLockService.getLockByOther(cardId, userId);
+  if (!lock) {
+    return false;
+  }
+  res.status(423).json({ 
+    success: false, 
+    message: `Card is locked by ${lock.userName}`,
+    lock: cardLockService.toJSON(lock)
+  });
+  return true;
+};
+
+// Record an operation in the user's undo history without failing the request
+const recordOperation = async (userId, spaceId, type, payload) => {
+  try {
+    await operationLogService.record(userId, spaceId, type, payload);
+  } catch (error) {
+    console.error(`Error recording ${type} operation:`, error);
+  }
+};
+
+// Validate a requested card visibility; restricting cards needs the card:restrict permission
+const prepareVisibility = (input, space, userId) => {
+  if (!permissionService.can(space, userId, permissions.CARD_RESTRICT)) {
+    return { status: 403, message: permissionService.deniedMessage(permissions.CARD_RESTRICT), errors: [] };
+  }
+  const { visibility, errors } = cardVisibilityService.validateVisibility(input, space);
+  return errors.length > 0
+    ? { status: 400, message: 'Invalid card visibility', errors }
+    : { visibility };
+};
+
+// Tell reviewers and editors of the space about a change waiting for approval
+const broadcastChangeRequest = (req, card, changeRequest) => {
+  broadcastChange(req, card.spaceId, {
+    type: 'card:changeRequested',
+    cardId: card._id,
+    changeRequest
+  }, { card, permission: permissions.CARD_EDIT });
+};
+
+// Tell the spaces of trashed connections that they are gone
+const broadcastTrashedConnections = async (req, { connectionIds, deletionId }) => {
+  if (connectionIds.length === 0) return;
+  
+  const connections = await Connection.find({ _id: { $in: connectionIds } }).select('spaceId').lean();
+  connections.forEach(connection => {
+    broadcastChange(req, connection.spaceId, { type: 'connection:deleted', connectionId: connection._id, deletionId });
+  });
+};
+
+// Group documents by their spaceId
+const groupBySpace = (docs) => {
+  const groups = new Map();
+  docs.forEach(doc => {
+    const spaceId = doc.spaceId || 'public';
+    if (!groups.has(spaceId)) {
+      groups.set(spaceId, []);
+    }
+    groups.get(spaceId).push(doc);
+  });
+  return groups;
+};
 
 // Get all cards for the current user or space
 exports.getAllCards = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { spaceId } = req.query;
+    const { spaceId, lang } = req.query;
     
     console.log(`Getting cards for user ${userId} in space ${spaceId}`);
     
@@ -22,21 +105,14 @@ exports.getAllCards = async (req, res) => {
         // For private spaces, we need to check if user has access to the space
         // and if they do, get all cards in that space
         try {
-          const space = await Space.findById(spaceId);
-          
-          if (!space) {
-            console.log(`Space ${spaceId} not found`);
-            return res.status(404).json({ success: false, message: 'Space not found' });
-          }
+          const access = await permissionService.check(spaceId, userId, permissions.SPACE_VIEW);
           
-          // Use the Space model's hasAccess method for proper permission checking
-          if (!space.hasAccess(userId)) {
-            console.log(`User ${userId} denied access to space ${spaceId}`);
-            console.log(`Space details - isPublic: ${space.isPublic}, ownerId: ${space.ownerId}, members:`, space.members.map(m => ({ userId: m.userId, role: m.role })));
-            return res.status(403).json({ success: false, message: 'Access denied to this space' });
+          if (access.error) {
+            console.log(`User ${userId} denied access to space ${spaceId}: ${access.error}`);
+            return res.status(access.status).json({ success: false, message: access.error });
           }
           
-          console.log(`User ${userId} granted access to space ${spaceId}`);
+          console.log(`User ${userId} granted access to space ${spaceId} as ${access.role}`);
           // User has access, get all cards in this space
           query = { spaceId: spaceId };
         } catch (spaceError) {
@@ -49,9 +125,20 @@ exports.getAllCards = async (req, res) => {
       query = { userId: req.user.email };
     }
     
-    const cards = await Card.find(query);
+    // Optional tag / custom field filters (?tags=a,b&field.language=sr)
+    const filters = cardMetadataService.parseFilters(req.query);
+    
+    // Cards restricted to other roles or members are left out
+    if (spaceId) {
+      Object.assign(query, await cardVisibilityService.buildQuery(req.user, [spaceId]));
+    }
+    
+    // Trashed cards are only visible through the space trash
+    const cards = await Card.find({ ...query, ...cardMetadataService.buildQuery(filters), deletedAt: null });
     console.log(`Found ${cards.length} cards for user ${userId} in space ${spaceId}`);
-    res.json(cards);
+    
+    // With ?lang=en each card shows its English variant (falling back to the base text)
+    res.json(lang ? cards.map(card => cardLocaleService.localize(card, lang)) : cards);
   } catch (error) {
     console.error("Error fetching cards:", error);
     res.status(500).json({ success: false, message: error.message });
@@ -63,7 +150,7 @@ exports.createCard = async (req, res) => {
   try {
     const userEmail = req.user.email;
     const userId = req.user.id;
-    const { type, title, content, position, spaceId } = req.body;
+    const { type, title, content, position, spaceId, tags, customFields, variables, language, variants, visibility } = req.body;
     
     console.log(`User ${userId}/${userEmail} creating card in space ${spaceId}`);
     
@@ -74,25 +161,19 @@ exports.createCard = async (req, res) => {
       });
     }
     
-    // If spaceId is provided and not public, check if user has access to the space
+    // Check that the user may create cards in the space
+    let space = 'public';
     if (spaceId && spaceId !== 'public') {
       try {
-        const space = await Space.findById(spaceId);
-        if (!space) {
-          return res.status(404).json({ 
-            success: false, 
-            message: 'Space not found' 
-          });
-        }
-        
-        // Check if user has access to this space
-        if (!space.hasAccess(userId)) {
-          console.log(`User ${userId} denied access to space ${spaceId} for card creation`);
-          return res.status(403).json({ 
+        const access = await permissionService.check(spaceId, userId, permissions.CARD_CREATE);
+        if (access.error) {
+          console.log(`User ${userId} denied card creation in space ${spaceId}: ${access.error}`);
+          return res.status(access.status).json({ 
             success: false, 
-            message: 'Access denied to this space' 
+            message: access.error 
           });
         }
+        space = access.space;
       } catch (spaceError) {
         console.error('Error checking space access for card creation:', spaceError);
         return res.status(500).json({ 
@@ -102,6 +183,54 @@ exports.createCard = async (req, res) => {
       }
     }
     
+    const metadata = await cardMetadataService.prepareMetadata({ tags, customFields }, { spaceId: spaceId || 'public' });
+    if (metadata.errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid card metadata',
+        errors: metadata.errors
+      });
+    }
+    
+    const locale = cardLocaleService.validateVariants(language, variants);
+    if (locale.errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid language variants',
+        errors: locale.errors
+      });
+    }
+    
+    // Template variables used in the content (of every language) must be declared on the card
+    const template = macroTemplateService.validate(
+      [content, ...locale.variants.map(variant => variant.content)],
+      variables
+    );
+    if (template.errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid card template',
+        errors: template.errors,
+        undefinedVariables: template.undefinedVariables
+      });
+    }
+    
+    let cardVisibility;
+    if (visibility !== undefined) {
+      const restriction = prepareVisibility(visibility, space, userId);
+      if (restriction.status) {
+        return res.status(restriction.status).json({ 
+          success: false, 
+          message: restriction.message,
+          errors: restriction.errors
+        });
+      }
+      cardVisibility = restriction.visibility;
+    }
+    
+    // In approval mode new cards by editors stay hidden from viewers until approved
+    const needsApproval = cardApprovalService.requiresReview(space, userId);
+    
     // Generate a UUID for the card
     const cardId = uuidv4();
     
@@ -112,11 +241,33 @@ exports.createCard = async (req, res) => {
       type,
       title,
       content: content || null,
-      position: position || { x: 0, y: 0 }
+      language: locale.language,
+      variants: locale.variants,
+      position: position || { x: 0, y: 0 },
+      variables: template.variables,
+      tags: metadata.tags || [],
+      customFields: metadata.customFields,
+      visibility: cardVisibility,
+      approvalStatus: needsApproval ? 'pending' : 'approved'
     });
     
     await newCard.save();
     
+    if (needsApproval) {
+      const changeRequest = await cardApprovalService.submitCreate(newCard, req.user);
+      broadcastChangeRequest(req, newCard, changeRequest);
+    }
+    
+    try {
+      await cardHistoryService.recordRevision(newCard, { action: 'create', user: req.user });
+    } catch (historyError) {
+      console.error(`Error recording history for card ${cardId}:`, historyError);
+    }
+    
+    await recordOperation(userId, newCard.spaceId, 'create_card', { cardId });
+    
+    broadcastChange(req, newCard.spaceId, { type: 'card:created', card: newCard.toJSON() });
+    
     console.log(`Successfully created card ${cardId} for user ${userId}/${userEmail} in space ${spaceId}`);
     res.status(201).json(newCard);
   } catch (error) {
@@ -131,12 +282,12 @@ exports.updateCard = async (req, res) => {
     const userEmail = req.user.email;
     const userId = req.user.id;
     const { id } = req.params;
-    const updates = req.body;
+    let updates = req.body;
     
     console.log(`User ${userId}/${userEmail} attempting to update card ${id} with:`, updates);
     
     // Find card first
-    const card = await Card.findOne({ _id: id });
+    const card = await Card.findOne({ _id: id, deletedAt: null });
     
     if (!card) {
       return res.status(404).json({ 
@@ -146,35 +297,108 @@ exports.updateCard = async (req, res) => {
     }
     
     // Check if user has permission to update this card
-    let hasPermission = false;
+    const access = await permissionService.checkCard(card, req.user, permissions.CARD_EDIT);
     
-    if (card.spaceId === 'public' || card.userId === userEmail) {
-      hasPermission = true;
-    } else if (card.spaceId && card.spaceId !== 'public') {
-      // For private space cards, check if user has access to the space
-      try {
-        const space = await Space.findById(card.spaceId);
-        if (space) {
-          const hasAccess = space.hasAccess(userId);
-          if (hasAccess && space.canUserEdit(userId)) {
-            hasPermission = true;
-          }
-        }
-      } catch (spaceError) {
-        console.error(`Error checking space permissions for card ${id}:`, spaceError);
+    if (access.error) {
+      return res.status(access.status).json({ 
+        success: false, 
+        message: access.error 
+      });
+    }
+    
+    if (await rejectIfLocked(res, id, userId)) return;
+    
+    if (updates.visibility !== undefined) {
+      const restriction = prepareVisibility(updates.visibility, access.space || 'public', userId);
+      if (restriction.status) {
+        return res.status(restriction.status).json({ 
+          success: false, 
+          message: restriction.message,
+          errors: restriction.errors
+        });
       }
+      updates.visibility = restriction.visibility;
     }
     
-    if (!hasPermission) {
+    // Tags and custom fields are validated against the space definitions
+    if (updates.tags !== undefined || updates.customFields !== undefined) {
+      const metadata = await cardMetadataService.prepareMetadata(
+        { tags: updates.tags, customFields: updates.customFields },
+        { spaceId: card.spaceId, existing: card }
+      );
+      if (metadata.errors.length > 0) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Invalid card metadata',
+          errors: metadata.errors
+        });
+      }
+      if (metadata.tags !== undefined) updates.tags = metadata.tags;
+      if (metadata.customFields !== undefined) updates.customFields = metadata.customFields;
+    }
+    
+    // Tagging a card into or out of a restricted section changes who sees it,
+    // so it needs card:restrict like setting its visibility
+    if (updates.tags !== undefined &&
+        cardVisibilityService.changesSection(access.space, card.tags, updates.tags) &&
+        !permissionService.can(access.space || 'public', userId, permissions.CARD_RESTRICT)) {
       return res.status(403).json({ 
         success: false, 
-        message: 'You do not have permission to edit this card' 
+        message: permissionService.deniedMessage(permissions.CARD_RESTRICT)
       });
     }
     
+    if (updates.language !== undefined || updates.variants !== undefined) {
+      const locale = cardLocaleService.validateVariants(
+        updates.language !== undefined ? updates.language : card.language,
+        updates.variants !== undefined ? updates.variants : card.toObject().variants
+      );
+      if (locale.errors.length > 0) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Invalid language variants',
+          errors: locale.errors
+        });
+      }
+      if (updates.language !== undefined) updates.language = locale.language;
+      if (updates.variants !== undefined) updates.variants = locale.variants;
+    }
+    
+    if (updates.content !== undefined || updates.variables !== undefined || updates.variants !== undefined) {
+      const current = card.toObject();
+      const variantContents = (updates.variants !== undefined ? updates.variants : current.variants)
+        .map(variant => variant.content);
+      const template = macroTemplateService.validate(
+        [updates.content !== undefined ? updates.content : card.content, ...variantContents],
+        updates.variables !== undefined ? updates.variables : current.variables
+      );
+      if (template.errors.length > 0) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Invalid card template',
+          errors: template.errors,
+          undefinedVariables: template.undefinedVariables
+        });
+      }
+      if (updates.variables !== undefined) updates.variables = template.variables;
+    }
+    
+    // In approval mode content changes to a published card wait for review;
+    // layout changes still apply right away
+    let changeRequest = null;
+    if (card.approvalStatus !== 'pending' && cardApprovalService.requiresReview(access.space, userId)) {
+      const { reviewed, direct } = cardApprovalService.splitUpdates(updates);
+      changeRequest = await cardApprovalService.submitChange(card, req.user, reviewed);
+      updates = direct;
+    }
+    
+    // Keep the pre-update state for the revision history and undo log
+    const previous = cardHistoryService.takeSnapshot(card);
+    const before = card.toObject();
+    
     // Update card with new information
     Object.keys(updates).forEach(key => {
-      if (key !== '_id' && key !== 'userId' && key !== 'spaceId') {
+      if (!PROTECTED_CARD_FIELDS.includes(key)) {
         card[key] = updates[key];
       }
     });
@@ -189,6 +413,44 @@ exports.updateCard = async (req, res) => {
     
     await card.save();
     
+    try {
+      await cardHistoryService.recordRevision(card, { user: req.user, previous });
+    } catch (historyError) {
+      console.error(`Error recording history for card ${id}:`, historyError);
+    }
+    
+    const after = card.toObject();
+    const changedFields = Object.keys(updates).filter(key =>
+      !PROTECTED_CARD_FIELDS.includes(key) &&
+      !['createdAt', 'updatedAt'].includes(key) &&
+      card.schema.path(key) &&
+      JSON.stringify(before[key]) !== JSON.stringify(after[key])
+    );
+    
+    if (changedFields.length > 0) {
+      const pick = source => JSON.parse(JSON.stringify(
+        changedFields.reduce((values, key) => ({ ...values, [key]: source[key] === undefined ? null : source[key] }), {})
+      ));
+      await recordOperation(userId, card.spaceId, 'update_card', {
+        cardId: id,
+        before: pick(before),
+        after: pick(after)
+      });
+      
+      // Only what was saved is broadcast: changes waiting for approval are not
+      broadcastChange(req, card.spaceId, { type: 'card:updated', card: card.toJSON(), changedFields });
+    }
+    
+    if (changeRequest) {
+      broadcastChangeRequest(req, card, changeRequest);
+      return res.status(202).json({
+        success: true,
+        message: 'Changes submitted for approval',
+        card,
+        changeRequest
+      });
+    }
+    
     res.json(card);
   } catch (error) {
     console.error("Error updating card:", error);
@@ -206,7 +468,7 @@ exports.deleteCard = async (req, res) => {
     console.log(`User ${userId}/${userEmail} attempting to delete card ${id}`);
     
     // Find card first
-    const card = await Card.findOne({ _id: id });
+    const card = await Card.findOne({ _id: id, deletedAt: null });
     
     if (!card) {
       return res.status(404).json({ 
@@ -216,52 +478,32 @@ exports.deleteCard = async (req, res) => {
     }
     
     // Check if user has permission to delete this card
-    let hasPermission = false;
+    const access = await permissionService.checkCard(card, req.user, permissions.CARD_DELETE);
     
-    if (card.spaceId === 'public' || card.userId === userEmail) {
-      hasPermission = true;
-    } else if (card.spaceId && card.spaceId !== 'public') {
-      // For private space cards, check if user has access to the space
-      try {
-        const space = await Space.findById(card.spaceId);
-        if (space) {
-          const hasAccess = space.hasAccess(userId);
-          if (hasAccess && space.canUserEdit(userId)) {
-            hasPermission = true;
-          }
-        }
-      } catch (spaceError) {
-        console.error(`Error checking space permissions for card ${id}:`, spaceError);
-      }
-    }
-    
-    if (!hasPermission) {
-      return res.status(403).json({ 
+    if (access.error) {
+      return res.status(access.status).json({ 
         success: false, 
-        message: 'You do not have permission to delete this card' 
+        message: access.error 
       });
     }
     
-    // Delete the card
-    await Card.deleteOne({ _id: id });
+    if (await rejectIfLocked(res, id, userId)) return;
     
-    // Also remove any connections that involve this card
-    // For public space, remove all connections
-    // For private spaces, remove connections in the same space
-    if (card.spaceId === 'public') {
-      await Connection.deleteMany({
-        spaceId: 'public',
-        $or: [{ sourceId: id }, { targetId: id }]
-      });
-    } else {
-      await Connection.deleteMany({
-        spaceId: card.spaceId,
-        $or: [{ sourceId: id }, { targetId: id }]
-      });
-    }
+    // Move the card and any connections that involve it to the trash
+    const trashed = await trashService.trashCards([id], userId);
+    
+    await recordOperation(userId, card.spaceId, 'delete_cards', { cardIds: [id] });
     
-    console.log(`Successfully deleted card ${id} for user ${userId}/${userEmail}`);
-    res.json({ success: true, message: 'Card deleted successfully' });
+    broadcastChange(req, card.spaceId, { type: 'card:deleted', cardId: id, deletionId: trashed.deletionId });
+    await broadcastTrashedConnections(req, trashed);
+    
+    console.log(`Successfully trashed card ${id} and ${trashed.connectionIds.length} connections for user ${userId}/${userEmail}`);
+    res.json({ 
+      success: true, 
+      message: 'Card moved to trash',
+      deletionId: trashed.deletionId,
+      deletedConnections: trashed.connectionIds
+    });
   } catch (error) {
     console.error("Error deleting card:", error);
     res.status(500).json({ success: false, message: error.message });
@@ -285,7 +527,7 @@ exports.deleteMultipleCards = async (req, res) => {
     }
     
     // Find all cards first
-    const cards = await Card.find({ _id: { $in: ids } });
+    const cards = await Card.find({ _id: { $in: ids }, deletedAt: null });
     
     if (cards.length === 0) {
       return res.status(404).json({ 
@@ -299,32 +541,14 @@ exports.deleteMultipleCards = async (req, res) => {
     const spaceMap = new Map();
     
     for (const card of cards) {
-      let hasPermission = false;
-      
-      if (card.spaceId === 'public' || card.userId === userEmail) {
-        hasPermission = true;
-      } else if (card.spaceId && card.spaceId !== 'public') {
-        // For private space cards, check if user has access to the space
-        try {
-          let space = spaceMap.get(card.spaceId);
-          if (!space) {
-            space = await Space.findById(card.spaceId);
-            spaceMap.set(card.spaceId, space);
-          }
-          
-          if (space) {
-            const hasAccess = space.hasAccess(userId);
-            if (hasAccess && space.canUserEdit(userId)) {
-              hasPermission = true;
-            }
-          }
-        } catch (spaceError) {
-          console.error(`Error checking space permissions for card ${card._id}:`, spaceError);
+      try {
+        const access = await permissionService.checkCard(card, req.user, permissions.CARD_DELETE, spaceMap);
+        // Cards locked by other users are left alone
+        if (!access.error && !(await cardLockService.getLockByOther(card._id, userId))) {
+          allowedCardIds.push(card._id);
         }
-      }
-      
-      if (hasPermission) {
-        allowedCardIds.push(card._id);
+      } catch (spaceError) {
+        console.error(`Error checking space permissions for card ${card._id}:`, spaceError);
       }
     }
     
@@ -335,40 +559,28 @@ exports.deleteMultipleCards = async (req, res) => {
       });
     }
     
-    // Delete the allowed cards
-    await Card.deleteMany({ _id: { $in: allowedCardIds } });
-    
-    // Also remove any connections that involve these cards
-    // Group by space for efficient deletion
-    const spaceCardMap = new Map();
-    cards.forEach(card => {
-      if (allowedCardIds.includes(card._id)) {
-        const spaceId = card.spaceId || 'public';
-        if (!spaceCardMap.has(spaceId)) {
-          spaceCardMap.set(spaceId, []);
-        }
-        spaceCardMap.get(spaceId).push(card._id);
-      }
-    });
+    // Move the allowed cards and their connections to the trash in one batch
+    // so they can be restored together
+    const trashed = await trashService.trashCards(allowedCardIds, userId);
     
-    // Delete connections for each space
-    for (const [spaceId, cardIds] of spaceCardMap) {
-      await Connection.deleteMany({
-        spaceId: spaceId,
-        $or: [
-          { sourceId: { $in: cardIds } },
-          { targetId: { $in: cardIds } }
-        ]
+    const allowedCards = cards.filter(card => allowedCardIds.includes(card._id));
+    for (const [spaceId, spaceCards] of groupBySpace(allowedCards)) {
+      await recordOperation(userId, spaceId, 'delete_cards', { cardIds: spaceCards.map(card => card._id) });
+      spaceCards.forEach(card => {
+        broadcastChange(req, spaceId, { type: 'card:deleted', cardId: card._id, deletionId: trashed.deletionId });
       });
     }
+    await broadcastTrashedConnections(req, trashed);
     
-    console.log(`Successfully deleted ${allowedCardIds.length} out of ${ids.length} cards for user ${userId}/${userEmail}`);
+    console.log(`Successfully trashed ${allowedCardIds.length} out of ${ids.length} cards for user ${userId}/${userEmail}`);
     
     res.json({ 
       success: true, 
-      message: `${allowedCardIds.length} cards deleted successfully`,
+      message: `${allowedCardIds.length} cards moved to trash`,
       deleted: allowedCardIds.length,
-      total: ids.length
+      total: ids.length,
+      deletionId: trashed.deletionId,
+      deletedConnections: trashed.connectionIds
     });
   } catch (error) {
     console.error("Error deleting multiple cards:", error);
@@ -394,21 +606,14 @@ exports.getAllConnections = async (req, res) => {
       } else {
         // For private spaces, check access and get all connections in that space
         try {
-          const space = await Space.findById(spaceId);
-          
-          if (!space) {
-            console.log(`Space ${spaceId} not found`);
-            return res.status(404).json({ success: false, message: 'Space not found' });
-          }
+          const access = await permissionService.check(spaceId, userId, permissions.SPACE_VIEW);
           
-          // Use the Space model's hasAccess method for proper permission checking
-          if (!space.hasAccess(userId)) {
-            console.log(`User ${userId} denied access to space ${spaceId}`);
-            console.log(`Space details - isPublic: ${space.isPublic}, ownerId: ${space.ownerId}, members:`, space.members.map(m => ({ userId: m.userId, role: m.role })));
-            return res.status(403).json({ success: false, message: 'Access denied to this space' });
+          if (access.error) {
+            console.log(`User ${userId} denied access to space ${spaceId}: ${access.error}`);
+            return res.status(access.status).json({ success: false, message: access.error });
           }
           
-          console.log(`User ${userId} granted access to space ${spaceId}`);
+          console.log(`User ${userId} granted access to space ${spaceId} as ${access.role}`);
           // User has access, get all connections in this space
           query = { spaceId: spaceId };
         } catch (spaceError) {
@@ -421,7 +626,7 @@ exports.getAllConnections = async (req, res) => {
       query = { userId: userEmail };
     }
     
-    const connections = await Connection.find(query);
+    const connections = await Connection.find({ ...query, deletedAt: null });
     console.log(`Found ${connections.length} connections for user ${userId} in space ${spaceId}`);
     res.json(connections);
   } catch (error) {
@@ -454,8 +659,8 @@ exports.createConnection = async (req, res) => {
     }
     
     // Check if cards exist and user has access to them
-    const sourceCard = await Card.findOne({ _id: sourceId });
-    const targetCard = await Card.findOne({ _id: targetId });
+    const sourceCard = await Card.findOne({ _id: sourceId, deletedAt: null });
+    const targetCard = await Card.findOne({ _id: targetId, deletedAt: null });
     
     if (!sourceCard) {
       return res.status(404).json({ 
@@ -482,23 +687,15 @@ exports.createConnection = async (req, res) => {
     // Use the space from the cards themselves
     const cardSpaceId = sourceCard.spaceId || 'public';
     
-    // Check if user has access to the space
+    // Check if user may manage connections in the space
     if (cardSpaceId !== 'public') {
       try {
-        const space = await Space.findById(cardSpaceId);
-        if (!space) {
-          return res.status(404).json({ 
-            success: false, 
-            message: 'Space not found' 
-          });
-        }
-        
-        // Check if user has access to this space
-        if (!space.hasAccess(userId)) {
-          console.log(`User ${userId} denied access to space ${cardSpaceId} for connection creation`);
-          return res.status(403).json({ 
+        const access = await permissionService.check(cardSpaceId, userId, permissions.CONNECTION_MANAGE);
+        if (access.error) {
+          console.log(`User ${userId} denied connection creation in space ${cardSpaceId}: ${access.error}`);
+          return res.status(access.status).json({ 
             success: false, 
-            message: 'You do not have access to this space' 
+            message: access.error 
           });
         }
       } catch (spaceError) {
@@ -513,6 +710,7 @@ exports.createConnection = async (req, res) => {
     // Check if connection already exists (bidirectional)
     const existingConnection = await Connection.findOne({
       spaceId: cardSpaceId,
+      deletedAt: null,
       $or: [
         { sourceId: sourceId, targetId: targetId },
         { sourceId: targetId, targetId: sourceId }
@@ -540,6 +738,10 @@ exports.createConnection = async (req, res) => {
     
     await connection.save();
     
+    await recordOperation(userId, cardSpaceId, 'create_connection', { connectionId });
+    
+    broadcastChange(req, cardSpaceId, { type: 'connection:created', connection: connection.toJSON() });
+    
     console.log(`Successfully created connection ${connectionId} for user ${userId}/${userEmail} in space ${cardSpaceId}`);
     res.status(201).json(connection);
   } catch (error) {
@@ -567,7 +769,7 @@ exports.deleteConnection = async (req, res) => {
     console.log(`User ${userId}/${userEmail} attempting to delete connection ${id}`);
     
     // Find the connection first to check permissions
-    const connection = await Connection.findOne({ _id: id });
+    const connection = await Connection.findOne({ _id: id, deletedAt: null });
     
     if (!connection) {
       return res.status(404).json({ 
@@ -576,23 +778,15 @@ exports.deleteConnection = async (req, res) => {
       });
     }
     
-    // Check if user has access to this space
+    // Check if user may manage connections in the space
     if (connection.spaceId !== 'public') {
       try {
-        const space = await Space.findById(connection.spaceId);
-        if (!space) {
-          return res.status(404).json({ 
-            success: false, 
-            message: 'Space not found' 
-          });
-        }
-        
-        // Check if user has access to this space
-        if (!space.hasAccess(userId)) {
-          console.log(`User ${userId} denied access to space ${connection.spaceId} for connection deletion`);
-          return res.status(403).json({ 
+        const access = await permissionService.check(connection.spaceId, userId, permissions.CONNECTION_MANAGE);
+        if (access.error) {
+          console.log(`User ${userId} denied connection deletion in space ${connection.spaceId}: ${access.error}`);
+          return res.status(access.status).json({ 
             success: false, 
-            message: 'You do not have permission to delete this connection' 
+            message: access.error 
           });
         }
       } catch (spaceError) {
@@ -604,18 +798,22 @@ exports.deleteConnection = async (req, res) => {
       }
     }
     
-    // Delete the connection
-    const result = await Connection.deleteOne({ _id: id });
+    // Move the connection to the trash
+    const result = await trashService.trashConnections([id], userId);
     
-    if (result.deletedCount === 0) {
+    if (result.trashedCount === 0) {
       return res.status(500).json({ 
         success: false, 
         message: 'Failed to delete connection' 
       });
     }
     
-    console.log(`Successfully deleted connection ${id} for user ${userId}/${userEmail}`);
-    res.json({ success: true, message: 'Connection deleted successfully' });
+    await recordOperation(userId, connection.spaceId, 'delete_connections', { connectionIds: [id] });
+    
+    broadcastChange(req, connection.spaceId, { type: 'connection:deleted', connectionId: id, deletionId: result.deletionId });
+    
+    console.log(`Successfully trashed connection ${id} for user ${userId}/${userEmail}`);
+    res.json({ success: true, message: 'Connection moved to trash', deletionId: result.deletionId });
   } catch (error) {
     console.error("Error deleting connection:", error);
     res.status(500).json({ success: false, message: error.message });
@@ -625,17 +823,24 @@ exports.deleteConnection = async (req, res) => {
 // Update a connection
 exports.updateConnection = async (req, res) => {
   try {
-    const userId = req.user.email;
+    const userId = req.user.id;
     const { id } = req.params;
     const { label } = req.body;
     
-    // Find connection and ensure it belongs to the user
-    const connection = await Connection.findOne({ _id: id, userId });
+    const connection = await Connection.findOne({ _id: id, deletedAt: null });
     
     if (!connection) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Connection not found or you do not have permission to edit it' 
+        message: 'Connection not found' 
+      });
+    }
+    
+    const access = await permissionService.check(connection.spaceId || 'public', userId, permissions.CONNECTION_MANAGE);
+    if (access.error) {
+      return res.status(access.status).json({ 
+        success: false, 
+        message: access.error 
       });
     }
     
@@ -643,6 +848,8 @@ exports.updateConnection = async (req, res) => {
     connection.label = label;
     await connection.save();
     
+    broadcastChange(req, connection.spaceId, { type: 'connection:updated', connection: connection.toJSON() });
+    
     res.json(connection);
   } catch (error) {
     console.error("Error updating connection:", error);
@@ -687,7 +894,6 @@ exports.saveCanvasState = async (req, res) => {
 // Update card positions
 exports.updateCardPositions = async (req, res) => {
   try {
-    const userEmail = req.user.email;
     const userId = req.user.id;
     const { positions } = req.body;
     
@@ -700,6 +906,18 @@ exports.updateCardPositions = async (req, res) => {
     
     console.log(`Updating positions for ${positions.length} cards for user ${userId}`);
     
+    // Successful moves, recorded in the undo log afterwards
+    const moves = [];
+    const spaceMap = new Map();
+    const trackMove = (card, updatedCard) => {
+      moves.push({
+        spaceId: card.spaceId,
+        cardId: card._id,
+        from: card.toObject().position,
+        to: updatedCard.toObject().position
+      });
+    };
+    
     // Update each card's position in the database
     const updatePromises = positions.map(async (item) => {
       if (!item.id || !item.position) {
@@ -711,62 +929,34 @@ exports.updateCardPositions = async (req, res) => {
       
       try {
         // First find the card to check permissions
-        const card = await Card.findOne({ _id: item.id });
+        const card = await Card.findOne({ _id: item.id, deletedAt: null });
         
         if (!card) {
           console.log(`Card ${item.id} not found`);
           return null;
         }
         
-        // Check if user has permission to update this card
-        // For public space cards or if user is the owner
-        if (card.spaceId === 'public' || card.userId === userId) {
-          const updatedCard = await Card.findOneAndUpdate(
-            { _id: item.id },
-            { 
-              $set: { 
-                position: item.position,
-                updatedAt: new Date()
-              } 
-            },
-            { new: true }
-          );
-          
-          return updatedCard;
-        } else {
-          // For private space cards, check if user has access to the space
-          if (card.spaceId && card.spaceId !== 'public') {
-            try {
-              const space = await Space.findById(card.spaceId);
-              if (space) {
-                const hasAccess = space.hasAccess(userId);
-                if (hasAccess && space.canUserEdit(userId)) {
-                  const updatedCard = await Card.findOneAndUpdate(
-                    { _id: item.id },
-                    { 
-                      $set: { 
-                        position: item.position,
-                        updatedAt: new Date()
-                      } 
-                    },
-                    { new: true }
-                  );
-                  
-                  return updatedCard;
-                } else {
-                  console.log(`User ${userId} does not have edit access to space ${card.spaceId}`);
-                  return null;
-                }
-              }
-            } catch (spaceError) {
-              console.error(`Error checking space permissions for card ${item.id}:`, spaceError);
-              return null;
-            }
-          }
-          
-          console.log(`User ${userId} does not have permission to update card ${item.id}`);
+        // Moving a card is an edit
+        const access = await permissionService.checkCard(card, req.user, permissions.CARD_EDIT, spaceMap);
+        if (access.error) {
+          console.log(`User ${userId} does not have permission to update card ${item.id}: ${access.error}`);
           return null;
         }
+        
+        const updatedCard = await Card.findOneAndUpdate(
+          { _id: item.id },
+          { 
+            $set: { 
+              position: item.position,
+              updatedAt: new Date()
+            } 
+          },
+          { new: true }
+        );
+        
+        trackMove(card, updatedCard);
+        broadcastChange(req, updatedCard.spaceId, { type: 'card:updated', card: updatedCard.toJSON(), changedFields: ['position'] });
+        return updatedCard;
       } catch (err) {
         console.error(`Error updating card ${item.id}:`, err);
         return null;
@@ -776,6 +966,12 @@ exports.updateCardPositions = async (req, res) => {
     const results = await Promise.all(updatePromises);
     const successCount = results.filter(result => result !== null).length;
     
+    for (const [spaceId, spaceMoves] of groupBySpace(moves)) {
+      await recordOperation(userId, spaceId, 'move_cards', {
+        moves: spaceMoves.map(({ cardId, from, to }) => ({ cardId, from, to }))
+      });
+    }
+    
     console.log(`Successfully updated ${successCount} out of ${positions.length} card positions`);
     
     res.json({ 
@@ -790,36 +986,36 @@ exports.updateCardPositions = async (req, res) => {
   }
 };
 
-// Search cards across spaces with advanced filtering
+// Search cards across spaces using the card search index
 exports.searchCards = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { query, spaceId, limit = 20, searchMode = 'global' } = req.query;
+    const { query, spaceId, limit = 20, cursor = null, searchMode = 'global', lang = null } = req.query;
     
     console.log(`User ${userId} searching for "${query}" in mode ${searchMode}`);
     
     if (!query || query.trim() === '') {
-      return res.json([]);
+      return res.json({ success: true, results: [], total: 0, nextCursor: null });
     }
     
     const searchTerm = query.trim();
-    let searchQuery = {};
+    let spaceIds = [];
     
     if (searchMode === 'local' && spaceId) {
       // Local search - within specific space
       if (spaceId === 'public') {
-        searchQuery = { spaceId: 'public' };
+        spaceIds = ['public'];
       } else {
         // Check if user has access to the space
         try {
-          const space = await Space.findById(spaceId);
-          if (!space || !space.hasAccess(userId)) {
-            return res.status(403).json({ 
+          const access = await permissionService.check(spaceId, userId, permissions.SPACE_VIEW);
+          if (access.error) {
+            return res.status(access.status).json({ 
               success: false, 
-              message: 'Access denied to this space' 
+              message: access.error 
             });
           }
-          searchQuery = { spaceId: spaceId };
+          spaceIds = [spaceId];
         } catch (spaceError) {
           console.error("Error checking space access for search:", spaceError);
           return res.status(500).json({ 
@@ -841,79 +1037,39 @@ exports.searchCards = async (req, res) => {
         ]
       });
       
-      const spaceIds = ['public', ...accessibleSpaces.map(space => space._id.toString())];
-      
-      searchQuery = {
-        $or: [
-          { spaceId: 'public' },
-          { spaceId: { $in: spaceIds } }
-        ]
-      };
-    }
-    
-    // Add text search criteria with MongoDB text search or regex
-    const textSearchQuery = {
-      $and: [
-        searchQuery,
-        {
-          $or: [
-            { title: { $regex: searchTerm, $options: 'i' } },
-            { content: { $regex: searchTerm, $options: 'i' } }
-          ]
-        }
-      ]
-    };
+      spaceIds = ['public', ...accessibleSpaces.map(space => space._id.toString())];
+    }
     
-    // Execute search with sorting by relevance
-    const cards = await Card.find(textSearchQuery)
-      .limit(parseInt(limit))
-      .sort({
-        // Prioritize category cards
-        type: 1,
-        // Then sort by creation date (newest first)
-        createdAt: -1
-      });
-    
-    // Calculate relevance scores
-    const scoredResults = cards.map(card => {
-      let score = 0;
-      const titleLower = card.title.toLowerCase();
-      const contentLower = (card.content || '').toLowerCase();
-      const termLower = searchTerm.toLowerCase();
-      
-      // Category cards get 3x multiplier
-      if (card.type === 'category') score += 30;
-      
-      // Title matches get highest priority
-      if (titleLower.includes(termLower)) {
-        score += 20;
-        // Exact match gets maximum priority
-        if (titleLower === termLower) score += 30;
-        // Starts with term gets high priority
-        if (titleLower.startsWith(termLower)) score += 15;
-      }
-      
-      // Content matches get medium priority
-      if (contentLower.includes(termLower)) {
-        score += 10;
-      }
-      
-      return {
-        ...card.toJSON(),
-        relevanceScore: score
-      };
-    });
+    // Tag / custom field filters narrow the ranked results to matching cards
+    const filters = cardMetadataService.parseFilters(req.query);
+    let cardIds = null;
+    if (cardMetadataService.hasFilters(filters)) {
+      cardIds = await Card.find({
+        spaceId: { $in: spaceIds },
+        ...cardMetadataService.buildQuery(filters),
+        deletedAt: null
+      }).distinct('_id');
+    }
     
-    // Sort by relevance score
-    const sortedResults = scoredResults.sort((a, b) => {
-      if (b.relevanceScore !== a.relevanceScore) {
-        return b.relevanceScore - a.relevanceScore;
-      }
-      return a.title.localeCompare(b.title);
+    // Restricted cards the user may not see never show up in results
+    const excludeCardIds = await Card.find({
+      spaceId: { $in: spaceIds },
+      deletedAt: null,
+      $nor: [await cardVisibilityService.buildQuery(req.user, spaceIds)]
+    }).distinct('_id');
+    
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const { results, total, nextCursor } = await cardSearchService.search(searchTerm, {
+      spaceIds,
+      cardIds,
+      excludeCardIds,
+      lang,
+      limit: pageSize,
+      cursor
     });
     
-    console.log(`Found ${sortedResults.length} search results for "${searchTerm}"`);
-    res.json(sortedResults);
+    console.log(`Found ${total} search results for "${searchTerm}" (returning ${results.length})`);
+    res.json({ success: true, results, total, nextCursor });
     
   } catch (error) {
     console.error("Error searching cards:", error);
@@ -942,6 +1098,7 @@ exports.deleteAllConnectionsForCard = async (req, res) => {
     
     // Find all connections involving this card
     const connectionsToDelete = await Connection.find({
+      deletedAt: null,
       $or: [
         { sourceId: cardId },
         { targetId: cardId }
@@ -958,18 +1115,20 @@ exports.deleteAllConnectionsForCard = async (req, res) => {
       });
     }
     
-    // Check permissions - user should have access to the space these connections belong to
+    // Check permissions - user must be able to manage connections in every space involved
+    const checkedSpaces = new Set();
     for (const connection of connectionsToDelete) {
-      if (connection.spaceId && connection.spaceId !== 'public') {
+      if (connection.spaceId && connection.spaceId !== 'public' && !checkedSpaces.has(connection.spaceId)) {
         try {
-          const space = await Space.findById(connection.spaceId);
-          if (space && !space.hasAccess(userId)) {
+          const access = await permissionService.check(connection.spaceId, userId, permissions.CONNECTION_MANAGE);
+          if (access.error && access.status !== 404) {
             console.log(`User ${userId} denied access to space ${connection.spaceId} for connection ${connection.id}`);
             return res.status(403).json({ 
               success: false, 
               message: 'Access denied to one or more connections' 
             });
           }
+          checkedSpaces.add(connection.spaceId);
         } catch (spaceError) {
           console.error("Error checking space access:", spaceError);
           return res.status(500).json({ 
@@ -980,21 +1139,28 @@ exports.deleteAllConnectionsForCard = async (req, res) => {
       }
     }
     
-    // Delete all connections
-    const deleteResult = await Connection.deleteMany({
-      $or: [
-        { sourceId: cardId },
-        { targetId: cardId }
-      ]
-    });
+    // Move all connections to the trash
+    const trashResult = await trashService.trashConnections(
+      connectionsToDelete.map(conn => conn._id),
+      userId
+    );
+    
+    const trashedConnections = connectionsToDelete.filter(conn => trashResult.connectionIds.includes(conn._id));
+    for (const [spaceId, spaceConnections] of groupBySpace(trashedConnections)) {
+      await recordOperation(userId, spaceId, 'delete_connections', { connectionIds: spaceConnections.map(conn => conn._id) });
+      spaceConnections.forEach(conn => {
+        broadcastChange(req, spaceId, { type: 'connection:deleted', connectionId: conn._id, deletionId: trashResult.deletionId });
+      });
+    }
     
-    console.log(`Successfully deleted ${deleteResult.deletedCount} connections for card ${cardId}`);
+    console.log(`Successfully trashed ${trashResult.trashedCount} connections for card ${cardId}`);
     
     res.json({ 
       success: true, 
-      message: `Deleted ${deleteResult.deletedCount} connections`,
-      deletedCount: deleteResult.deletedCount,
-      deletedConnections: connectionsToDelete.map(conn => conn.id)
+      message: `Deleted ${trashResult.trashedCount} connections`,
+      deletedCount: trashResult.trashedCount,
+      deletedConnections: connectionsToDelete.map(conn => conn.id),
+      deletionId: trashResult.deletionId
     });
   } catch (error) {
     console.error("Error deleting connections for card:", error);
@@ -0,0 +1,169 @@
+const Card = require('../models/Card');
+const cardHistoryService = require('../services/cardHistoryService');
+const permissionService = require('../services/permissionService');
+const cardApprovalService = require('../services/cardApprovalService');
+const { broadcastChange } = require('../utils/broadcastUtils');
+
+const { permissions } = permissionService;
+
+// List revisions of a card
+exports.getCardHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+
+    const card = await Card.findOne({ _id: id, deletedAt: null });
+    if (!card) {
+      return res.status(404).json({ success: false, message: 'Card not found' });
+    }
+
+    const access = await permissionService.checkCard(card, req.user, permissions.SPACE_VIEW);
+    if (access.error) {
+      return res.status(access.status).json({ success: false, message: access.error });
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const { revisions, total } = await cardHistoryService.getRevisions(id, {
+      limit: pageSize,
+      skip: (Math.max(parseInt(page) || 1, 1) - 1) * pageSize
+    });
+
+    res.json({
+      success: true,
+      cardId: id,
+      revisions,
+      pagination: {
+        page: parseInt(page) || 1,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching card history:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Field-level diff between two revisions (defaults to comparing with the latest)
+exports.getRevisionDiff = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const from = parseInt(req.query.from);
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : null;
+
+    if (isNaN(from) || (to !== null && isNaN(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Query parameter "from" (and optional "to") must be revision numbers'
+      });
+    }
+
+    const card = await Card.findOne({ _id: id, deletedAt: null });
+    if (!card) {
+      return res.status(404).json({ success: false, message: 'Card not found' });
+    }
+
+    const access = await permissionService.checkCard(card, req.user, permissions.SPACE_VIEW);
+    if (access.error) {
+      return res.status(access.status).json({ success: false, message: access.error });
+    }
+
+    const fromRevision = await cardHistoryService.getRevision(id, from);
+    const toRevision = to !== null
+      ? await cardHistoryService.getRevision(id, to)
+      : (await cardHistoryService.getRevisions(id, { limit: 1 })).revisions[0];
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      cardId: id,
+      from: fromRevision.revision,
+      to: toRevision.revision,
+      changes: cardHistoryService.diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+    });
+  } catch (error) {
+    console.error("Error diffing card revisions:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Restore a card to the state captured in a revision
+exports.restoreRevision = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const revisionNumber = parseInt(req.params.revision);
+
+    if (isNaN(revisionNumber)) {
+      return res.status(400).json({ success: false, message: 'Invalid revision number' });
+    }
+
+    const card = await Card.findOne({ _id: id, deletedAt: null });
+    if (!card) {
+      return res.status(404).json({ success: false, message: 'Card not found' });
+    }
+
+    const access = await permissionService.checkCard(card, req.user, permissions.CARD_EDIT);
+    if (access.error) {
+      return res.status(access.status).json({ success: false, message: access.error });
+    }
+
+    const revision = await cardHistoryService.getRevision(id, revisionNumber);
+    if (!revision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    // In approval mode restoring old content is a change like any other
+    if (card.approvalStatus !== 'pending' && cardApprovalService.requiresReview(access.space, req.user.id)) {
+      const { reviewed } = cardApprovalService.splitUpdates(revision.snapshot);
+      const changeRequest = await cardApprovalService.submitChange(card, req.user, reviewed);
+      if (!changeRequest) {
+        return res.json({ success: true, card, revision: null });
+      }
+
+      broadcastChange(req, card.spaceId, {
+        type: 'card:changeRequested',
+        cardId: card._id,
+        changeRequest
+      }, { card, permission: permissions.CARD_EDIT });
+
+      console.log(`User ${req.user.id} requested restoring card ${id} to revision ${revisionNumber}`);
+      return res.status(202).json({
+        success: true,
+        message: 'Restore submitted for approval',
+        card,
+        changeRequest
+      });
+    }
+
+    const previous = cardHistoryService.takeSnapshot(card);
+
+    cardHistoryService.versionedFields.forEach(field => {
+      if (revision.snapshot[field] !== undefined) {
+        card[field] = revision.snapshot[field];
+      }
+    });
+    card.updatedAt = new Date();
+
+    await card.save();
+
+    const restored = await cardHistoryService.recordRevision(card, {
+      action: 'restore',
+      user: req.user,
+      previous,
+      restoredFrom: revisionNumber
+    });
+
+    // Let collaborators in the space pick up the restored content
+    broadcastChange(req, card.spaceId, { type: 'card:updated', card: card.toJSON() });
+
+    console.log(`User ${req.user.id} restored card ${id} to revision ${revisionNumber}`);
+    res.json({ success: true, card, revision: restored });
+  } catch (error) {
+    console.error("Error restoring card revision:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,61 @@
+const Card = require('../models/Card');
+const macroTemplateService = require('../services/macroTemplateService');
+const cardLocaleService = require('../services/cardLocaleService');
+const permissionService = require('../services/permissionService');
+
+// Fill a card's template variables and return the rendered text
+exports.renderCard = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { variables = {}, strict = false, lang = null } = req.body;
+
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+      return res.status(400).json({ success: false, message: 'Variables must be an object of name/value pairs' });
+    }
+
+    const card = await Card.findOne({ _id: id, deletedAt: null });
+    if (!card) {
+      return res.status(404).json({ success: false, message: 'Card not found' });
+    }
+
+    const access = await permissionService.checkCard(card, req.user, permissionService.permissions.SPACE_VIEW);
+    if (access.error) {
+      return res.status(access.status).json({ success: false, message: access.error });
+    }
+
+    // Render the stored variant for the requested language, if there is one
+    const source = card.toObject();
+    const version = lang ? cardLocaleService.findVersion(source, lang) : null;
+    const declarations = source.variables || [];
+    const { text, missing, errors } = macroTemplateService.render(
+      version ? version.content : card.content,
+      variables,
+      declarations
+    );
+
+    if (errors.length > 0) {
+      return res.status(422).json({ success: false, message: 'Card template is invalid', errors });
+    }
+
+    // In strict mode every variable without a default needs a value
+    if (strict && missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing values for: ${missing.join(', ')}`,
+        missing
+      });
+    }
+
+    res.json({
+      success: true,
+      cardId: id,
+      lang: version ? version.lang : (card.language || null),
+      text,
+      missing,
+      variables: declarations
+    });
+  } catch (error) {
+    console.error("Error rendering card template:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,99 @@
+const multer = require('multer');
+const cardImportService = require('../services/cardImportService');
+const cardApprovalService = require('../services/cardApprovalService');
+const { permissions } = require('../services/permissionService');
+const { broadcastChange } = require('../utils/broadcastUtils');
+
+// Import files are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  }
+});
+
+// Multipart fields arrive as strings
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+// Import cards into a space from an uploaded file (multipart field "file")
+// or from a JSON body { content, format }. Needs the card:create permission.
+exports.importCards = async (req, res) => {
+  upload.single('file')(req, res, async (err) => {
+    if (err) {
+      console.error('Import upload error:', err);
+      return res.status(400).json({ success: false, message: 'File upload error: ' + err.message });
+    }
+
+    try {
+      const spaceId = req.params.id;
+      const userId = req.user.id;
+      const body = req.body || {};
+
+      let text = null;
+      let filename = '';
+      if (req.file) {
+        text = req.file.buffer.toString('utf8');
+        filename = req.file.originalname || '';
+      } else if (typeof body.content === 'string') {
+        text = body.content;
+      } else if (Array.isArray(body.cards) || Array.isArray(body.macros)) {
+        text = JSON.stringify(body);
+      }
+
+      if (!text || text.trim() === '') {
+        return res.status(400).json({
+          success: false,
+          message: 'Upload a file or send its text as "content"'
+        });
+      }
+
+      const dryRun = isTrue(body.dryRun) || isTrue(req.query.dryRun);
+      // In approval mode cards imported by editors wait for review
+      const pending = cardApprovalService.requiresReview(req.space, userId);
+      const result = await cardImportService.importCards(spaceId, req.user, text, {
+        format: body.format || req.query.format,
+        filename,
+        dryRun,
+        onDuplicate: body.onDuplicate === 'import' ? 'import' : 'skip',
+        defaultType: body.type || 'answer',
+        pending
+      });
+
+      const changeRequests = [];
+      if (pending) {
+        for (const card of result.cards) {
+          changeRequests.push(await cardApprovalService.submitCreate(card, req.user));
+        }
+      }
+
+      // Show the new cards to everyone else working in the space
+      if (!dryRun) {
+        result.cards.forEach(card => {
+          broadcastChange(req, spaceId, { type: 'card:created', card: card.toJSON() });
+        });
+        changeRequests.forEach((changeRequest, index) => {
+          broadcastChange(req, spaceId, {
+            type: 'card:changeRequested',
+            cardId: changeRequest.cardId,
+            changeRequest
+          }, { card: result.cards[index], permission: permissions.CARD_EDIT });
+        });
+      }
+
+      console.log(`User ${userId} ${dryRun ? 'previewed' : 'ran'} ${result.format} import into space ${spaceId}:`, result.summary);
+
+      res.status(dryRun || result.summary.created === 0 ? 200 : 201).json({
+        success: true,
+        ...result,
+        ...(pending ? { changeRequests } : {})
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+      console.error('Error importing cards:', error);
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+};
@@ -0,0 +1,81 @@
+const notificationService = require('../services/notificationService');
+
+// List the current user's notifications (?unread=true&limit=&before=)
+exports.getNotifications = async (req, res) => {
+  try {
+    const before = req.query.before ? new Date(req.query.before) : null;
+    if (before && isNaN(before.getTime())) {
+      return res.status(400).json({ success: false, message: '"before" must be a date' });
+    }
+
+    const result = await notificationService.list(req.user.id, {
+      unreadOnly: req.query.unread === 'true',
+      limit: parseInt(req.query.limit) || 50,
+      before
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Mark one notification as read
+exports.markRead = async (req, res) => {
+  try {
+    const notification = await notificationService.markRead(req.user.id, req.params.id);
+    if (!notification) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    res.json({ success: true, notification });
+  } catch (error) {
+    console.error("Error marking notification as read:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Mark all of the user's notifications as read
+exports.markAllRead = async (req, res) => {
+  try {
+    const updated = await notificationService.markAllRead(req.user.id);
+    res.json({ success: true, updated });
+  } catch (error) {
+    console.error("Error marking notifications as read:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Notification categories the user receives
+exports.getPreferences = async (req, res) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.user.id);
+    if (!preferences) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, preferences });
+  } catch (error) {
+    console.error("Error fetching notification preferences:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Turn notification categories on or off: { comments: false, mentions: true }
+exports.updatePreferences = async (req, res) => {
+  try {
+    const { preferences, errors } = await notificationService.updatePreferences(req.user.id, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid notification preferences', errors });
+    }
+    if (!preferences) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, preferences });
+  } catch (error) {
+    console.error("Error updating notification preferences:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,84 @@
+const multer = require('multer');
+const spaceBundleService = require('../services/spaceBundleService');
+
+// Bundles are read in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 25 * 1024 * 1024, // 25MB limit
+    files: 1
+  }
+});
+
+// Export a space as a JSON (default) or ZIP bundle
+exports.exportSpace = async (req, res) => {
+  try {
+    const spaceId = req.params.id;
+    const userId = req.user.id;
+    const { format = 'json' } = req.query;
+
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'Format must be json or zip' });
+    }
+
+    // The space was loaded and the space:export permission checked by requireSpacePermission
+    const spaceName = req.space ? req.space.name : 'public';
+
+    const bundle = await spaceBundleService.exportSpace(spaceId, { user: req.user });
+    const filename = `space-${spaceName.replace(/[^\w-]+/g, '-').toLowerCase()}-${Date.now()}.${format}`;
+
+    console.log(`User ${userId} exported space ${spaceId} (${bundle.cards.length} cards, ${bundle.connections.length} connections) as ${format}`);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'zip') {
+      res.setHeader('Content-Type', 'application/zip');
+      return res.send(spaceBundleService.toZip(bundle));
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.json(bundle);
+  } catch (error) {
+    console.error('Error exporting space:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Recreate an exported space bundle (multipart field "file", or the bundle as JSON body)
+exports.importSpace = async (req, res) => {
+  upload.single('file')(req, res, async (err) => {
+    if (err) {
+      console.error('Bundle upload error:', err);
+      return res.status(400).json({ success: false, message: 'File upload error: ' + err.message });
+    }
+
+    try {
+      const userId = req.user.id;
+      const input = req.file ? req.file.buffer : req.body;
+
+      if (!input || (!req.file && !input.format)) {
+        return res.status(400).json({ success: false, message: 'Upload a space bundle file or send the bundle as JSON' });
+      }
+
+      const bundle = spaceBundleService.readBundle(input);
+      const result = await spaceBundleService.importBundle(bundle, req.user, {
+        name: req.file ? req.body.name : req.query.name
+      });
+
+      console.log(`User ${userId} imported space bundle as ${result.space._id}:`, result.counts);
+
+      res.status(201).json({
+        success: true,
+        space: result.space,
+        counts: result.counts,
+        idMap: result.idMap,
+        skipped: result.skipped
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+      console.error('Error importing space bundle:', error);
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+};
@@ -0,0 +1,142 @@
+const Space = require('../models/Space');
+const spaceInviteLinkService = require('../services/spaceInviteLinkService');
+const permissionService = require('../services/permissionService');
+
+// Managing links is checked by requireSpacePermission(MEMBER_INVITE) in
+// routes/spaceRoutes.js; joining only needs a login and the token
+
+// Create an invite link (body: role, expiresInDays or expiresAt, maxUses, allowedDomain)
+exports.createLink = async (req, res) => {
+  try {
+    const space = req.space;
+    const { options, errors } = spaceInviteLinkService.validateOptions(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors.join('; ') });
+    }
+
+    // Admins can share links up to editor; only the owner can share admin links
+    if (!permissionService.canAssignRole(space, req.user.id, options.role)) {
+      return res.status(403).json({ success: false, message: `You do not have permission to invite users as ${options.role}` });
+    }
+
+    // Same rule as email invitations
+    if (!space.isPublic) {
+      return res.status(403).json({ success: false, message: 'Invite links can only be created for public spaces' });
+    }
+
+    const link = await spaceInviteLinkService.createLink(space, req.user, options);
+    console.log(`Invite link created for space ${space.name} by ${req.user.email} (role ${link.role})`);
+
+    res.status(201).json({ success: true, link: spaceInviteLinkService.toResponse(link) });
+  } catch (error) {
+    console.error('Error creating invite link:', error);
+    res.status(500).json({ success: false, message: 'Failed to create invite link' });
+  }
+};
+
+// List all invite links of a space, including revoked and used-up ones
+exports.listLinks = async (req, res) => {
+  try {
+    const links = await spaceInviteLinkService.listLinks(req.params.id);
+    res.json({ success: true, links: links.map(link => spaceInviteLinkService.toResponse(link)) });
+  } catch (error) {
+    console.error('Error listing invite links:', error);
+    res.status(500).json({ success: false, message: 'Failed to list invite links' });
+  }
+};
+
+// Revoke an invite link; members who already joined keep their access
+exports.revokeLink = async (req, res) => {
+  try {
+    const link = await spaceInviteLinkService.getLink(req.params.id, req.params.linkId);
+    if (!link) {
+      return res.status(404).json({ success: false, message: 'Invite link not found' });
+    }
+
+    // Admins cannot revoke links that grant more than they could assign
+    if (!permissionService.canAssignRole(req.space, req.user.id, link.role)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to revoke this invite link' });
+    }
+
+    await spaceInviteLinkService.revokeLink(link, req.user);
+    res.json({ success: true, message: 'Invite link revoked', link: spaceInviteLinkService.toResponse(link) });
+  } catch (error) {
+    console.error('Error revoking invite link:', error);
+    res.status(500).json({ success: false, message: 'Failed to revoke invite link' });
+  }
+};
+
+// Load a link by token and its space. Returns { link, space } or sends the
+// error response and returns null.
+const loadByToken = async (req, res) => {
+  const link = await spaceInviteLinkService.findByToken(req.params.token);
+  const space = link ? await Space.findById(link.spaceId) : null;
+  if (!link || !space) {
+    res.status(404).json({ success: false, message: 'Invite link not found' });
+    return null;
+  }
+  return { link, space };
+};
+
+// Preview a link before joining
+exports.previewLink = async (req, res) => {
+  try {
+    const loaded = await loadByToken(req, res);
+    if (!loaded) return;
+
+    const { link, space } = loaded;
+    const unusableReason = link.getUnusableReason();
+    const userId = req.user.id.toString();
+
+    res.json({
+      success: true,
+      link: {
+        role: link.role,
+        expiresAt: link.expiresAt,
+        allowedDomain: link.allowedDomain,
+        active: !unusableReason,
+        unusableReason
+      },
+      space: {
+        _id: space._id,
+        name: space.name,
+        description: space.description
+      },
+      isMember: space.ownerId === userId || space.members.some(member => member.userId === userId)
+    });
+  } catch (error) {
+    console.error('Error previewing invite link:', error);
+    res.status(500).json({ success: false, message: 'Failed to load invite link' });
+  }
+};
+
+// Join the link's space with the link's role
+exports.joinLink = async (req, res) => {
+  try {
+    const loaded = await loadByToken(req, res);
+    if (!loaded) return;
+
+    const { link, space } = loaded;
+    const { joined } = await spaceInviteLinkService.join(link, space, req.user);
+
+    if (!joined) {
+      return res.json({ success: true, message: 'You are already a member of this space', space });
+    }
+
+    // The new member may already be viewing the (public) space
+    const wss = req.app.get('wss');
+    if (wss) {
+      wss.refreshSpacePermissions(space);
+    }
+
+    console.log(`User ${req.user.email} joined space ${space.name} via invite link as ${link.role}`);
+
+    res.json({ success: true, message: 'Joined space successfully', space, role: link.role });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Error joining space via invite link:', error);
+    res.status(500).json({ success: false, message: 'Failed to join space' });
+  }
+};
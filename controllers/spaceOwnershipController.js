@@ -0,0 +1,73 @@
+const spaceOwnershipService = require('../services/spaceOwnershipService');
+
+// Access is checked by requireSpacePermission in routes/spaceRoutes.js:
+// SPACE_TRANSFER for the owner's actions, SPACE_VIEW for the rest
+
+// Apply the new roles to users connected to the space
+const refreshLivePermissions = (req, space) => {
+  const wss = req.app.get('wss');
+  if (wss) {
+    wss.refreshSpacePermissions(space);
+  }
+};
+
+// Respond with a service error (which carries a status) or a generic failure
+const sendError = (res, error, action) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  console.error(`Error trying to ${action}:`, error);
+  res.status(500).json({ success: false, message: `Failed to ${action}` });
+};
+
+// Ask a member to become the owner (body: newOwnerId)
+exports.requestTransfer = async (req, res) => {
+  try {
+    const transfer = await spaceOwnershipService.requestTransfer(req.space, req.user, (req.body || {}).newOwnerId);
+    res.status(201).json({ success: true, message: 'Ownership transfer requested', transfer });
+  } catch (error) {
+    sendError(res, error, 'request ownership transfer');
+  }
+};
+
+// Withdraw a pending transfer
+exports.cancelTransfer = async (req, res) => {
+  try {
+    await spaceOwnershipService.cancelTransfer(req.space);
+    res.json({ success: true, message: 'Ownership transfer cancelled' });
+  } catch (error) {
+    sendError(res, error, 'cancel ownership transfer');
+  }
+};
+
+// The requested new owner accepts
+exports.acceptTransfer = async (req, res) => {
+  try {
+    const space = await spaceOwnershipService.acceptTransfer(req.space, req.user);
+    refreshLivePermissions(req, space);
+    res.json({ success: true, message: 'You are now the owner of this space', space });
+  } catch (error) {
+    sendError(res, error, 'accept ownership transfer');
+  }
+};
+
+// The requested new owner declines
+exports.declineTransfer = async (req, res) => {
+  try {
+    await spaceOwnershipService.declineTransfer(req.space, req.user);
+    res.json({ success: true, message: 'Ownership transfer declined' });
+  } catch (error) {
+    sendError(res, error, 'decline ownership transfer');
+  }
+};
+
+// Leave a space as a member
+exports.leaveSpace = async (req, res) => {
+  try {
+    const space = await spaceOwnershipService.leave(req.space, req.user);
+    refreshLivePermissions(req, space);
+    res.json({ success: true, message: 'You left the space' });
+  } catch (error) {
+    sendError(res, error, 'leave space');
+  }
+};
@@ -0,0 +1,125 @@
+const Card = require('../models/Card');
+const Connection = require('../models/Connection');
+const Space = require('../models/Space');
+const User = require('../models/User');
+const spaceBundleService = require('../services/spaceBundleService');
+const permissionService = require('../services/permissionService');
+
+const { permissions } = permissionService;
+
+// Template gallery: template spaces the user can see (their own, shared with them or public)
+exports.getTemplates = async (req, res) => {
+  try {
+    const userIdStr = req.user.id.toString();
+    const { category } = req.query;
+
+    const query = {
+      isTemplate: true,
+      $or: [
+        { ownerId: userIdStr },
+        { 'members.userId': userIdStr },
+        { isPublic: true }
+      ]
+    };
+    if (category) {
+      query.templateCategory = category;
+    }
+
+    const templates = await Space.find(query).sort({ name: 1 });
+    const templateIds = templates.map(template => template._id.toString());
+
+    const countBySpace = async (Model) => {
+      const counts = await Model.aggregate([
+        { $match: { spaceId: { $in: templateIds }, deletedAt: null } },
+        { $group: { _id: '$spaceId', count: { $sum: 1 } } }
+      ]);
+      return new Map(counts.map(entry => [entry._id, entry.count]));
+    };
+
+    const [cardCounts, connectionCounts, owners] = await Promise.all([
+      countBySpace(Card),
+      countBySpace(Connection),
+      User.find({ _id: { $in: [...new Set(templates.map(template => template.ownerId))] } }).select('name email')
+    ]);
+    const ownerMap = new Map(owners.map(owner => [owner._id.toString(), owner]));
+
+    res.json({
+      success: true,
+      templates: templates.map(template => {
+        const id = template._id.toString();
+        const owner = ownerMap.get(template.ownerId);
+        return {
+          _id: id,
+          name: template.name,
+          description: template.description,
+          category: template.templateCategory,
+          isPublic: template.isPublic,
+          owner: owner ? { id: template.ownerId, name: owner.name, email: owner.email } : null,
+          cardCount: cardCounts.get(id) || 0,
+          connectionCount: connectionCounts.get(id) || 0,
+          updatedAt: template.updatedAt
+        };
+      }),
+      categories: [...new Set(templates.map(template => template.templateCategory).filter(Boolean))].sort()
+    });
+  } catch (error) {
+    console.error('Error getting space templates:', error);
+    res.status(500).json({ success: false, message: 'Failed to get space templates' });
+  }
+};
+
+// Clone a space or template into a new space owned by the user
+exports.cloneSpace = async (req, res) => {
+  try {
+    const spaceId = req.params.id;
+    const userId = req.user.id;
+    const { name, include = 'connections', isPublic = false } = req.body;
+
+    if (!spaceBundleService.cloneLevels.includes(include)) {
+      return res.status(400).json({
+        success: false,
+        message: `include must be one of ${spaceBundleService.cloneLevels.join(', ')}`
+      });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ success: false, message: 'Name must be a non-empty string' });
+    }
+
+    if (spaceId !== 'public') {
+      const access = await permissionService.check(spaceId, userId, permissions.SPACE_VIEW);
+      if (access.error) {
+        return res.status(access.status).json({ success: false, message: access.error });
+      }
+
+      // Cloning copies the content out of the space; templates exist to be cloned
+      if (!access.space.isTemplate && !permissionService.can(access.space, userId, permissions.SPACE_EXPORT)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to clone this space' });
+      }
+
+      // Copying the member list grants those people access, so it needs member management rights
+      if (include === 'members' && !permissionService.can(access.space, userId, permissions.MEMBER_MANAGE)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to clone the members of this space' });
+      }
+    } else if (include === 'members') {
+      return res.status(400).json({ success: false, message: 'The public space has no members to clone' });
+    }
+
+    const result = await spaceBundleService.cloneSpace(spaceId, req.user, { name, include, isPublic });
+
+    console.log(`User ${userId} cloned space ${spaceId} into ${result.space._id} (${include}):`, result.counts);
+
+    res.status(201).json({
+      success: true,
+      space: result.space,
+      counts: result.counts,
+      idMap: result.idMap
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Error cloning space:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,69 @@
+const trashService = require('../services/trashService');
+const { broadcastChange } = require('../utils/broadcastUtils');
+
+// Permissions are checked by requireSpacePermission in routes/spaceRoutes.js
+
+// List trashed cards and connections of a space
+exports.getTrash = async (req, res) => {
+  try {
+    const spaceId = req.params.id;
+    const trash = await trashService.getTrash(spaceId, { user: req.user });
+    res.json({ success: true, spaceId, ...trash });
+  } catch (error) {
+    console.error("Error fetching trash:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Restore trashed cards (with their connections) and connections
+exports.restoreFromTrash = async (req, res) => {
+  try {
+    const spaceId = req.params.id;
+    const { cardIds = [], connectionIds = [] } = req.body;
+
+    if (!Array.isArray(cardIds) || !Array.isArray(connectionIds) ||
+        (cardIds.length === 0 && connectionIds.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'cardIds or connectionIds must be a non-empty array'
+      });
+    }
+
+    const restored = await trashService.restore(spaceId, { cardIds, connectionIds, user: req.user });
+
+    // Restored items reappear on collaborators' canvases
+    restored.cards.forEach(card => {
+      broadcastChange(req, spaceId, { type: 'card:created', card: card.toJSON() });
+    });
+    restored.connections.forEach(connection => {
+      broadcastChange(req, spaceId, { type: 'connection:created', connection: connection.toJSON() });
+    });
+
+    console.log(`User ${req.user.id} restored ${restored.cards.length} cards and ${restored.connections.length} connections in space ${spaceId}`);
+    res.json({ success: true, ...restored });
+  } catch (error) {
+    console.error("Error restoring from trash:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Permanently delete items from the trash (everything if no IDs are given)
+exports.emptyTrash = async (req, res) => {
+  try {
+    const spaceId = req.params.id;
+    const { cardIds, connectionIds } = req.body || {};
+
+    const query = { spaceId };
+    if (Array.isArray(cardIds) || Array.isArray(connectionIds)) {
+      query._id = { $in: [...(cardIds || []), ...(connectionIds || [])] };
+    }
+
+    const result = await trashService.purge(query);
+
+    console.log(`User ${req.user.id} purged trash in space ${spaceId}:`, result);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error emptying trash:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
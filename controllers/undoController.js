@@ -0,0 +1,79 @@
+const operationLogService = require('../services/operationLogService');
+const permissionService = require('../services/permissionService');
+const { broadcastChange } = require('../utils/broadcastUtils');
+
+// Build an undo or redo handler; both share permission checks and broadcasting
+const historyStep = (direction) => async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const spaceId = req.body.spaceId || 'public';
+
+    console.log(`User ${userId} requesting ${direction} in space ${spaceId}`);
+
+    // Undo and redo replay card and connection edits, so they need edit rights
+    const access = await permissionService.check(spaceId, userId, permissionService.permissions.CARD_EDIT);
+    if (access.error) {
+      return res.status(access.status).json({ success: false, message: access.error });
+    }
+
+    // Edit locks and approval mode apply to undo and redo as to any edit
+    const options = { space: access.space };
+    const result = direction === 'undo'
+      ? await operationLogService.undo(req.user, spaceId, options)
+      : await operationLogService.redo(req.user, spaceId, options);
+
+    if (!result) {
+      return res.status(404).json({ success: false, message: `Nothing to ${direction}` });
+    }
+
+    // Every change of the step conflicted or was not permitted: nothing changed and the history did not move
+    if (!result.applied) {
+      return res.status(409).json({
+        success: false,
+        message: `Nothing could be ${direction === 'undo' ? 'undone' : 'redone'}: none of its changes could be applied`,
+        operation: {
+          id: result.operation._id,
+          type: result.operation.type
+        },
+        conflicts: result.conflicts
+      });
+    }
+
+    const changeRequests = result.changeRequests || [];
+
+    // Push the resulting changes to every other collaborator in the space
+    result.events.forEach(event => broadcastChange(req, spaceId, event));
+    changeRequests.forEach(({ card, changeRequest }) => {
+      broadcastChange(req, spaceId, {
+        type: 'card:changeRequested',
+        cardId: card._id,
+        changeRequest
+      }, { card, permission: permissionService.permissions.CARD_EDIT });
+    });
+
+    console.log(`User ${userId} ${direction === 'undo' ? 'undid' : 'redid'} ${result.operation.type} in space ${spaceId} (${result.conflicts.length} conflicts)`);
+
+    res.status(changeRequests.length > 0 ? 202 : 200).json({
+      success: true,
+      operation: {
+        id: result.operation._id,
+        type: result.operation.type
+      },
+      events: result.events,
+      conflicts: result.conflicts,
+      changeRequests: changeRequests.map(({ changeRequest }) => changeRequest)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message, lock: error.lock });
+    }
+    console.error(`Error performing ${direction}:`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Undo the user's last canvas operation in a space
+exports.undo = historyStep('undo');
+
+// Redo the user's last undone canvas operation in a space
+exports.redo = historyStep('redo');
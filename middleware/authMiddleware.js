@@ -55,10 +55,15 @@ exports.authenticateToken = async (req, res, next) => {
   }
 };
 
+// Check if an email belongs to a domain (e.g. 'mebit.io')
+exports.validateEmailDomain = (email, domain) => {
+  if (!email || !domain) return false;
+  return email.toLowerCase().endsWith(`@${domain.toLowerCase()}`);
+};
+
 // Check if user email belongs to mebit.io domain
 exports.validateMebitDomain = (email) => {
-  if (!email) return false;
-  return email.endsWith('@mebit.io');
+  return exports.validateEmailDomain(email, 'mebit.io');
 };
 
 // Middleware to check if user is suspended
@@ -0,0 +1,21 @@
+const permissionService = require('../services/permissionService');
+
+// Require a space permission for the space in req.params[param].
+// Adds the loaded space (null for the public space) and the user's role to the request.
+exports.requireSpacePermission = (permission, param = 'id') => async (req, res, next) => {
+  try {
+    const access = await permissionService.check(req.params[param], req.user.id, permission);
+
+    if (access.error) {
+      console.log(`User ${req.user.id} denied ${permission} in space ${req.params[param]}`);
+      return res.status(access.status).json({ success: false, message: access.error });
+    }
+
+    req.space = access.space;
+    req.spaceRole = access.role;
+    next();
+  } catch (error) {
+    console.error('Error checking space permission:', error);
+    res.status(500).json({ success: false, message: 'Error checking space access' });
+  }
+};
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const canvasOperationSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  spaceId: {
+    type: String,
+    required: true,
+    default: 'public'
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'create_card',
+      'update_card',
+      'move_cards',
+      'delete_cards',
+      'create_connection',
+      'delete_connections'
+    ]
+  },
+  // Everything needed to apply the operation and its inverse
+  payload: {
+    type: Object,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'undone'],
+    default: 'applied'
+  },
+  undoneAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+canvasOperationSchema.index({ userId: 1, spaceId: 1, status: 1, createdAt: -1 });
+
+// TTL index so the operation log doesn't grow forever (7 days)
+canvasOperationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const CanvasOperation = mongoose.model('CanvasOperation', canvasOperationSchema);
+
+module.exports = CanvasOperation;
@@ -12,6 +12,55 @@ const positionSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Template variable declared on a card, used as {{name}} in its content
+const variableSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    default: ''
+  },
+  defaultValue: {
+    type: String,
+    default: null
+  },
+  description: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+// Who may see a restricted card; empty roles and userIds mean everyone in the space
+const visibilitySchema = new mongoose.Schema({
+  roles: {
+    type: [String],
+    default: []
+  },
+  userIds: {
+    type: [String],
+    default: []
+  }
+}, { _id: false });
+
+// Title/content of the card in another language
+const variantSchema = new mongoose.Schema({
+  lang: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  content: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
 const cardSchema = new mongoose.Schema({
   _id: {
     type: String,
@@ -42,6 +91,21 @@ const cardSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Bumped on every change of `content`; collaborative editing sessions use
+  // it to detect changes made outside the session
+  contentVersion: {
+    type: Number,
+    default: 0
+  },
+  // Language of the base title/content, e.g. 'sr'
+  language: {
+    type: String,
+    default: null
+  },
+  variants: {
+    type: [variantSchema],
+    default: []
+  },
   fontSize: {
     type: Number,
     default: 250,
@@ -53,6 +117,45 @@ const cardSchema = new mongoose.Schema({
     default: () => ({ x: 0, y: 0 }),
     required: true
   },
+  variables: {
+    type: [variableSchema],
+    default: []
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  // Values of the custom fields defined on the card's space, keyed by field key
+  customFields: {
+    type: Schema.Types.Mixed,
+    default: () => ({})
+  },
+  visibility: {
+    type: visibilitySchema,
+    default: () => ({ roles: [], userIds: [] })
+  },
+  // Cards created by editors in spaces with approval mode stay pending
+  // (hidden from viewers and AI retrieval) until a reviewer approves them
+  approvalStatus: {
+    type: String,
+    enum: ['approved', 'pending'],
+    default: 'approved'
+  },
+  // Soft delete marker - trashed documents are purged after the retention period
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  deletedBy: {
+    type: String,
+    default: null
+  },
+  // Shared by everything trashed in the same operation so it can be restored together
+  deletionId: {
+    type: String,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -79,6 +182,25 @@ const cardSchema = new mongoose.Schema({
 // Create compound index for faster queries
 cardSchema.index({ userId: 1, spaceId: 1, type: 1 });
 
+// Tag filters within a space
+cardSchema.index({ spaceId: 1, tags: 1 });
+
+// Finding restricted cards
+cardSchema.index({ spaceId: 1, 'visibility.roles': 1 });
+
+// Cards waiting for approval
+cardSchema.index({ spaceId: 1, approvalStatus: 1 });
+
+// Lets the search index pick up recently changed cards
+cardSchema.index({ updatedAt: 1 });
+
+cardSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('content') && !this.isModified('contentVersion')) {
+    this.contentVersion += 1;
+  }
+  next();
+});
+
 const Card = mongoose.model('Card', cardSchema);
 
 module.exports = Card; 
\ No newline at end of file
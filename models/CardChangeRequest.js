@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Card change waiting for review in a space with approval mode
+const cardChangeRequestSchema = new mongoose.Schema({
+  cardId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  spaceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // 'create' publishes a pending new card, 'update' applies `changes` to a card
+  action: {
+    type: String,
+    enum: ['create', 'update'],
+    required: true
+  },
+  // Proposed values of the reviewed fields
+  changes: {
+    type: Object,
+    default: () => ({})
+  },
+  // Values of the changed fields when the request was made, to spot conflicting edits
+  base: {
+    type: Object,
+    default: () => ({})
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+    index: true
+  },
+  authorId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  authorEmail: {
+    type: String,
+    required: true
+  },
+  authorName: {
+    type: String,
+    default: null
+  },
+  reviewerId: {
+    type: String,
+    default: null,
+    ref: 'User'
+  },
+  reviewerName: {
+    type: String,
+    default: null
+  },
+  reviewComment: {
+    type: String,
+    default: '',
+    maxlength: 2000
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// An editor has at most one pending request per card; later edits are merged into it
+cardChangeRequestSchema.index(
+  { cardId: 1, authorId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+cardChangeRequestSchema.index({ spaceId: 1, status: 1, createdAt: -1 });
+
+const CardChangeRequest = mongoose.model('CardChangeRequest', cardChangeRequestSchema);
+
+module.exports = CardChangeRequest;
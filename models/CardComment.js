@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const cardCommentSchema = new mongoose.Schema({
+  cardId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  spaceId: {
+    type: String,
+    required: true,
+    default: 'public',
+    index: true
+  },
+  // Replies point at the first comment of their thread; threads have no parent
+  parentId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  authorId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  authorEmail: {
+    type: String,
+    required: true
+  },
+  authorName: {
+    type: String,
+    default: null
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5000
+  },
+  // IDs of the space members mentioned in the comment
+  mentions: {
+    type: [String],
+    default: []
+  },
+  // Resolve state is kept on the thread (the comment without a parent)
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedBy: {
+    type: String,
+    default: null
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Threads of a card in order
+cardCommentSchema.index({ cardId: 1, parentId: 1, createdAt: 1 });
+
+const CardComment = mongoose.model('CardComment', cardCommentSchema);
+
+module.exports = CardComment;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const cardRevisionSchema = new mongoose.Schema({
+  cardId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  spaceId: {
+    type: String,
+    required: true,
+    default: 'public',
+    index: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'restore', 'import'],
+    default: 'update'
+  },
+  authorId: {
+    type: String,
+    default: null,
+    ref: 'User'
+  },
+  authorEmail: {
+    type: String,
+    default: null
+  },
+  authorName: {
+    type: String,
+    default: null
+  },
+  changedFields: {
+    type: [String],
+    default: []
+  },
+  // Full copy of the versioned fields as they were after this revision
+  snapshot: {
+    type: Object,
+    required: true
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One revision number per card
+cardRevisionSchema.index({ cardId: 1, revision: -1 }, { unique: true });
+
+const CardRevision = mongoose.model('CardRevision', cardRevisionSchema);
+
+module.exports = CardRevision;
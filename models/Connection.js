@@ -28,6 +28,21 @@ const connectionSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Soft delete marker - trashed documents are purged after the retention period
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  deletedBy: {
+    type: String,
+    default: null
+  },
+  // Shared by everything trashed in the same operation so it can be restored together
+  deletionId: {
+    type: String,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -55,9 +70,11 @@ connectionSchema.index({ spaceId: 1, targetId: 1 });
 
 // Pre-save validation to prevent duplicate connections
 connectionSchema.pre('save', async function(next) {
-  // Check if a connection already exists in either direction
+  // Check if another live connection already exists in either direction
   const existingConnection = await this.constructor.findOne({
+    _id: { $ne: this._id },
     spaceId: this.spaceId,
+    deletedAt: null,
     $or: [
       { sourceId: this.sourceId, targetId: this.targetId },
       { sourceId: this.targetId, targetId: this.sourceId }
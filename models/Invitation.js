@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const permissionService = require('../services/permissionService');
 
 const invitationSchema = new mongoose.Schema({
   spaceId: {
@@ -24,7 +25,7 @@ const invitationSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['editor', 'viewer'],
+    enum: permissionService.assignableRoles,
     default: 'viewer'
   },
   status: {
@@ -44,6 +45,11 @@ const invitationSchema = new mongoose.Schema({
   respondedAt: {
     type: Date
   },
+  // Set once the invitee was reminded that the invitation is about to expire
+  expiryReminderSentAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
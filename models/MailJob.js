@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Sent mail is kept for 30 days
+const SENT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// Outgoing email waiting in (or done with) the send queue
+const mailJobSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When a worker claimed the job; jobs stuck in 'sending' are picked up again
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Due jobs for the queue worker
+mailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// TTL on sentAt: only sent jobs (with a date) are removed
+mailJobSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_RETENTION_SECONDS });
+
+const MailJob = mongoose.model('MailJob', mailJobSchema);
+
+module.exports = MailJob;
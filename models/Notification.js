@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+  'invitation:received',
+  'invitation:accepted',
+  'member:roleChanged',
+  'member:removed',
+  'space:deleted',
+  'space:transferRequested',
+  'space:transferAccepted',
+  'space:transferDeclined',
+  'space:ownerChanged',
+  'comment:created',
+  'comment:reply',
+  'comment:mention'
+];
+
+// Notifications are kept for 90 days
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+const notificationSchema = new mongoose.Schema({
+  // Recipient
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // IDs the client needs to open the notification's target
+  data: {
+    spaceId: { type: String, default: null },
+    cardId: { type: String, default: null },
+    commentId: { type: String, default: null },
+    invitationId: { type: String, default: null }
+  },
+  actorId: {
+    type: String,
+    default: null,
+    ref: 'User'
+  },
+  actorName: {
+    type: String,
+    default: null
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: RETENTION_SECONDS
+  }
+}, {
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// A user's notifications, newest first, and their unread count
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, read: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const permissionService = require('../services/permissionService');
 
 const spaceMemberSchema = new mongoose.Schema({
   userId: {
@@ -9,7 +10,7 @@ const spaceMemberSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['owner', 'editor', 'viewer'],
+    enum: permissionService.roles,
     default: 'viewer'
   },
   addedAt: {
@@ -18,6 +19,74 @@ const spaceMemberSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Custom card field definition - values are stored in card.customFields[key]
+const customFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['text', 'enum', 'number', 'date'],
+    required: true
+  },
+  // Allowed values for enum fields
+  options: {
+    type: [String],
+    default: []
+  },
+  required: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// Section-level restriction: cards tagged `tag` are only visible to the
+// listed roles and members (owners and admins always see them)
+const sectionRestrictionSchema = new mongoose.Schema({
+  tag: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  roles: {
+    type: [String],
+    default: []
+  },
+  userIds: {
+    type: [String],
+    default: []
+  }
+}, { _id: false });
+
+// Ownership handover waiting for the new owner to accept
+const ownershipTransferSchema = new mongoose.Schema({
+  toUserId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  requestedBy: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
 const spaceSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -42,6 +111,39 @@ const spaceSchema = new mongoose.Schema({
     type: [spaceMemberSchema],
     default: []
   },
+  customFields: {
+    type: [customFieldSchema],
+    default: []
+  },
+  sectionRestrictions: {
+    type: [sectionRestrictionSchema],
+    default: []
+  },
+  // Approval mode: card changes by editors become change requests that an
+  // owner or admin has to approve
+  requireApproval: {
+    type: Boolean,
+    default: false
+  },
+  ownershipTransfer: {
+    type: ownershipTransferSchema,
+    default: null
+  },
+  // Templates are listed in the template gallery and meant to be cloned
+  isTemplate: {
+    type: Boolean,
+    default: false
+  },
+  templateCategory: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  // Space (or template) this space was cloned from
+  clonedFrom: {
+    type: String,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -64,6 +166,7 @@ const spaceSchema = new mongoose.Schema({
 // Create compound index for faster queries
 spaceSchema.index({ ownerId: 1 });
 spaceSchema.index({ 'members.userId': 1 });
+spaceSchema.index({ isTemplate: 1 });
 
 // Add owner as a member with owner role automatically (only for PRIVATE spaces)
 spaceSchema.pre('save', function(next) {
@@ -154,12 +257,53 @@ spaceSchema.methods.removeMember = function(userId) {
   
   // Remove member from array
   this.members = this.members.filter(member => member.userId !== userIdStr);
+
+  // A pending handover to the removed member is void
+  if (this.ownershipTransfer && this.ownershipTransfer.toUserId === userIdStr) {
+    this.ownershipTransfer = null;
+  }
+};
+
+// Pending ownership handover, or null when there is none or it expired
+spaceSchema.methods.getPendingTransfer = function() {
+  const transfer = this.ownershipTransfer;
+  if (!transfer || !transfer.toUserId || new Date() > transfer.expiresAt) {
+    return null;
+  }
+  return transfer;
+};
+
+// Make another user the owner. The previous owner stays as a member with
+// previousOwnerRole, or leaves the space when it is null.
+spaceSchema.methods.transferOwnership = function(newOwnerId, { previousOwnerRole = 'admin' } = {}) {
+  const newOwnerIdStr = newOwnerId.toString();
+  const previousOwnerId = this.ownerId;
+  const now = new Date();
+
+  const newOwnerEntry = this.members.find(member => member.userId === newOwnerIdStr);
+  const previousOwnerEntry = this.members.find(member => member.userId === previousOwnerId);
+  const members = this.members.filter(member => member.userId !== newOwnerIdStr && member.userId !== previousOwnerId);
+
+  // Like on creation, only private spaces list their owner as a member
+  if (!this.isPublic) {
+    members.push({ userId: newOwnerIdStr, role: 'owner', addedAt: newOwnerEntry ? newOwnerEntry.addedAt : now });
+  }
+  if (previousOwnerRole && previousOwnerId !== newOwnerIdStr) {
+    members.push({ userId: previousOwnerId, role: previousOwnerRole, addedAt: previousOwnerEntry ? previousOwnerEntry.addedAt : now });
+  }
+
+  this.members = members;
+  this.ownerId = newOwnerIdStr;
+  this.ownershipTransfer = null;
+};
+
+// Whether the user holds a permission (see services/permissionService.js)
+spaceSchema.methods.can = function(userId, permission) {
+  return permissionService.can(this, userId, permission);
 };
 
 spaceSchema.methods.canUserEdit = function(userId) {
-  const userIdStr = userId.toString();
-  const role = this.getUserRole(userIdStr);
-  return role === 'owner' || role === 'editor';
+  return this.can(userId, permissionService.permissions.CARD_EDIT);
 };
 
 spaceSchema.methods.canUserView = function(userId) {
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const permissionService = require('../services/permissionService');
+
+const linkUseSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Shareable link that lets anyone who opens it join a space with a role
+const spaceInviteLinkSchema = new mongoose.Schema({
+  spaceId: {
+    type: String,
+    required: true,
+    ref: 'Space',
+    index: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('base64url')
+  },
+  role: {
+    type: String,
+    enum: permissionService.assignableRoles,
+    default: 'viewer'
+  },
+  createdBy: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  // null: the link never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // null: unlimited uses
+  maxUses: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  // Only users with an email in this domain can join, e.g. 'mebit.io'
+  allowedDomain: {
+    type: String,
+    default: null,
+    lowercase: true,
+    trim: true
+  },
+  uses: {
+    type: [linkUseSchema],
+    default: []
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Why a link can no longer be used, or null if it still works
+spaceInviteLinkSchema.methods.getUnusableReason = function() {
+  if (this.revokedAt) {
+    return 'This invite link has been revoked';
+  }
+  if (this.expiresAt && new Date() > this.expiresAt) {
+    return 'This invite link has expired';
+  }
+  if (this.maxUses !== null && this.useCount >= this.maxUses) {
+    return 'This invite link has reached its maximum number of uses';
+  }
+  return null;
+};
+
+spaceInviteLinkSchema.virtual('active').get(function() {
+  return this.getUnusableReason() === null;
+});
+
+const SpaceInviteLink = mongoose.model('SpaceInviteLink', spaceInviteLinkSchema);
+
+module.exports = SpaceInviteLink;
@@ -16,6 +16,25 @@ const canvasStateSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+const notificationPreferencesSchema = new mongoose.Schema({
+  invitations: {
+    type: Boolean,
+    default: true
+  },
+  membership: {
+    type: Boolean,
+    default: true
+  },
+  mentions: {
+    type: Boolean,
+    default: true
+  },
+  comments: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -72,6 +91,11 @@ const userSchema = new mongoose.Schema({
     action: { type: String, enum: ['open', 'copy'], default: 'open' },
     createdAt: { type: Date, default: Date.now }
   }],
+  // In-app notification categories the user wants to receive
+  notificationPreferences: {
+    type: notificationPreferencesSchema,
+    default: () => ({})
+  },
   createdAt: {
     type: Date,
     default: Date.now
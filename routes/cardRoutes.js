@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const cardController = require('../controllers/cardController');
+const cardHistoryController = require('../controllers/cardHistoryController');
+const undoController = require('../controllers/undoController');
+const cardTemplateController = require('../controllers/cardTemplateController');
+const cardCommentController = require('../controllers/cardCommentController');
 
 // Card routes
 router.get('/', cardController.getAllCards);
@@ -11,6 +15,10 @@ router.delete('/:id', cardController.deleteCard);
 router.post('/multiple/delete', cardController.deleteMultipleCards);
 router.post('/positions', cardController.updateCardPositions);
 
+// Undo/redo of the user's canvas operations in a space
+router.post('/undo', undoController.undo);
+router.post('/redo', undoController.redo);
+
 // Connection routes
 router.get('/connections', cardController.getAllConnections);
 router.post('/connections', cardController.createConnection);
@@ -20,6 +28,22 @@ router.delete('/connections/:id', cardController.deleteConnection);
 // Canvas state route
 router.post('/canvas-state', cardController.saveCanvasState);
 
+// Card version history routes
+router.get('/:id/history', cardHistoryController.getCardHistory);
+router.get('/:id/history/diff', cardHistoryController.getRevisionDiff);
+router.post('/:id/history/:revision/restore', cardHistoryController.restoreRevision);
+
+// Card comment threads
+router.get('/:id/comments', cardCommentController.listComments);
+router.post('/:id/comments', cardCommentController.createComment);
+router.put('/:id/comments/:commentId', cardCommentController.updateComment);
+router.delete('/:id/comments/:commentId', cardCommentController.deleteComment);
+router.post('/:id/comments/:commentId/resolve', cardCommentController.resolveComment);
+router.post('/:id/comments/:commentId/unresolve', cardCommentController.unresolveComment);
+
+// Fill a card's template variables
+router.post('/:id/render', cardTemplateController.renderCard);
+
 // Delete all connections for a card
 router.delete('/:cardId/connections', cardController.deleteAllConnectionsForCard);
 
@@ -4,6 +4,70 @@ const Invitation = require('../models/Invitation');
 const Space = require('../models/Space');
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/authMiddleware');
+const permissionService = require('../services/permissionService');
+const notificationService = require('../services/notificationService');
+const invitationMailService = require('../services/invitationMailService');
+
+const { permissions } = permissionService;
+
+// Accept a loaded invitation (with its space populated) for the current user
+const acceptInvitation = async (req, res, invitation) => {
+  const userId = req.user.id;
+  const userEmail = req.user.email;
+
+  // Check if the invitation is for this user
+  if (invitation.inviteeEmail !== userEmail.toLowerCase()) {
+    return res.status(403).json({ 
+      message: 'You are not authorized to accept this invitation' 
+    });
+  }
+
+  // Check if invitation is still valid
+  if (!invitation.isValid()) {
+    return res.status(400).json({ 
+      message: 'This invitation has expired or has already been responded to' 
+    });
+  }
+
+  // Check if space still exists
+  if (!invitation.space) {
+    return res.status(404).json({ message: 'The space for this invitation no longer exists' });
+  }
+
+  // Check if user is already a member (race condition protection)
+  if (invitation.space.members.some(member => member.userId === userId.toString())) {
+    await invitation.accept();
+    return res.json({ 
+      message: 'You are already a member of this space',
+      space: invitation.space
+    });
+  }
+
+  // Add user to space members
+  invitation.space.addMember(userId.toString(), invitation.role);
+  await invitation.space.save();
+  
+  // The new member may already be viewing the (public) space
+  const wss = req.app.get('wss');
+  if (wss) {
+    wss.refreshSpacePermissions(invitation.space);
+  }
+
+  // Update invitation status
+  invitation.inviteeUserId = userId.toString();
+  await invitation.accept();
+
+  console.log(`Invitation accepted: ${userEmail} joined space ${invitation.space.name} as ${invitation.role}`);
+
+  await notificationService.invitationAccepted(invitation, invitation.space, req.user);
+  await invitationMailService.sendAccepted(invitation, invitation.space, req.user);
+
+  res.json({
+    message: 'Invitation accepted successfully',
+    space: invitation.space,
+    role: invitation.role
+  });
+};
 
 // Get all invitations for the current user (both sent and received)
 router.get('/', authenticateToken, async (req, res) => {
@@ -65,9 +129,9 @@ router.post('/', authenticateToken, async (req, res) => {
     }
 
     // Validate role
-    if (!['editor', 'viewer'].includes(role)) {
+    if (!permissionService.assignableRoles.includes(role)) {
       return res.status(400).json({ 
-        message: 'Invalid role. Must be "editor" or "viewer"' 
+        message: `Invalid role. Must be one of: ${permissionService.assignableRoles.join(', ')}` 
       });
     }
 
@@ -77,10 +141,16 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Space not found' });
     }
 
-    // Check if user is the owner of the space
-    if (!space.isOwner(inviterUserId)) {
+    // Owners and admins can invite; only the owner can invite admins
+    if (!permissionService.can(space, inviterUserId, permissions.MEMBER_INVITE)) {
       return res.status(403).json({ 
-        message: 'You do not have permission to invite users to this space' 
+        message: permissionService.deniedMessage(permissions.MEMBER_INVITE) 
+      });
+    }
+    
+    if (!permissionService.canAssignRole(space, inviterUserId, role)) {
+      return res.status(403).json({ 
+        message: `You do not have permission to invite users as ${role}` 
       });
     }
 
@@ -129,6 +199,9 @@ router.post('/', authenticateToken, async (req, res) => {
 
     console.log(`Invitation sent: ${invitation.inviter.name} invited ${normalizedEmail} to ${invitation.space.name}`);
 
+    await notificationService.invitationReceived(invitation, space, req.user);
+    await invitationMailService.sendInvitation(invitation, space, req.user);
+
     res.status(201).json(invitation);
   } catch (error) {
     console.error('Error sending invitation:', error);
@@ -145,59 +218,78 @@ router.post('/', authenticateToken, async (req, res) => {
 // Accept an invitation
 router.post('/:invitationId/accept', authenticateToken, async (req, res) => {
   try {
-    const invitationId = req.params.invitationId;
-    const userId = req.user.id;
-    const userEmail = req.user.email;
-
-    const invitation = await Invitation.findById(invitationId).populate('space');
+    const invitation = await Invitation.findById(req.params.invitationId).populate('space');
 
     if (!invitation) {
       return res.status(404).json({ message: 'Invitation not found' });
     }
 
-    // Check if the invitation is for this user
-    if (invitation.inviteeEmail !== userEmail.toLowerCase()) {
-      return res.status(403).json({ 
-        message: 'You are not authorized to accept this invitation' 
-      });
-    }
+    await acceptInvitation(req, res, invitation);
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({ message: 'Failed to accept invitation' });
+  }
+});
 
-    // Check if invitation is still valid
-    if (!invitation.isValid()) {
-      return res.status(400).json({ 
-        message: 'This invitation has expired or has already been responded to' 
-      });
+// Look up the invitation behind an emailed accept link (no login needed, so
+// invitees without an account can see what they were invited to)
+router.get('/token/:token', async (req, res) => {
+  try {
+    const link = invitationMailService.verifyAcceptToken(req.params.token);
+    if (!link) {
+      return res.status(400).json({ message: 'This invitation link is invalid or has expired' });
     }
 
-    // Check if space still exists
-    if (!invitation.space) {
-      return res.status(404).json({ message: 'The space for this invitation no longer exists' });
-    }
+    const invitation = await Invitation.findById(link.invitationId).populate([
+      {
+        path: 'space',
+        select: 'name description'
+      },
+      {
+        path: 'inviter',
+        select: 'name'
+      }
+    ]);
 
-    // Check if user is already a member (race condition protection)
-    if (invitation.space.members.some(member => member.userId === userId.toString())) {
-      await invitation.accept();
-      return res.json({ 
-        message: 'You are already a member of this space',
-        space: invitation.space
-      });
+    if (!invitation || invitation.inviteeEmail !== link.email) {
+      return res.status(404).json({ message: 'Invitation not found' });
     }
 
-    // Add user to space members
-    invitation.space.addMember(userId.toString(), invitation.role);
-    await invitation.space.save();
-
-    // Update invitation status
-    invitation.inviteeUserId = userId.toString();
-    await invitation.accept();
-
-    console.log(`Invitation accepted: ${userEmail} joined space ${invitation.space.name} as ${invitation.role}`);
+    const hasAccount = !!(await User.exists({ email: invitation.inviteeEmail }));
 
     res.json({
-      message: 'Invitation accepted successfully',
-      space: invitation.space,
-      role: invitation.role
+      invitationId: invitation._id,
+      inviteeEmail: invitation.inviteeEmail,
+      role: invitation.role,
+      message: invitation.message,
+      status: invitation.status,
+      valid: invitation.isValid(),
+      expiresAt: invitation.expiresAt,
+      space: invitation.space ? { name: invitation.space.name, description: invitation.space.description } : null,
+      inviterName: invitation.inviter ? invitation.inviter.name : null,
+      hasAccount
     });
+  } catch (error) {
+    console.error('Error reading invitation link:', error);
+    res.status(500).json({ message: 'Failed to read invitation link' });
+  }
+});
+
+// Accept an invitation from an emailed link after logging in or registering
+router.post('/token/:token/accept', authenticateToken, async (req, res) => {
+  try {
+    const link = invitationMailService.verifyAcceptToken(req.params.token);
+    if (!link) {
+      return res.status(400).json({ message: 'This invitation link is invalid or has expired' });
+    }
+
+    const invitation = await Invitation.findById(link.invitationId).populate('space');
+
+    if (!invitation || invitation.inviteeEmail !== link.email) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    await acceptInvitation(req, res, invitation);
   } catch (error) {
     console.error('Error accepting invitation:', error);
     res.status(500).json({ message: 'Failed to accept invitation' });
@@ -254,11 +346,11 @@ router.delete('/:invitationId', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Invitation not found' });
     }
 
-    // Check if user is the inviter or space owner
+    // Check if user is the inviter or can invite to the space
     const isInviter = invitation.inviterUserId === userId.toString();
-    const isSpaceOwner = invitation.space && invitation.space.isOwner(userId);
+    const canInvite = invitation.space && permissionService.can(invitation.space, userId, permissions.MEMBER_INVITE);
 
-    if (!isInviter && !isSpaceOwner) {
+    if (!isInviter && !canInvite) {
       return res.status(403).json({ 
         message: 'You do not have permission to cancel this invitation' 
       });
@@ -286,8 +378,8 @@ router.get('/space/:spaceId', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Space not found' });
     }
 
-    // Check if user is the owner of the space
-    if (!space.isOwner(userId)) {
+    // Check if user can invite to the space
+    if (!permissionService.can(space, userId, permissions.MEMBER_INVITE)) {
       return res.status(403).json({ 
         message: 'You do not have permission to view invitations for this space' 
       });
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/authMiddleware');
+const notificationController = require('../controllers/notificationController');
+
+// Notification center
+router.get('/', authenticateToken, notificationController.getNotifications);
+router.post('/read-all', authenticateToken, notificationController.markAllRead);
+router.get('/preferences', authenticateToken, notificationController.getPreferences);
+router.put('/preferences', authenticateToken, notificationController.updatePreferences);
+router.post('/:id/read', authenticateToken, notificationController.markRead);
+
+module.exports = router;
@@ -2,7 +2,34 @@ const express = require('express');
 const router = express.Router();
 const Space = require('../models/Space');
 const { authenticateToken } = require('../middleware/authMiddleware');
+const { requireSpacePermission } = require('../middleware/permissionMiddleware');
 const User = require('../models/User');
+const trashController = require('../controllers/trashController');
+const importController = require('../controllers/importController');
+const spaceBundleController = require('../controllers/spaceBundleController');
+const spaceTemplateController = require('../controllers/spaceTemplateController');
+const cardApprovalController = require('../controllers/cardApprovalController');
+const spaceInviteLinkController = require('../controllers/spaceInviteLinkController');
+const spaceOwnershipController = require('../controllers/spaceOwnershipController');
+const cardMetadataService = require('../services/cardMetadataService');
+const permissionService = require('../services/permissionService');
+const cardVisibilityService = require('../services/cardVisibilityService');
+const notificationService = require('../services/notificationService');
+const invitationMailService = require('../services/invitationMailService');
+
+const { permissions } = permissionService;
+
+// Apply role and visibility changes to users connected to the space
+const refreshLivePermissions = (req, space) => {
+  const wss = req.app.get('wss');
+  if (wss) {
+    wss.refreshSpacePermissions(space);
+  }
+};
+
+// Join a space through a shareable invite link (before /:id so 'join' is not taken as an id)
+router.get('/join/:token', authenticateToken, spaceInviteLinkController.previewLink);
+router.post('/join/:token', authenticateToken, spaceInviteLinkController.joinLink);
 
 // Get all spaces where the user is a member
 router.get('/', authenticateToken, async (req, res) => {
@@ -35,6 +62,12 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Template gallery
+router.get('/templates', authenticateToken, spaceTemplateController.getTemplates);
+
+// Recreate a space from an exported bundle
+router.post('/import', authenticateToken, spaceBundleController.importSpace);
+
 // Get a specific space by ID
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
@@ -55,22 +88,15 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
     
-    const space = await Space.findById(spaceId);
-    
-    if (!space) {
-      console.log(`Space ${spaceId} not found`);
-      return res.status(404).json({ message: 'Space not found' });
-    }
+    const access = await permissionService.check(spaceId, userId, permissions.SPACE_VIEW);
     
-    // Use helper method for access check
-    if (!space.hasAccess(userId)) {
-      console.log(`User ${userId} denied access to space ${spaceId}`);
-      console.log(`Space isPublic: ${space.isPublic}, ownerId: ${space.ownerId}, members:`, space.members);
-      return res.status(403).json({ message: 'You do not have permission to access this space' });
+    if (access.error) {
+      console.log(`User ${userId} denied access to space ${spaceId}: ${access.error}`);
+      return res.status(access.status).json({ message: access.error });
     }
     
-    console.log(`User ${userId} granted access to space ${spaceId}`);
-    res.json(space);
+    console.log(`User ${userId} granted access to space ${spaceId} as ${access.role}`);
+    res.json(access.space);
   } catch (error) {
     console.error('Error getting space:', error);
     res.status(500).json({ message: 'Failed to get space' });
@@ -110,31 +136,69 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Update a space
-router.put('/:id', authenticateToken, async (req, res) => {
+// The current user's role and permissions in a space
+router.get('/:id/permissions', authenticateToken, requireSpacePermission(permissions.SPACE_VIEW), (req, res) => {
+  res.json({
+    spaceId: req.params.id,
+    role: req.spaceRole,
+    permissions: permissionService.getPermissions(req.space, req.user.id)
+  });
+});
+
+// Who is currently connected to a space, with their presence status
+router.get('/:id/presence', authenticateToken, requireSpacePermission(permissions.SPACE_VIEW), async (req, res) => {
   try {
-    const spaceId = req.params.id;
-    const userId = req.user.id;
-    const { name, description, isPublic } = req.body;
-    
-    const space = await Space.findById(spaceId);
+    const wss = req.app.get('wss');
+    const users = wss ? await wss.getSpaceUsers(req.params.id) : [];
     
-    if (!space) {
-      return res.status(404).json({ message: 'Space not found' });
-    }
-    
-    // Check if user is the owner of the space
-    if (!space.isOwner(userId)) {
-      return res.status(403).json({ message: 'You do not have permission to update this space' });
-    }
+    res.json({
+      spaceId: req.params.id,
+      users
+    });
+  } catch (error) {
+    console.error('Error getting space presence:', error);
+    res.status(500).json({ message: 'Failed to get space presence' });
+  }
+});
+
+// Update a space
+router.put('/:id', authenticateToken, requireSpacePermission(permissions.SPACE_UPDATE), async (req, res) => {
+  try {
+    const space = req.space;
+    const { name, description, isPublic, customFields, isTemplate, templateCategory, sectionRestrictions, requireApproval } = req.body;
     
     // Update space properties
     if (name) space.name = name;
     if (description !== undefined) space.description = description;
     if (isPublic !== undefined) space.isPublic = isPublic;
+    if (isTemplate !== undefined) space.isTemplate = !!isTemplate;
+    if (templateCategory !== undefined) space.templateCategory = templateCategory || null;
+    if (requireApproval !== undefined) space.requireApproval = !!requireApproval;
+    
+    // Replace the custom card field definitions (existing card values are kept)
+    if (customFields !== undefined) {
+      const { definitions, errors } = cardMetadataService.validateDefinitions(customFields);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid custom fields', errors });
+      }
+      space.customFields = definitions;
+    }
+    
+    // Replace the section (tag) visibility restrictions
+    if (sectionRestrictions !== undefined) {
+      const { sections, errors } = cardVisibilityService.validateSections(sectionRestrictions, space);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid section restrictions', errors });
+      }
+      space.sectionRestrictions = sections;
+    }
     
     await space.save();
     
+    if (isPublic !== undefined || sectionRestrictions !== undefined || requireApproval !== undefined) {
+      refreshLivePermissions(req, space);
+    }
+    
     res.json(space);
   } catch (error) {
     console.error('Error updating space:', error);
@@ -143,23 +207,12 @@ router.put('/:id', authenticateToken, async (req, res) => {
 });
 
 // Delete a space
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requireSpacePermission(permissions.SPACE_DELETE), async (req, res) => {
   try {
     const spaceId = req.params.id;
-    const userId = req.user.id;
-    
-    const space = await Space.findById(spaceId);
-    
-    if (!space) {
-      return res.status(404).json({ message: 'Space not found' });
-    }
-    
-    // Check if user is the owner of the space
-    if (space.ownerId !== userId.toString()) {
-      return res.status(403).json({ message: 'You do not have permission to delete this space' });
-    }
     
     await Space.findByIdAndDelete(spaceId);
+    await notificationService.spaceDeleted(req.space, req.user);
     
     res.json({ message: 'Space deleted successfully' });
   } catch (error) {
@@ -169,10 +222,11 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // Invite a user to a space (replaces direct member addition)
-router.post('/:id/invite', authenticateToken, async (req, res) => {
+router.post('/:id/invite', authenticateToken, requireSpacePermission(permissions.MEMBER_INVITE), async (req, res) => {
   try {
     const spaceId = req.params.id;
     const userId = req.user.id;
+    const space = req.space;
     const { memberEmail, role, message } = req.body;
     
     if (!memberEmail || !role) {
@@ -180,19 +234,13 @@ router.post('/:id/invite', authenticateToken, async (req, res) => {
     }
     
     // Validate role
-    if (!['editor', 'viewer'].includes(role)) {
-      return res.status(400).json({ message: 'Invalid role. Must be "editor" or "viewer"' });
-    }
-    
-    const space = await Space.findById(spaceId);
-    
-    if (!space) {
-      return res.status(404).json({ message: 'Space not found' });
+    if (!permissionService.assignableRoles.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Must be one of: ${permissionService.assignableRoles.join(', ')}` });
     }
     
-    // Check if user is the owner of the space
-    if (!space.isOwner(userId)) {
-      return res.status(403).json({ message: 'You do not have permission to invite users to this space' });
+    // Admins can invite members up to editor; only the owner can invite admins
+    if (!permissionService.canAssignRole(space, userId, role)) {
+      return res.status(403).json({ message: `You do not have permission to invite users as ${role}` });
     }
 
     // Only allow invitations to PUBLIC spaces
@@ -246,6 +294,9 @@ router.post('/:id/invite', authenticateToken, async (req, res) => {
     
     console.log(`Invitation sent: ${invitation.inviter.name} invited ${normalizedEmail} to ${invitation.space.name}`);
     
+    await notificationService.invitationReceived(invitation, space, req.user);
+    await invitationMailService.sendInvitation(invitation, space, req.user);
+    
     res.status(201).json(invitation);
   } catch (error) {
     console.error('Error sending invitation:', error);
@@ -259,6 +310,18 @@ router.post('/:id/invite', authenticateToken, async (req, res) => {
   }
 });
 
+// Shareable invite links
+router.post('/:id/invite-links', authenticateToken, requireSpacePermission(permissions.MEMBER_INVITE), spaceInviteLinkController.createLink);
+router.get('/:id/invite-links', authenticateToken, requireSpacePermission(permissions.MEMBER_INVITE), spaceInviteLinkController.listLinks);
+router.delete('/:id/invite-links/:linkId', authenticateToken, requireSpacePermission(permissions.MEMBER_INVITE), spaceInviteLinkController.revokeLink);
+
+// Ownership transfer (confirmed by the new owner) and leaving a space
+router.post('/:id/transfer', authenticateToken, requireSpacePermission(permissions.SPACE_TRANSFER), spaceOwnershipController.requestTransfer);
+router.delete('/:id/transfer', authenticateToken, requireSpacePermission(permissions.SPACE_TRANSFER), spaceOwnershipController.cancelTransfer);
+router.post('/:id/transfer/accept', authenticateToken, requireSpacePermission(permissions.SPACE_VIEW), spaceOwnershipController.acceptTransfer);
+router.post('/:id/transfer/decline', authenticateToken, requireSpacePermission(permissions.SPACE_VIEW), spaceOwnershipController.declineTransfer);
+router.post('/:id/leave', authenticateToken, requireSpacePermission(permissions.SPACE_VIEW), spaceOwnershipController.leaveSpace);
+
 // Remove a member from a space
 router.delete('/:id/members/:memberId', authenticateToken, async (req, res) => {
   try {
@@ -272,21 +335,26 @@ router.delete('/:id/members/:memberId', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Space not found' });
     }
     
-    // Check if user is the owner of the space or the member being removed
-    const userIdStr = userId.toString();
-    if (space.ownerId !== userIdStr && userIdStr !== memberIdToRemove) {
-      return res.status(403).json({ message: 'You do not have permission to remove this member' });
-    }
-    
     // Cannot remove the owner
     if (memberIdToRemove === space.ownerId) {
       return res.status(400).json({ message: 'Cannot remove the owner of the space' });
     }
     
+    // Members may always leave; removing someone else needs member management rights over them
+    const userIdStr = userId.toString();
+    if (userIdStr !== memberIdToRemove && !permissionService.canManageMember(space, userIdStr, memberIdToRemove)) {
+      return res.status(403).json({ message: 'You do not have permission to remove this member' });
+    }
+    
     // Remove the member
-    space.members = space.members.filter(member => member.userId !== memberIdToRemove);
+    space.removeMember(memberIdToRemove);
     
     await space.save();
+    refreshLivePermissions(req, space);
+    
+    if (userIdStr !== memberIdToRemove) {
+      await notificationService.memberRemoved(space, memberIdToRemove, req.user);
+    }
     
     res.json(space);
   } catch (error) {
@@ -308,8 +376,8 @@ router.put('/:id/members/:memberId', authenticateToken, async (req, res) => {
     }
     
     // Validate role
-    if (!['editor', 'viewer'].includes(role)) {
-      return res.status(400).json({ message: 'Invalid role. Must be "editor" or "viewer"' });
+    if (!permissionService.assignableRoles.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Must be one of: ${permissionService.assignableRoles.join(', ')}` });
     }
     
     const space = await Space.findById(spaceId);
@@ -318,16 +386,17 @@ router.put('/:id/members/:memberId', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Space not found' });
     }
     
-    // Check if user is the owner of the space
-    if (space.ownerId !== userId.toString()) {
-      return res.status(403).json({ message: 'You do not have permission to update member roles' });
-    }
-    
     // Cannot update the owner's role
     if (memberIdToUpdate === space.ownerId) {
       return res.status(400).json({ message: 'Cannot update the role of the owner' });
     }
     
+    // Admins manage editors, commenters and viewers; only the owner manages admins
+    if (!permissionService.canManageMember(space, userId, memberIdToUpdate) ||
+        !permissionService.canAssignRole(space, userId, role)) {
+      return res.status(403).json({ message: 'You do not have permission to update member roles' });
+    }
+    
     // Find and update the member
     const memberIndex = space.members.findIndex(member => member.userId === memberIdToUpdate);
     
@@ -338,6 +407,8 @@ router.put('/:id/members/:memberId', authenticateToken, async (req, res) => {
     space.members[memberIndex].role = role;
     
     await space.save();
+    refreshLivePermissions(req, space);
+    await notificationService.roleChanged(space, memberIdToUpdate, role, req.user);
     
     res.json(space);
   } catch (error) {
@@ -346,4 +417,24 @@ router.put('/:id/members/:memberId', authenticateToken, async (req, res) => {
   }
 });
 
+// Trash: soft-deleted cards and connections of a space
+router.get('/:id/trash', authenticateToken, requireSpacePermission(permissions.SPACE_VIEW), trashController.getTrash);
+router.post('/:id/trash/restore', authenticateToken, requireSpacePermission(permissions.TRASH_RESTORE), trashController.restoreFromTrash);
+router.delete('/:id/trash', authenticateToken, requireSpacePermission(permissions.TRASH_PURGE), trashController.emptyTrash);
+
+// Approval mode: review card changes made by editors
+router.get('/:id/change-requests', authenticateToken, requireSpacePermission(permissions.CARD_EDIT), cardApprovalController.listChangeRequests);
+router.get('/:id/change-requests/:requestId', authenticateToken, requireSpacePermission(permissions.CARD_EDIT), cardApprovalController.getChangeRequest);
+router.post('/:id/change-requests/:requestId/approve', authenticateToken, requireSpacePermission(permissions.CARD_APPROVE), cardApprovalController.approveChangeRequest);
+router.post('/:id/change-requests/:requestId/reject', authenticateToken, requireSpacePermission(permissions.CARD_APPROVE), cardApprovalController.rejectChangeRequest);
+
+// Import cards from CSV, JSON or Zendesk/Freshdesk macro exports
+router.post('/:id/import', authenticateToken, requireSpacePermission(permissions.CARD_CREATE), importController.importCards);
+
+// Export a space as a portable JSON/ZIP bundle
+router.get('/:id/export', authenticateToken, requireSpacePermission(permissions.SPACE_EXPORT), spaceBundleController.exportSpace);
+
+// Clone a space or template (cards, cards + connections, or everything including members)
+router.post('/:id/clone', authenticateToken, spaceTemplateController.cloneSpace);
+
 module.exports = router; 
\ No newline at end of file
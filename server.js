@@ -13,6 +13,14 @@ const { authenticateToken } = require('./middleware/authMiddleware');
 const fs = require('fs');
 const connectDB = require('./utils/dbConnect');
 const WebSocketServer = require('./websocket/websocketServer');
+const trashService = require('./services/trashService');
+const notificationService = require('./services/notificationService');
+const collabEditService = require('./services/collabEditService');
+const mailService = require('./services/mailService');
+const invitationMailService = require('./services/invitationMailService');
+const cardLockService = require('./services/cardLockService');
+const spaceEventLogService = require('./services/spaceEventLogService');
+const { createAdapter } = require('./services/realtimeAdapters');
 require('dotenv').config();
 
 const app = express();
@@ -36,8 +44,29 @@ if (!process.env.JWT_SECRET) {
 // Connect to MongoDB
 connectDB();
 
+// Periodically purge trashed cards/connections past the retention period
+trashService.startPurgeSchedule();
+
+// Send queued email (with retries) and remind invitees before invitations expire
+mailService.startQueue();
+invitationMailService.startReminderSchedule();
+
+// Shared realtime state and pub/sub, so several instances can serve the same spaces
+const realtimeAdapter = createAdapter();
+cardLockService.attach(realtimeAdapter);
+spaceEventLogService.attach(realtimeAdapter);
+
 // Initialize WebSocket server
-const wss = new WebSocketServer(server);
+const wss = new WebSocketServer(server, { adapter: realtimeAdapter });
+
+// Expose the WebSocket server to controllers via req.app.get('wss')
+app.set('wss', wss);
+
+// Deliver notifications live to connected users
+notificationService.attach(wss);
+
+// Relay and save collaborative edits of card content
+collabEditService.attach(wss);
 
 // Ensure data directory exists for files that still need it (like agent-guidelines.txt)
 const dataDir = path.join(__dirname, 'data');
@@ -53,7 +82,7 @@ if (!fs.existsSync(dataDir)) {
       : ['http://localhost:3000', 'http://127.0.0.1:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-Id']
 };
 
 app.use(cors(corsOptions));
@@ -77,7 +106,9 @@ app.use('/api/ai', authenticateToken, aiRoutes);
 app.use('/api/ai-chat', authenticateToken, aiChatRoutes);
 app.use('/api/spaces', authenticateToken, spaceRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
-app.use('/api/invitations', authenticateToken, require('./routes/invitationRoutes'));
+// Invitation routes authenticate individually: emailed accept links are opened before login
+app.use('/api/invitations', require('./routes/invitationRoutes'));
+app.use('/api/notifications', authenticateToken, require('./routes/notificationRoutes'));
 
 // Check for unknown routes
 app.use((req, res, next) => {
@@ -2,8 +2,13 @@ const { OpenAI } = require('openai');
 const Card = require('../models/Card');
 const Space = require('../models/Space');
 const Connection = require('../models/Connection');
+const User = require('../models/User');
 const ConversationStateManager = require('./conversationStateManager');
 const CardWorkflowEngine = require('./cardWorkflowEngine');
+const cardMetadataService = require('./cardMetadataService');
+const macroTemplateService = require('./macroTemplateService');
+const cardLocaleService = require('./cardLocaleService');
+const cardVisibilityService = require('./cardVisibilityService');
 const fs = require('fs');
 const path = require('path');
 
@@ -225,7 +230,7 @@ class AIChatService {
     console.log('⚙️ Options:', options);
     
     try {
-      const { mode = 'search', limit = 10, spaceId = null, searchAll = false, conversationHistory = [] } = options;
+      const { mode = 'search', limit = 10, spaceId = null, searchAll = false, conversationHistory = [], filters = null } = options;
       
       // Get user's accessible spaces (private spaces where user is owner/member)
       console.log('\n🏢 Getting user\'s private spaces...');
@@ -273,9 +278,17 @@ class AIChatService {
         console.log('🔍 Searching across all accessible spaces:', allAccessibleSpaceIds.length);
       }
       
+      // Tag / custom field filters, e.g. only macros for one product or language
+      if (cardMetadataService.hasFilters(filters)) {
+        cardQuery = { ...cardQuery, ...cardMetadataService.buildQuery(filters) };
+        console.log('🏷️ Applying card filters:', filters);
+      }
+      
       // Get all accessible cards
       console.log('\n📚 Fetching accessible cards...');
-      const allCards = await Card.find(cardQuery).lean();
+      // Trashed cards and cards restricted to other roles or members never feed AI retrieval
+      const visibilityQuery = await this.getVisibilityQuery(userId);
+      const allCards = await Card.find({ ...cardQuery, ...visibilityQuery, deletedAt: null }).lean();
 
       console.log(`✅ Found ${allCards.length} accessible cards for user ${userId}`);
       console.log('📈 Card distribution by space:');
@@ -369,7 +382,7 @@ class AIChatService {
 
       // Get all connections for workflow analysis
       console.log('\n🔗 Fetching connections for workflow analysis...');
-      const allConnections = await Connection.find({}).lean();
+      const allConnections = await Connection.find({ deletedAt: null }).lean();
       console.log(`📎 Found ${allConnections.length} total connections`);
       
       // Analyze connections to see which cards they reference
@@ -547,7 +560,10 @@ class AIChatService {
     
     const results = cards.map(card => {
       let score = 0;
-      const content = `${card.title} ${card.content || ''}`.toLowerCase();
+      // Every language variant of the card is searchable
+      const versions = cardLocaleService.listVersions(card);
+      const content = versions.map(version => `${version.title} ${version.content || ''}`).join(' ').toLowerCase();
+      const titles = versions.map(version => version.title.toLowerCase());
       
       console.log(`\n🔍 Analyzing card: "${card.title}"`);
       console.log('🏠 Card space info:', {
@@ -570,7 +586,7 @@ class AIChatService {
         }
         
         // Title matches get bonus
-        if (card.title.toLowerCase().includes(term)) {
+        if (titles.some(title => title.includes(term))) {
           score += 20;
           console.log(`🎯 Term "${term}" found in title (+20)`);
         }
@@ -587,6 +603,8 @@ class AIChatService {
         cardTitle: card.title,
         cardContent: card.content || '',
         cardCategory: card.category || '',
+        cardLanguage: card.language || null,
+        cardVariants: card.variants || [],
         spaceId: card.spaceId?._id || card.spaceId || 'unknown',
         spaceName: card.spaceId?.name || 'Unknown Space',
         relevanceScore: score,
@@ -819,23 +837,27 @@ class AIChatService {
       
       // Get all cards that match these IDs to have their details
       const startingCards = await Card.find({ 
-        _id: { $in: cardIds } 
+        _id: { $in: cardIds },
+        deletedAt: null
       }).lean();
       
       console.log('📚 Starting cards:', startingCards.map(c => `"${c.title}"`));
       
       // Get ALL connections in the system to map complete network
-      const allConnections = await Connection.find({}).lean();
+      const allConnections = await Connection.find({ deletedAt: null }).lean();
       console.log(`🔗 Total connections in system: ${allConnections.length}`);
       
       // Find all cards connected to our starting cards (both directions, recursively)
       const allRelatedCardIds = await this.findAllRelatedCards(cardIds, allConnections);
       console.log(`🎯 Found ${allRelatedCardIds.size} related cards total`);
       
-      // Get full details of all related cards (no space restrictions for process analysis)
+      // Get full details of all related cards (no space restrictions for process analysis,
+      // but restricted cards stay hidden)
       console.log('📚 Fetching full details for all related cards...');
       const allRelatedCards = await Card.find({ 
-        _id: { $in: Array.from(allRelatedCardIds) } 
+        _id: { $in: Array.from(allRelatedCardIds) },
+        ...(await this.getVisibilityQuery(userId)),
+        deletedAt: null
       }).lean();
       
       console.log(`✅ Retrieved ${allRelatedCards.length} related cards from database`);
@@ -1179,13 +1201,25 @@ class AIChatService {
     return component;
   }
   
+  /**
+   * Mongo filter for the cards a user may see (card and section visibility
+   * rules). Cards still waiting for approval never feed AI retrieval.
+   */
+  async getVisibilityQuery(userId) {
+    const user = await User.findById(userId).select('email').lean();
+    return {
+      ...(await cardVisibilityService.buildQuery({ id: userId, email: user ? user.email : null })),
+      approvalStatus: { $ne: 'pending' }
+    };
+  }
+
   /**
    * Get accessible cards for a user (helper function)
    */
   async getAccessibleCards(userId) {
     try {
-      // Get all cards in system for process mode
-      const allCards = await Card.find({}).lean();
+      // Get all cards in system for process mode, except those restricted from this user
+      const allCards = await Card.find({ ...(await this.getVisibilityQuery(userId)), deletedAt: null }).lean();
       
       // Get space info
       const uniqueSpaceIds = [...new Set(allCards.map(card => card.spaceId).filter(Boolean))];
@@ -1229,7 +1263,7 @@ class AIChatService {
   async getWorkflowCards(cardId, userId) {
     try {
       // Get all connections and cards
-      const allConnections = await Connection.find({}).lean();
+      const allConnections = await Connection.find({ deletedAt: null }).lean();
       const cardsWithSpaceInfo = await this.getAccessibleCards(userId);
       
       // Find all related cards in the workflow
@@ -1378,6 +1412,30 @@ class AIChatService {
     const startTime = Date.now();
     
     try {
+      // Translating a stored card: answer with its stored variant instead of machine translation
+      if (mode === 'translate') {
+        const stored = this.findStoredTranslation(message, searchResults.results || searchResults || [], context);
+        if (stored) {
+          console.log(`🌐 Using stored "${stored.lang}" variant of card ${stored.source.cardId}`);
+          return {
+            content: stored.text,
+            sources: [stored.source],
+            confidence: 100,
+            processFlow: [],
+            processMetadata: null,
+            metadata: {
+              processingTime: Date.now() - startTime,
+              tokensUsed: 0,
+              model: 'stored-variant',
+              temperature: 0,
+              mode,
+              translationSource: 'stored',
+              targetLanguage: stored.lang
+            }
+          };
+        }
+      }
+      
       if (!openai) {
         console.log('⚠️ OpenAI not available - using fallback response');
         return this.generateFallbackResponse(message, mode, searchResults);
@@ -1391,13 +1449,33 @@ class AIChatService {
       });
       
       // Build context from search results
-      const results = searchResults.results || searchResults || [];
+      let results = searchResults.results || searchResults || [];
       console.log('🔍 Processing search results for AI context...');
       
       let cardContext = '';
       let responseMode = 'single'; // Default to single card response
       let workflowCards = []; // Store workflow cards for sources
       
+      // Macro mode: prefer the primary card's stored variant in the customer's language,
+      // then fill its template variables from the customer message
+      let macroTemplate = null;
+      let customerLanguage = null;
+      let storedVariant = null;
+      if (mode === 'macro' && results.length > 0 && results[0].cardId) {
+        customerLanguage = cardLocaleService.normalizeLanguage(context.language) || cardLocaleService.detectLanguage(message);
+        storedVariant = customerLanguage ? await this.getStoredVariant(results[0].cardId, customerLanguage) : null;
+        if (storedVariant) {
+          results = [{ ...results[0], cardTitle: storedVariant.title, cardContent: storedVariant.content }, ...results.slice(1)];
+          console.log(`🌐 Using stored "${storedVariant.lang}" variant of the primary card`);
+        }
+        
+        macroTemplate = await this.fillMacroVariables(results[0].cardId, message, context.recentMessages, storedVariant ? storedVariant.lang : null);
+        if (macroTemplate) {
+          results = [{ ...results[0], cardContent: macroTemplate.text }, ...results.slice(1)];
+          console.log('🧩 Filled macro variables:', macroTemplate.values, 'missing:', macroTemplate.missing);
+        }
+      }
+      
       if (results.length > 0) {
         // Check if this is a contextual workflow answer
         const isContextual = results[0]?.isContextual;
@@ -1479,6 +1557,16 @@ Instructions: Use primarily this card's content. Only reference other cards if a
         }
       }
       
+      if (mode === 'macro' && customerLanguage && cardContext) {
+        cardContext += storedVariant
+          ? `\nLANGUAGE: The card above is already written in the customer's language (${storedVariant.lang}). Do not translate it.`
+          : `\nLANGUAGE: The customer writes in "${customerLanguage}". Write the response in that language, translating the card content.`;
+      }
+      
+      if (macroTemplate && macroTemplate.missing.length > 0) {
+        cardContext += `\nUNFILLED VARIABLES: ${macroTemplate.missing.map(name => `{{${name}}}`).join(', ')} - keep these placeholders exactly as written so the agent can fill them in.`;
+      }
+      
       console.log('📝 Card context length:', cardContext.length);
       console.log('⚙️ Response mode:', responseMode);
       
@@ -1500,7 +1588,9 @@ Instructions: Use primarily this card's content. Only reference other cards if a
         console.log('🧠 Adding conversation context enhancement:', contextEnhancement.length, 'characters');
       }
 
-      const userPrompt = this.buildUserPrompt(message, mode, cardContext, conversationContext, contextEnhancement);
+      const userPrompt = this.buildUserPrompt(message, mode, cardContext, conversationContext, contextEnhancement, {
+        targetLanguage: this.getTargetLanguage(message, context)
+      });
       console.log('📨 User prompt length:', userPrompt.length);
       
       console.log(`\n🧠 Calling OpenAI API (${mode} mode)...`);
@@ -1574,6 +1664,8 @@ Instructions: Use primarily this card's content. Only reference other cards if a
         })),
         confidence,
         processFlow,
+        // Variable values filled into the macro card template (macro mode)
+        template: macroTemplate,
         // For process mode, add enhanced metadata about the process analysis
         processMetadata: mode === 'process' && processFlow ? {
           totalBranches: processFlow.branches?.length || 0,
@@ -1610,10 +1702,164 @@ Instructions: Use primarily this card's content. Only reference other cards if a
     }
   }
   
+  /**
+   * Fill a macro card's template variables with values extracted from the
+   * customer message. Returns null if the card content is not a template.
+   */
+  async fillMacroVariables(cardId, message, recentMessages = [], lang = null) {
+    try {
+      const card = await Card.findOne({ _id: cardId, deletedAt: null })
+        .select('title content language variants variables')
+        .lean();
+      if (!card) return null;
+      
+      const version = lang ? cardLocaleService.findVersion(card, lang) : null;
+      const content = version ? version.content : card.content;
+      if (!macroTemplateService.isTemplate(content)) return null;
+      
+      const declarations = card.variables || [];
+      const variables = macroTemplateService.extractVariables(content);
+      const values = await this.extractVariableValues(message, variables, declarations, recentMessages);
+      const { text, missing } = macroTemplateService.render(content, values, declarations);
+      
+      return { cardId, values, missing, text };
+    } catch (error) {
+      console.error('AI Chat Service: Failed to fill macro variables:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Stored language variant of a card ({ lang, title, content }), or null
+   */
+  async getStoredVariant(cardId, lang) {
+    const card = await Card.findOne({ _id: cardId, deletedAt: null })
+      .select('title content language variants')
+      .lean();
+    return card ? cardLocaleService.findVersion(card, lang) : null;
+  }
+  
+  /**
+   * Language to translate into: explicit in the chat context, otherwise
+   * English for non-English text (null leaves it to the model)
+   */
+  getTargetLanguage(message, context = {}) {
+    const explicit = cardLocaleService.normalizeLanguage(context.targetLanguage || context.language);
+    if (explicit) return explicit;
+    
+    const source = cardLocaleService.detectLanguage(message);
+    return source && source !== 'en' ? 'en' : null;
+  }
+  
+  /**
+   * If the text to translate is (nearly) the text of a found card and that card
+   * has a stored variant in the target language, return that variant
+   */
+  findStoredTranslation(message, results, context = {}) {
+    const targetLanguage = this.getTargetLanguage(message, context);
+    if (!targetLanguage) return null;
+    
+    const words = (text) => new Set((text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    const similarity = (a, b) => {
+      const intersection = [...a].filter(word => b.has(word)).length;
+      const union = new Set([...a, ...b]).size;
+      return union === 0 ? 0 : intersection / union;
+    };
+    const messageWords = words(message);
+    
+    for (const result of results.slice(0, 3)) {
+      if (!result.cardVariants || result.cardVariants.length === 0) continue;
+      
+      const card = {
+        title: result.cardTitle,
+        content: result.cardContent,
+        language: result.cardLanguage,
+        variants: result.cardVariants
+      };
+      const target = cardLocaleService.findVersion(card, targetLanguage);
+      if (!target || !target.content) continue;
+      
+      const matchesSource = cardLocaleService.listVersions(card)
+        .filter(version => version !== target && version.lang !== target.lang)
+        .some(version => similarity(messageWords, words(version.content)) >= 0.6);
+      
+      if (matchesSource) {
+        return {
+          lang: target.lang,
+          text: target.content,
+          source: {
+            cardId: result.cardId,
+            cardTitle: target.title,
+            spaceId: result.spaceId,
+            spaceName: result.spaceName,
+            relevanceScore: result.relevanceScore,
+            excerpt: result.excerpt,
+            isConnectedCard: false,
+            cardType: result.cardType || 'action'
+          }
+        };
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Ask the model for variable values stated in the customer message
+   */
+  async extractVariableValues(message, variables, declarations, recentMessages = []) {
+    if (!openai || variables.length === 0) return {};
+    
+    const declarationMap = new Map(declarations.map(variable => [variable.name, variable]));
+    const variableList = variables.map(variable => {
+      const declaration = declarationMap.get(variable.name) || {};
+      const label = declaration.label && declaration.label !== variable.name ? ` (${declaration.label})` : '';
+      return `- ${variable.name}${label}${declaration.description ? `: ${declaration.description}` : ''}`;
+    }).join('\n');
+    
+    const conversation = (recentMessages || []).slice(-5)
+      .map(msg => `${msg.type === 'user' ? 'User' : 'AI'}: ${msg.content}`)
+      .join('\n');
+    
+    const response = await openai.chat.completions.create({
+      model: "gpt-4.1-nano-2025-04-14",
+      messages: [
+        {
+          role: "system",
+          content: 'You extract values for template variables from customer service messages. Reply with a JSON object mapping variable names to string values. Include only variables whose value is explicitly stated - never guess or invent values.'
+        },
+        {
+          role: "user",
+          content: `VARIABLES:\n${variableList}\n\nCUSTOMER MESSAGE: "${message}"${conversation ? `\n\nPREVIOUS CONVERSATION:\n${conversation}` : ''}`
+        }
+      ],
+      temperature: 0,
+      max_tokens: 300,
+      response_format: { type: 'json_object' }
+    });
+    
+    let extracted = {};
+    try {
+      extracted = JSON.parse(response.choices[0].message.content || '{}');
+    } catch (error) {
+      console.error('AI Chat Service: Variable extraction returned invalid JSON');
+      return {};
+    }
+    
+    // Keep plain values for known variables only
+    return variables.reduce((values, variable) => {
+      const value = extracted[variable.name];
+      if (['string', 'number'].includes(typeof value) && String(value).trim() !== '') {
+        values[variable.name] = String(value).trim();
+      }
+      return values;
+    }, {});
+  }
+  
   /**
    * Build user prompt based on mode and context
    */
-  buildUserPrompt(message, mode, cardContext, conversationContext, contextEnhancement = '') {
+  buildUserPrompt(message, mode, cardContext, conversationContext, contextEnhancement = '', options = {}) {
     let prompt = '';
     
     switch (mode) {
@@ -1656,7 +1902,9 @@ Focus on key points, decisions, and action items.`;
         break;
         
       case 'translate':
-        prompt = `Translate this text while maintaining professional business tone: "${message}"
+        prompt = options.targetLanguage
+          ? `Translate this text into "${options.targetLanguage}" while maintaining professional business tone: "${message}"`
+          : `Translate this text while maintaining professional business tone: "${message}"
         
 If the target language is not specified, detect the source language and translate to English.`;
         break;
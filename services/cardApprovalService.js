@@ -0,0 +1,238 @@
+/**
+ * Card Approval Service
+ * Approval mode for spaces: content changes by editors are held as change
+ * requests (and new cards stay pending) until an owner or admin approves them,
+ * so viewers and AI retrieval only ever see approved content.
+ */
+
+const mongoose = require('mongoose');
+const Card = require('../models/Card');
+const CardChangeRequest = require('../models/CardChangeRequest');
+const cardHistoryService = require('./cardHistoryService');
+const permissionService = require('./permissionService');
+const trashService = require('./trashService');
+
+// Card fields whose changes need approval; position, size and other layout changes apply directly
+const REVIEWED_FIELDS = ['type', 'title', 'content', 'language', 'variants', 'variables', 'tags', 'customFields'];
+
+const approvalError = (message, status = 400, extra = {}) => Object.assign(new Error(message), { status }, extra);
+
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+class CardApprovalService {
+  constructor() {
+    this.reviewedFields = REVIEWED_FIELDS;
+  }
+
+  /**
+   * Whether a user's card changes in a space have to be approved
+   */
+  requiresReview(space, userId) {
+    return !!space && space !== 'public' && !!space.requireApproval &&
+      !permissionService.can(space, userId, permissionService.permissions.CARD_APPROVE);
+  }
+
+  /**
+   * Split card updates into reviewed fields and fields that apply directly
+   */
+  splitUpdates(updates) {
+    const reviewed = {};
+    const direct = {};
+    Object.keys(updates).forEach(key => {
+      if (REVIEWED_FIELDS.includes(key)) {
+        reviewed[key] = updates[key];
+      } else {
+        direct[key] = updates[key];
+      }
+    });
+    return { reviewed, direct };
+  }
+
+  /**
+   * Hold changes to a published card for review. Changes that match the card
+   * are dropped; a user's later changes are merged into their pending request.
+   * Returns the request, or null when nothing changed.
+   */
+  async submitChange(card, user, changes) {
+    const current = card.toObject();
+    const changed = Object.keys(changes).filter(field =>
+      JSON.stringify(toPlain(changes[field])) !== JSON.stringify(toPlain(current[field]))
+    );
+
+    if (changed.length === 0) {
+      return null;
+    }
+
+    const proposed = {};
+    const base = {};
+    changed.forEach(field => {
+      proposed[field] = toPlain(changes[field]);
+      base[field] = toPlain(current[field]);
+    });
+
+    const authorId = user.id.toString();
+    const existing = await CardChangeRequest.findOne({ cardId: card._id, authorId, status: 'pending' });
+
+    if (existing) {
+      existing.changes = { ...existing.changes, ...proposed };
+      // Keep the values the first change was based on
+      existing.base = { ...base, ...existing.base };
+      await existing.save();
+      return existing;
+    }
+
+    const request = new CardChangeRequest({
+      cardId: card._id,
+      spaceId: card.spaceId,
+      action: 'update',
+      changes: proposed,
+      base,
+      authorId,
+      authorEmail: user.email,
+      authorName: user.name
+    });
+    await request.save();
+    return request;
+  }
+
+  /**
+   * Request approval for a new card. The card itself must already be pending.
+   */
+  async submitCreate(card, user) {
+    const request = new CardChangeRequest({
+      cardId: card._id,
+      spaceId: card.spaceId,
+      action: 'create',
+      authorId: user.id.toString(),
+      authorEmail: user.email,
+      authorName: user.name
+    });
+    await request.save();
+    return request;
+  }
+
+  /**
+   * Change requests of a space, newest first
+   */
+  async listRequests(spaceId, { status = 'pending', limit = 100 } = {}) {
+    const query = { spaceId };
+    if (status !== 'all') {
+      query.status = status;
+    }
+    return CardChangeRequest.find(query).sort({ createdAt: -1 }).limit(limit);
+  }
+
+  async getRequest(spaceId, requestId) {
+    if (!mongoose.isValidObjectId(requestId)) {
+      return null;
+    }
+    return CardChangeRequest.findOne({ _id: requestId, spaceId });
+  }
+
+  /**
+   * Field-level diff of a request against the card as it is now.
+   * `conflict` marks fields someone else changed after the request was made.
+   */
+  getDiff(request, card) {
+    const current = card ? card.toObject() : {};
+
+    if (request.action === 'create') {
+      return REVIEWED_FIELDS
+        .filter(field => current[field] !== undefined && current[field] !== null)
+        .map(field => ({ field, from: null, to: toPlain(current[field]), conflict: false }));
+    }
+
+    return Object.keys(request.changes || {}).map(field => ({
+      field,
+      from: toPlain(current[field]),
+      to: request.changes[field],
+      conflict: JSON.stringify(toPlain(current[field])) !== JSON.stringify(toPlain(request.base ? request.base[field] : null))
+    }));
+  }
+
+  /**
+   * Approve a request: publish a new card or apply the changes to the card.
+   * Changes to fields someone else edited since the request was made are
+   * refused (409 with the conflicting fields) unless `force` is set.
+   * Returns { request, card }.
+   */
+  async approve(request, reviewer, comment = '', { force = false } = {}) {
+    if (request.status !== 'pending') {
+      throw approvalError(`This change request has already been ${request.status}`, 409);
+    }
+
+    const card = await Card.findOne({ _id: request.cardId, deletedAt: null });
+    if (!card) {
+      throw approvalError('The card of this change request no longer exists', 404);
+    }
+
+    const conflicts = this.getDiff(request, card).filter(change => change.conflict).map(change => change.field);
+    if (conflicts.length > 0 && !force) {
+      throw approvalError(
+        `The card changed since this request was made (${conflicts.join(', ')}); approve with force to overwrite`,
+        409,
+        { conflicts }
+      );
+    }
+
+    if (request.action === 'create') {
+      card.approvalStatus = 'approved';
+      await card.save();
+    } else {
+      const previous = cardHistoryService.takeSnapshot(card);
+      Object.keys(request.changes || {}).forEach(field => {
+        if (REVIEWED_FIELDS.includes(field)) {
+          card[field] = request.changes[field];
+        }
+      });
+      card.updatedAt = new Date();
+      await card.save();
+
+      // The revision belongs to the editor who wrote the change
+      try {
+        await cardHistoryService.recordRevision(card, {
+          user: { _id: request.authorId, email: request.authorEmail, name: request.authorName },
+          previous
+        });
+      } catch (historyError) {
+        console.error(`Error recording history for card ${card._id}:`, historyError);
+      }
+    }
+
+    this.markReviewed(request, reviewer, 'approved', comment);
+    await request.save();
+
+    return { request, card };
+  }
+
+  /**
+   * Reject a request. A rejected new card is moved to the trash.
+   * Returns { request, trashed } where trashed lists trashed card IDs.
+   */
+  async reject(request, reviewer, comment = '') {
+    if (request.status !== 'pending') {
+      throw approvalError(`This change request has already been ${request.status}`, 409);
+    }
+
+    let trashed = [];
+    if (request.action === 'create') {
+      const result = await trashService.trashCards([request.cardId], reviewer.id.toString());
+      trashed = result.cardIds;
+    }
+
+    this.markReviewed(request, reviewer, 'rejected', comment);
+    await request.save();
+
+    return { request, trashed };
+  }
+
+  markReviewed(request, reviewer, status, comment) {
+    request.status = status;
+    request.reviewerId = reviewer.id.toString();
+    request.reviewerName = reviewer.name;
+    request.reviewComment = typeof comment === 'string' ? comment.trim().slice(0, 2000) : '';
+    request.reviewedAt = new Date();
+  }
+}
+
+module.exports = new CardApprovalService();
@@ -0,0 +1,183 @@
+/**
+ * Card Comment Service
+ * Threaded comments on cards: threads, replies, @mentions of space members
+ * and resolve/unresolve state
+ */
+
+const mongoose = require('mongoose');
+const CardComment = require('../models/CardComment');
+const User = require('../models/User');
+const permissionService = require('./permissionService');
+
+// @someone@example.com
+const MENTION_PATTERN = /(^|[^\w.])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+const commentError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+class CardCommentService {
+  /**
+   * Emails mentioned in a comment as @email
+   */
+  extractMentionEmails(content) {
+    const emails = new Set();
+    for (const match of (content || '').matchAll(MENTION_PATTERN)) {
+      emails.add(match[2].toLowerCase());
+    }
+    return [...emails];
+  }
+
+  /**
+   * Resolve mentions (emails in the text plus explicit user IDs) to members
+   * of the space who can see the card. Everyone else is dropped.
+   */
+  async resolveMentions(space, card, content, userIds = []) {
+    const emails = this.extractMentionEmails(content);
+    const ids = (Array.isArray(userIds) ? userIds : [])
+      .map(id => String(id))
+      .filter(id => mongoose.isValidObjectId(id));
+
+    if (emails.length === 0 && ids.length === 0) {
+      return [];
+    }
+
+    const users = await User.find({
+      $or: [{ email: { $in: emails } }, { _id: { $in: ids } }]
+    }).select('name email');
+
+    const isMember = (userId) => space === 'public' || !space ||
+      space.ownerId === userId || space.members.some(member => member.userId === userId);
+
+    return users
+      .filter(user => {
+        const userId = user._id.toString();
+        return isMember(userId) && permissionService.canViewCard(space, card, { id: userId, email: user.email });
+      })
+      .map(user => ({ id: user._id.toString(), name: user.name, email: user.email }));
+  }
+
+  /**
+   * Threads of a card (oldest first), each with its replies
+   */
+  async listThreads(cardId, { includeResolved = true } = {}) {
+    const threadQuery = { cardId, parentId: null };
+    if (!includeResolved) {
+      threadQuery.resolved = false;
+    }
+
+    const threads = await CardComment.find(threadQuery).sort({ createdAt: 1 });
+    const replies = await CardComment.find({
+      cardId,
+      parentId: { $in: threads.map(thread => thread._id.toString()) }
+    }).sort({ createdAt: 1 });
+
+    const repliesByThread = new Map();
+    replies.forEach(reply => {
+      if (!repliesByThread.has(reply.parentId)) repliesByThread.set(reply.parentId, []);
+      repliesByThread.get(reply.parentId).push(reply.toJSON());
+    });
+
+    return threads.map(thread => ({
+      ...thread.toJSON(),
+      replies: repliesByThread.get(thread._id.toString()) || []
+    }));
+  }
+
+  async getComment(cardId, commentId) {
+    if (!mongoose.isValidObjectId(commentId)) {
+      return null;
+    }
+    return CardComment.findOne({ _id: commentId, cardId });
+  }
+
+  /**
+   * Start a thread, or reply to one with parentId. Replying to a reply adds
+   * to the same thread.
+   */
+  async createComment(card, space, user, { content, parentId = null, mentions = [] }) {
+    if (typeof content !== 'string' || !content.trim()) {
+      throw commentError('Comment content is required');
+    }
+
+    let threadId = null;
+    if (parentId) {
+      const parent = await this.getComment(card._id, parentId);
+      if (!parent) {
+        throw commentError('Parent comment not found', 404);
+      }
+      threadId = parent.parentId || parent._id.toString();
+    }
+
+    const mentioned = await this.resolveMentions(space, card, content, mentions);
+
+    const comment = new CardComment({
+      cardId: card._id,
+      spaceId: card.spaceId || 'public',
+      parentId: threadId,
+      authorId: user.id.toString(),
+      authorEmail: user.email,
+      authorName: user.name,
+      content: content.trim(),
+      mentions: mentioned.map(member => member.id)
+    });
+    await comment.save();
+
+    return { comment, mentioned };
+  }
+
+  async updateComment(comment, space, card, content) {
+    if (typeof content !== 'string' || !content.trim()) {
+      throw commentError('Comment content is required');
+    }
+
+    const mentioned = await this.resolveMentions(space, card, content, comment.mentions);
+    comment.content = content.trim();
+    comment.mentions = mentioned.map(member => member.id);
+    comment.editedAt = new Date();
+    await comment.save();
+
+    return { comment, mentioned };
+  }
+
+  /**
+   * Delete a comment; deleting a thread deletes its replies.
+   * Returns the IDs of every removed comment.
+   */
+  async deleteComment(comment) {
+    const commentId = comment._id.toString();
+    const replies = comment.parentId
+      ? []
+      : await CardComment.find({ parentId: commentId }).select('_id');
+    const ids = [commentId, ...replies.map(reply => reply._id.toString())];
+
+    await CardComment.deleteMany({ _id: { $in: ids } });
+    return ids;
+  }
+
+  /**
+   * The thread a comment belongs to (the comment itself for a thread root)
+   */
+  async getThread(comment) {
+    const thread = comment.parentId
+      ? await CardComment.findById(comment.parentId)
+      : comment;
+
+    if (!thread) {
+      throw commentError('Thread not found', 404);
+    }
+    return thread;
+  }
+
+  /**
+   * Resolve or reopen a thread
+   */
+  async setResolved(thread, user, resolved) {
+    thread.resolved = resolved;
+    thread.resolvedAt = resolved ? new Date() : null;
+    thread.resolvedBy = resolved ? user.id.toString() : null;
+    await thread.save();
+
+    return thread;
+  }
+}
+
+module.exports = new CardCommentService();
@@ -0,0 +1,137 @@
+/**
+ * Card History Service
+ * Records card revisions and computes field-level diffs between them
+ */
+
+const CardRevision = require('../models/CardRevision');
+
+// Card fields that are captured in every revision snapshot
+const VERSIONED_FIELDS = ['type', 'title', 'content', 'language', 'variants', 'fontSize', 'variables', 'tags', 'customFields'];
+
+class CardHistoryService {
+  constructor() {
+    this.versionedFields = VERSIONED_FIELDS;
+  }
+
+  /**
+   * Copy the versioned fields of a card (document or plain object)
+   */
+  takeSnapshot(card) {
+    const source = card && typeof card.toObject === 'function' ? card.toObject() : (card || {});
+    const snapshot = {};
+
+    this.versionedFields.forEach(field => {
+      snapshot[field] = source[field] === undefined ? null : source[field];
+    });
+
+    return JSON.parse(JSON.stringify(snapshot));
+  }
+
+  /**
+   * List versioned fields whose values differ between two snapshots
+   */
+  getChangedFields(before, after) {
+    return this.versionedFields.filter(field =>
+      JSON.stringify(before ? before[field] : null) !== JSON.stringify(after ? after[field] : null)
+    );
+  }
+
+  /**
+   * Build a field-level diff between two snapshots
+   */
+  diffSnapshots(before, after) {
+    return this.getChangedFields(before, after).map(field => ({
+      field,
+      from: before ? before[field] : null,
+      to: after ? after[field] : null
+    }));
+  }
+
+  /**
+   * Record a revision for a card.
+   *
+   * When `previous` is given and the card has no history yet (cards created
+   * before history tracking existed), a baseline revision with the previous
+   * state is written first so it can still be restored.
+   * Returns null if an update did not touch any versioned field.
+   */
+  async recordRevision(card, { action = 'update', user = null, previous = null, restoredFrom = null } = {}) {
+    const cardId = card._id.toString();
+    const snapshot = this.takeSnapshot(card);
+    let latest = await CardRevision.findOne({ cardId }).sort({ revision: -1 });
+
+    if (!latest && previous) {
+      latest = await this.saveRevision(cardId, card.spaceId, {
+        revision: 1,
+        action: 'baseline',
+        snapshot: previous,
+        changedFields: []
+      });
+    }
+
+    const changedFields = latest
+      ? this.getChangedFields(latest.snapshot, snapshot)
+      : this.versionedFields.slice();
+
+    if (action === 'update' && latest && changedFields.length === 0) {
+      return null;
+    }
+
+    return this.saveRevision(cardId, card.spaceId, {
+      revision: latest ? latest.revision + 1 : 1,
+      action,
+      snapshot,
+      changedFields,
+      restoredFrom,
+      authorId: user ? user._id.toString() : null,
+      authorEmail: user ? user.email : null,
+      authorName: user ? user.name : null
+    });
+  }
+
+  /**
+   * Save a revision, retrying with the next number if a concurrent
+   * update took the same revision number
+   */
+  async saveRevision(cardId, spaceId, data, attempt = 0) {
+    try {
+      const revision = new CardRevision({
+        cardId,
+        spaceId: spaceId || 'public',
+        ...data
+      });
+      await revision.save();
+      return revision;
+    } catch (error) {
+      if (error.code === 11000 && attempt < 3) {
+        const latest = await CardRevision.findOne({ cardId }).sort({ revision: -1 });
+        return this.saveRevision(cardId, spaceId, {
+          ...data,
+          revision: latest ? latest.revision + 1 : 1
+        }, attempt + 1);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List revisions for a card, newest first
+   */
+  async getRevisions(cardId, { limit = 50, skip = 0 } = {}) {
+    const [revisions, total] = await Promise.all([
+      CardRevision.find({ cardId })
+        .sort({ revision: -1 })
+        .skip(skip)
+        .limit(limit),
+      CardRevision.countDocuments({ cardId })
+    ]);
+
+    return { revisions, total };
+  }
+
+  async getRevision(cardId, revision) {
+    return CardRevision.findOne({ cardId, revision });
+  }
+}
+
+module.exports = new CardHistoryService();
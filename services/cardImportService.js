@@ -0,0 +1,447 @@
+/**
+ * Card Import Service
+ * Imports cards into a space from CSV, JSON and Zendesk/Freshdesk macro
+ * exports, with a dry-run preview, duplicate detection, grid layout and
+ * per-row errors
+ */
+
+const Card = require('../models/Card');
+const cardHistoryService = require('./cardHistoryService');
+const cardMetadataService = require('./cardMetadataService');
+const cardLocaleService = require('./cardLocaleService');
+const macroTemplateService = require('./macroTemplateService');
+
+const FORMATS = ['csv', 'json', 'zendesk', 'freshdesk'];
+const CARD_TYPES = ['category', 'answer', 'question', 'note', 'label'];
+const MAX_ROWS = 2000;
+
+// Grid settings for positioning imported cards
+const GRID_CONFIG = {
+  startX: 100,
+  startY: 100,
+  cardWidth: 300,
+  cardHeight: 200,
+  horizontalSpacing: 50,
+  verticalSpacing: 50,
+  cardsPerRow: 8
+};
+
+// Column / property names accepted for each card field (case-insensitive)
+const FIELD_ALIASES = {
+  title: ['title', 'name', 'subject'],
+  content: ['content', 'body', 'text', 'answer', 'comment_value', 'description'],
+  type: ['type', 'card_type'],
+  tags: ['tags', 'labels'],
+  language: ['language', 'lang', 'locale']
+};
+
+const normalizeText = (text) => (text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Plain text from the HTML bodies of helpdesk exports
+ */
+const htmlToText = (html) => (html || '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|li|h[1-6])>/gi, '\n')
+  .replace(/<li[^>]*>/gi, '- ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Helpdesk placeholders ({{ticket.requester.first_name}}) become card
+ * template variables ({{ticket_requester_first_name}})
+ */
+const convertPlaceholders = (text) => (text || '')
+  .replace(/\{\{\s*([A-Za-z_][\w.]*)\s*\}\}/g, (match, name) => `{{${name.replace(/\./g, '_')}}}`);
+
+class CardImportService {
+  constructor() {
+    this.formats = FORMATS;
+    this.gridConfig = GRID_CONFIG;
+  }
+
+  /**
+   * Parse CSV text (RFC 4180 quoting; comma, semicolon or tab separated)
+   * into an array of objects keyed by the header row
+   */
+  parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+      .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+      .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (inQuotes) {
+        if (char === '"' && source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error('CSV has an unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const headers = nonEmpty[0].map(header => header.trim());
+    return nonEmpty.slice(1).map(cells => headers.reduce((record, header, index) => {
+      if (header) record[header] = cells[index] !== undefined ? cells[index] : '';
+      return record;
+    }, {}));
+  }
+
+  /**
+   * Guess the format of an upload from its name and content
+   */
+  detectFormat(text, filename = '') {
+    const trimmed = text.trim();
+
+    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) {
+      return 'csv';
+    }
+
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      return /\.csv$/i.test(filename) ? 'csv' : 'json';
+    }
+
+    const items = Array.isArray(data) ? data : (data.macros || data.canned_responses || data.cards || []);
+    const sample = Array.isArray(items) ? items[0] || {} : {};
+
+    if (data.macros || Array.isArray(sample.actions)) return 'zendesk';
+    if (data.canned_responses || sample.content_html !== undefined || sample.folder_id !== undefined) return 'freshdesk';
+    return 'json';
+  }
+
+  /**
+   * Turn an upload into raw records: [{ title, content, type, tags, language, ... }]
+   */
+  parse(text, format) {
+    if (format === 'csv') {
+      return this.parseCsv(text).map(record => this.mapRecord(record));
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    if (format === 'zendesk') {
+      const macros = Array.isArray(data) ? data : (data.macros || []);
+      return macros.map(macro => {
+        const actions = Array.isArray(macro.actions) ? macro.actions : [];
+        const comment = actions.find(action => action.field === 'comment_value') ||
+          actions.find(action => action.field === 'comment_value_html');
+        // Zendesk stores comment values either as text or as [channel, text]
+        let content = comment ? comment.value : macro.content;
+        if (Array.isArray(content)) content = content[content.length - 1];
+        if (comment && comment.field === 'comment_value_html') content = htmlToText(content);
+
+        return {
+          title: macro.title || macro.name,
+          content: convertPlaceholders(content),
+          type: 'answer',
+          tags: macro.tags || []
+        };
+      });
+    }
+
+    if (format === 'freshdesk') {
+      const responses = Array.isArray(data) ? data : (data.canned_responses || []);
+      return responses.map(response => ({
+        title: response.title,
+        content: convertPlaceholders(response.content || htmlToText(response.content_html)),
+        type: 'answer',
+        tags: response.tags || []
+      }));
+    }
+
+    const records = Array.isArray(data) ? data : (data.cards || data.macros || []);
+    if (!Array.isArray(records)) {
+      throw new Error('JSON must be an array of cards or an object with a "cards" array');
+    }
+    return records.map(record => this.mapRecord(record));
+  }
+
+  /**
+   * Map a CSV row / JSON object onto card fields using FIELD_ALIASES.
+   * Other columns are kept as custom field values.
+   */
+  mapRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { invalid: true };
+    }
+
+    const lowerKeys = Object.keys(record).reduce((keys, key) => ({ ...keys, [key.toLowerCase().trim()]: key }), {});
+    const used = new Set();
+    const pick = (field) => {
+      const alias = FIELD_ALIASES[field].find(name => lowerKeys[name] !== undefined);
+      if (!alias) return undefined;
+      used.add(lowerKeys[alias]);
+      return record[lowerKeys[alias]];
+    };
+
+    const mapped = {
+      title: pick('title'),
+      content: pick('content'),
+      type: pick('type'),
+      tags: pick('tags'),
+      language: pick('language'),
+      variants: record.variants,
+      variables: record.variables,
+      customFields: record.customFields && typeof record.customFields === 'object' ? { ...record.customFields } : {}
+    };
+    ['variants', 'variables', 'customFields', 'id', '_id'].forEach(key => used.add(key));
+
+    // Remaining non-empty columns may be custom fields of the space
+    Object.keys(record)
+      .filter(key => !used.has(key) && record[key] !== '' && record[key] !== null && typeof record[key] !== 'object')
+      .forEach(key => {
+        mapped.customFields[key.trim()] = record[key];
+      });
+
+    return mapped;
+  }
+
+  /**
+   * Position of the index-th imported card, below the cards already on the canvas
+   */
+  calculatePosition(index, originY = GRID_CONFIG.startY) {
+    const row = Math.floor(index / GRID_CONFIG.cardsPerRow);
+    const col = index % GRID_CONFIG.cardsPerRow;
+
+    return {
+      x: GRID_CONFIG.startX + (col * (GRID_CONFIG.cardWidth + GRID_CONFIG.horizontalSpacing)),
+      y: originY + (row * (GRID_CONFIG.cardHeight + GRID_CONFIG.verticalSpacing))
+    };
+  }
+
+  /**
+   * Validate one raw record against the space. Returns the card fields or errors.
+   */
+  async validateRecord(record, { spaceId, definitions, defaultType }) {
+    const errors = [];
+
+    if (record.invalid) {
+      return { errors: ['Row is not an object'] };
+    }
+
+    const title = typeof record.title === 'string' || typeof record.title === 'number' ? String(record.title).trim() : '';
+    const content = typeof record.content === 'string' ? record.content.replace(/\r\n/g, '\n') : null;
+    const type = record.type ? String(record.type).trim().toLowerCase() : defaultType;
+
+    if (!title) errors.push('Title is required');
+    if (!CARD_TYPES.includes(type)) errors.push(`Invalid card type "${type}"`);
+
+    const { tags, errors: tagErrors } = cardMetadataService.normalizeTags(record.tags);
+    errors.push(...tagErrors);
+
+    // Unknown columns are only an error if they look like they were meant as fields
+    const knownKeys = new Set(definitions.map(definition => definition.key));
+    const customInput = Object.keys(record.customFields || {})
+      .filter(key => knownKeys.has(key))
+      .reduce((values, key) => ({ ...values, [key]: record.customFields[key] }), {});
+    const custom = cardMetadataService.validateCustomFields(customInput, definitions, { isNew: true });
+    errors.push(...custom.errors);
+
+    const locale = cardLocaleService.validateVariants(record.language, record.variants);
+    errors.push(...locale.errors);
+
+    // Variables used in the content are declared automatically unless the row declares them
+    const contents = [content, ...locale.variants.map(variant => variant.content)];
+    const declarations = record.variables !== undefined
+      ? record.variables
+      : [...new Set(contents.flatMap(text => macroTemplateService.extractVariables(text).map(variable => variable.name)))];
+    const template = macroTemplateService.validate(contents, declarations);
+    errors.push(...template.errors);
+
+    if (errors.length > 0) return { errors };
+
+    return {
+      errors,
+      card: {
+        spaceId,
+        type,
+        title,
+        content,
+        language: locale.language,
+        variants: locale.variants,
+        variables: template.variables,
+        tags,
+        customFields: custom.values
+      }
+    };
+  }
+
+  /**
+   * Import records into a space. With dryRun nothing is written and the
+   * result previews what would happen to each row.
+   *
+   * options: { format, filename, dryRun, onDuplicate: 'skip'|'import', defaultType,
+   *   pending } - pending cards wait for approval before viewers see them
+   */
+  async importCards(spaceId, user, text, options = {}) {
+    const { filename = '', dryRun = false, onDuplicate = 'skip', defaultType = 'answer', pending = false } = options;
+    const format = options.format && options.format !== 'auto' ? options.format : this.detectFormat(text, filename);
+
+    if (!FORMATS.includes(format)) {
+      throw Object.assign(new Error(`Unsupported format "${format}" (use ${FORMATS.join(', ')})`), { status: 400 });
+    }
+
+    let records;
+    try {
+      records = this.parse(text, format);
+    } catch (error) {
+      throw Object.assign(new Error(`Could not parse ${format.toUpperCase()}: ${error.message}`), { status: 400 });
+    }
+
+    if (records.length === 0) {
+      throw Object.assign(new Error('The file contains no cards'), { status: 400 });
+    }
+    if (records.length > MAX_ROWS) {
+      throw Object.assign(new Error(`Imports are limited to ${MAX_ROWS} cards per file`), { status: 400 });
+    }
+
+    const definitions = await cardMetadataService.getDefinitions(spaceId);
+    const existingCards = await Card.find({ spaceId, deletedAt: null }).select('_id title content position').lean();
+
+    // Duplicates: same title (and usually content) as a live card or an earlier row
+    const existingByTitle = new Map(existingCards.map(card => [normalizeText(card.title), card]));
+    const importedByTitle = new Map();
+
+    // Lay imported cards out below everything already on the canvas
+    const lowestY = existingCards.reduce((max, card) => Math.max(max, card.position ? card.position.y : 0), -Infinity);
+    const originY = existingCards.length > 0
+      ? lowestY + GRID_CONFIG.cardHeight + GRID_CONFIG.verticalSpacing
+      : GRID_CONFIG.startY;
+
+    const rows = [];
+    const cardsToCreate = [];
+
+    for (let index = 0; index < records.length; index++) {
+      // Row numbers match the file: CSV data starts on line 2
+      const rowNumber = format === 'csv' ? index + 2 : index + 1;
+      const { card, errors } = await this.validateRecord(records[index], { spaceId, definitions, defaultType });
+      const title = card ? card.title : (records[index] && records[index].title) || null;
+
+      if (errors.length > 0) {
+        rows.push({ row: rowNumber, status: 'error', title, errors });
+        continue;
+      }
+
+      const key = normalizeText(card.title);
+      const existing = existingByTitle.get(key);
+      const earlierRow = importedByTitle.get(key);
+
+      let duplicate = null;
+      if (existing) {
+        duplicate = { duplicateOf: existing._id, sameContent: normalizeText(existing.content) === normalizeText(card.content) };
+      } else if (earlierRow) {
+        duplicate = { duplicateOfRow: earlierRow.row, sameContent: normalizeText(earlierRow.content) === normalizeText(card.content) };
+      }
+
+      if (duplicate && onDuplicate !== 'import') {
+        rows.push({ row: rowNumber, status: 'duplicate', title: card.title, ...duplicate });
+        continue;
+      }
+
+      card.position = this.calculatePosition(cardsToCreate.length, originY);
+      importedByTitle.set(key, { row: rowNumber, content: card.content });
+      cardsToCreate.push(card);
+      rows.push({
+        row: rowNumber,
+        status: dryRun ? 'create' : 'created',
+        title: card.title,
+        position: card.position,
+        ...duplicate
+      });
+    }
+
+    let created = [];
+    if (!dryRun && cardsToCreate.length > 0) {
+      created = await Card.insertMany(cardsToCreate.map(card => ({
+        ...card,
+        userId: user.email,
+        approvalStatus: pending ? 'pending' : 'approved'
+      })));
+
+      // Give every imported card its first revision
+      for (const card of created) {
+        try {
+          await cardHistoryService.recordRevision(card, { action: 'import', user });
+        } catch (historyError) {
+          console.error(`Error recording history for imported card ${card._id}:`, historyError);
+        }
+      }
+
+      // insertMany keeps the order of the input, so rows can point at their card
+      rows.filter(row => row.status === 'created').forEach((row, index) => {
+        row.cardId = created[index]._id;
+      });
+    }
+
+    return {
+      format,
+      dryRun,
+      summary: {
+        total: records.length,
+        created: dryRun ? 0 : created.length,
+        toCreate: cardsToCreate.length,
+        duplicates: rows.filter(row => row.status === 'duplicate').length,
+        errors: rows.filter(row => row.status === 'error').length
+      },
+      rows,
+      cards: created
+    };
+  }
+}
+
+module.exports = new CardImportService();
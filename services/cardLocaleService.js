@@ -0,0 +1,158 @@
+/**
+ * Card Locale Service
+ * Per-language card variants: validation, picking the variant for a language
+ * and detecting the language of customer messages
+ */
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+const MAX_VARIANTS = 20;
+
+// Frequent words used to tell supported languages apart
+const LANGUAGE_HINTS = {
+  sr: ['je', 'da', 'se', 'u', 'na', 'ne', 'za', 'sa', 'mi', 'sam', 'nisam', 'nije', 'imam', 'nemam', 'vas', 'vam', 'kako', 'zasto', 'moj', 'moja', 'molim', 'hvala', 'zdravo', 'pozdrav', 'dobio', 'dobila', 'novac', 'uplata', 'uplatu', 'isplata', 'isplatu', 'racun', 'nalog', 'kada', 'gde', 'jos', 'sta', 'pomoc'],
+  en: ['the', 'is', 'and', 'to', 'my', 'you', 'not', 'for', 'with', 'have', 'was', 'why', 'how', 'when', 'where', 'please', 'thanks', 'thank', 'hello', 'money', 'account', 'payment', 'withdrawal', 'deposit', 'can', 'did', 'does', 'this', 'what']
+};
+
+// Letters that only appear in Serbian (Latin) text
+const SERBIAN_LETTERS = /[čćšžđ]/i;
+const CYRILLIC_LETTERS = /[\u0400-\u04FF]/;
+
+class CardLocaleService {
+  constructor() {
+    this.supportedDetection = Object.keys(LANGUAGE_HINTS);
+  }
+
+  /**
+   * Normalize a language code ("SR", "en-US" -> "sr", "en-us"); null if invalid
+   */
+  normalizeLanguage(code) {
+    if (typeof code !== 'string') return null;
+    const normalized = code.trim().toLowerCase().replace(/_/g, '-');
+    return LANGUAGE_PATTERN.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * Validate the base language and variants of a card
+   */
+  validateVariants(language, variants) {
+    const errors = [];
+    let baseLanguage = null;
+
+    if (language !== undefined && language !== null && language !== '') {
+      baseLanguage = this.normalizeLanguage(language);
+      if (!baseLanguage) errors.push(`Invalid language code "${language}"`);
+    }
+
+    if (variants === undefined || variants === null) {
+      return { language: baseLanguage, variants: [], errors };
+    }
+
+    if (!Array.isArray(variants)) {
+      errors.push('Variants must be an array');
+      return { language: baseLanguage, variants: [], errors };
+    }
+
+    if (variants.length > MAX_VARIANTS) {
+      errors.push(`A card can have at most ${MAX_VARIANTS} language variants`);
+    }
+
+    const seen = new Set(baseLanguage ? [baseLanguage] : []);
+    const normalized = variants.map(variant => {
+      const lang = this.normalizeLanguage(variant && variant.lang);
+      const title = variant && typeof variant.title === 'string' ? variant.title.trim() : '';
+
+      if (!lang) {
+        errors.push(`Invalid variant language "${variant && variant.lang}"`);
+      } else if (seen.has(lang)) {
+        errors.push(`Language "${lang}" is used more than once`);
+      }
+      seen.add(lang);
+
+      if (!title) {
+        errors.push(`Variant "${lang || '?'}" needs a title`);
+      }
+
+      return {
+        lang,
+        title,
+        content: variant && typeof variant.content === 'string' ? variant.content : null
+      };
+    });
+
+    return { language: baseLanguage, variants: normalized, errors };
+  }
+
+  /**
+   * All language versions of a card, base first: [{ lang, title, content, isBase }]
+   */
+  listVersions(card) {
+    return [
+      { lang: card.language || null, title: card.title, content: card.content, isBase: true },
+      ...(card.variants || []).map(variant => ({
+        lang: variant.lang,
+        title: variant.title,
+        content: variant.content,
+        isBase: false
+      }))
+    ];
+  }
+
+  availableLanguages(card) {
+    return this.listVersions(card).map(version => version.lang).filter(Boolean);
+  }
+
+  /**
+   * The stored version of a card in a language (matching "en" to "en-us" and
+   * back), or null if there is none
+   */
+  findVersion(card, lang) {
+    const wanted = this.normalizeLanguage(lang);
+    if (!wanted) return null;
+
+    const versions = this.listVersions(card).filter(version => version.lang);
+    const primary = (code) => code.split('-')[0];
+
+    return versions.find(version => version.lang === wanted) ||
+      versions.find(version => primary(version.lang) === primary(wanted)) ||
+      null;
+  }
+
+  /**
+   * Card JSON with title/content of the requested language (falls back to the
+   * base version). Adds `lang` and `availableLanguages`.
+   */
+  localize(card, lang) {
+    const json = card && typeof card.toJSON === 'function' ? card.toJSON() : { ...card };
+    const version = this.findVersion(json, lang);
+
+    return {
+      ...json,
+      title: version ? version.title : json.title,
+      content: version ? version.content : json.content,
+      lang: version ? version.lang : (json.language || null),
+      availableLanguages: this.availableLanguages(json)
+    };
+  }
+
+  /**
+   * Best-effort language detection for customer messages; null if unsure
+   */
+  detectLanguage(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    if (CYRILLIC_LETTERS.test(text) || SERBIAN_LETTERS.test(text)) return 'sr';
+
+    const words = text.toLowerCase().match(/[\p{L}]+/gu) || [];
+    if (words.length === 0) return null;
+
+    const scores = Object.entries(LANGUAGE_HINTS).map(([lang, hints]) => {
+      const hintSet = new Set(hints);
+      return { lang, score: words.filter(word => hintSet.has(word)).length };
+    }).sort((a, b) => b.score - a.score);
+
+    if (scores[0].score === 0 || scores[0].score === scores[1].score) return null;
+    return scores[0].lang;
+  }
+}
+
+module.exports = new CardLocaleService();
@@ -0,0 +1,197 @@
+/**
+ * Card Lock Service
+ * Exclusive edit locks on cards, held as leases: a lock expires unless its
+ * holder renews it with heartbeats, so a closed or frozen tab cannot keep a
+ * card locked. Locks are set over the WebSocket and enforced by the REST
+ * card routes. They live in the realtime adapter's shared state, so every
+ * API instance sees the same locks.
+ *
+ * A lock belongs to the WebSocket session (connection) that took it: the
+ * user's other tabs cannot renew or release it, while their REST requests
+ * are not blocked by it.
+ */
+
+const { MemoryAdapter } = require('./realtimeAdapters');
+
+const DEFAULT_LEASE_MS = 30 * 1000;
+
+// Shared hash of cardId -> lock (JSON)
+const LOCKS_KEY = 'locks';
+
+const parse = raw => (raw ? JSON.parse(raw) : null);
+
+class CardLockService {
+  constructor() {
+    this.leaseMs = parseInt(process.env.CARD_LOCK_LEASE_MS) || DEFAULT_LEASE_MS;
+    this.adapter = null;
+  }
+
+  /**
+   * Keep locks in the given realtime adapter
+   */
+  attach(adapter) {
+    this.adapter = adapter;
+  }
+
+  getAdapter() {
+    if (!this.adapter) {
+      this.adapter = new MemoryAdapter();
+    }
+    return this.adapter;
+  }
+
+  // Lock as sent to clients
+  toJSON(lock) {
+    return {
+      cardId: lock.cardId,
+      userId: lock.userId,
+      sessionId: lock.sessionId,
+      userName: lock.userName,
+      userColor: lock.userColor,
+      acquiredAt: lock.acquiredAt,
+      expiresAt: lock.expiresAt
+    };
+  }
+
+  isActive(lock) {
+    return !!lock && lock.expiresAt > Date.now();
+  }
+
+  /**
+   * Active lock on a card, or null. Expired locks are left for expire() so
+   * their release is still broadcast.
+   */
+  async getLock(cardId) {
+    const lock = parse(await this.getAdapter().hget(LOCKS_KEY, cardId));
+    return this.isActive(lock) ? lock : null;
+  }
+
+  // Active lock on the card held by someone other than the user
+  async getLockByOther(cardId, userId) {
+    const lock = await this.getLock(cardId);
+    return lock && lock.userId !== userId.toString() ? lock : null;
+  }
+
+  // Active lock on the card held by another session (including the user's other tabs)
+  async getLockByOtherSession(cardId, sessionId) {
+    const lock = await this.getLock(cardId);
+    return lock && lock.sessionId !== sessionId ? lock : null;
+  }
+
+  /**
+   * Lock a card for a session ({ userId, sessionId, userName, userColor, spaceId }),
+   * or renew its lock. Resolves with { lock } or { heldBy } when another
+   * session holds it.
+   */
+  async acquire(cardId, holder, { force = false } = {}) {
+    const adapter = this.getAdapter();
+
+    // Retry when another node changed the lock between reading and writing it
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const raw = await adapter.hget(LOCKS_KEY, cardId);
+      const current = parse(raw);
+      const active = this.isActive(current);
+
+      const ours = active && current.sessionId === holder.sessionId;
+      if (active && !ours && !force) {
+        return { heldBy: current };
+      }
+
+      const now = Date.now();
+      const lock = {
+        cardId,
+        userId: holder.userId,
+        sessionId: holder.sessionId,
+        userName: holder.userName,
+        userColor: holder.userColor,
+        spaceId: holder.spaceId,
+        acquiredAt: ours ? current.acquiredAt : now,
+        expiresAt: now + this.leaseMs
+      };
+
+      if (await adapter.compareAndSet(LOCKS_KEY, cardId, raw, JSON.stringify(lock))) {
+        return { lock, previous: active && !ours ? current : null };
+      }
+    }
+
+    return { heldBy: await this.getLock(cardId) };
+  }
+
+  /**
+   * Extend a session's lease on a card. Resolves with the lock, or null if
+   * it no longer holds it (expired or taken over).
+   */
+  async renew(cardId, sessionId) {
+    const adapter = this.getAdapter();
+    const raw = await adapter.hget(LOCKS_KEY, cardId);
+    const lock = parse(raw);
+    if (!this.isActive(lock) || lock.sessionId !== sessionId) {
+      return null;
+    }
+
+    lock.expiresAt = Date.now() + this.leaseMs;
+    return (await adapter.compareAndSet(LOCKS_KEY, cardId, raw, JSON.stringify(lock))) ? lock : null;
+  }
+
+  /**
+   * Release a session's lock on a card. Resolves with the released lock or null.
+   */
+  async release(cardId, sessionId) {
+    const adapter = this.getAdapter();
+    const raw = await adapter.hget(LOCKS_KEY, cardId);
+    const lock = parse(raw);
+    if (!lock || lock.sessionId !== sessionId) {
+      return null;
+    }
+    return (await adapter.compareAndSet(LOCKS_KEY, cardId, raw, null)) ? lock : null;
+  }
+
+  /**
+   * Take a card's lock over from whoever holds it.
+   * Resolves with { lock, previous } (previous is null if the card was not locked).
+   */
+  async takeOver(cardId, holder) {
+    return this.acquire(cardId, holder, { force: true });
+  }
+
+  // Remove the locks matching a filter; resolves with the ones this call removed
+  async removeWhere(filter) {
+    const adapter = this.getAdapter();
+    const all = await adapter.hgetall(LOCKS_KEY);
+    const removed = [];
+
+    for (const [cardId, raw] of Object.entries(all)) {
+      const lock = parse(raw);
+      // Only one node wins the removal, so each release is announced once
+      if (filter(lock) && await adapter.compareAndSet(LOCKS_KEY, cardId, raw, null)) {
+        removed.push(lock);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Release every lock a session holds (in one space, or everywhere).
+   * Resolves with the released locks.
+   */
+  async releaseAll(sessionId, spaceId = null) {
+    return this.removeWhere(lock => lock.sessionId === sessionId && (!spaceId || lock.spaceId === spaceId));
+  }
+
+  /**
+   * Remove locks whose lease ran out. Resolves with the removed locks.
+   */
+  async expire(now = Date.now()) {
+    return this.removeWhere(lock => lock.expiresAt <= now);
+  }
+
+  // Active locks on cards of a space
+  async getSpaceLocks(spaceId) {
+    const all = await this.getAdapter().hgetall(LOCKS_KEY);
+    return Object.values(all)
+      .map(parse)
+      .filter(lock => this.isActive(lock) && lock.spaceId === spaceId);
+  }
+}
+
+module.exports = new CardLockService();
@@ -0,0 +1,281 @@
+/**
+ * Card Metadata Service
+ * Tags and per-space custom fields: validation on write and query filters on read
+ */
+
+const Space = require('../models/Space');
+
+const FIELD_TYPES = ['text', 'enum', 'number', 'date'];
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_TEXT_LENGTH = 500;
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+// Query string prefix for custom field filters, e.g. ?field.language=sr,en
+const FIELD_FILTER_PREFIX = 'field.';
+
+const splitList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const hasOwn = (object, name) => Object.prototype.hasOwnProperty.call(object, name);
+
+class CardMetadataService {
+  constructor() {
+    this.fieldTypes = FIELD_TYPES;
+  }
+
+  /**
+   * Normalize tags: lowercase, trimmed, unique. Accepts an array or a comma list.
+   */
+  normalizeTags(input) {
+    if (isBlank(input)) return { tags: [], errors: [] };
+
+    if (!Array.isArray(input) && typeof input !== 'string') {
+      return { tags: [], errors: ['Tags must be an array of strings'] };
+    }
+
+    const tags = [...new Set(splitList(input).map(tag => tag.toLowerCase()))];
+    const errors = [];
+
+    if (tags.length > MAX_TAGS) {
+      errors.push(`A card can have at most ${MAX_TAGS} tags`);
+    }
+    tags.filter(tag => tag.length > MAX_TAG_LENGTH).forEach(tag => {
+      errors.push(`Tag "${tag}" is longer than ${MAX_TAG_LENGTH} characters`);
+    });
+
+    return { tags, errors };
+  }
+
+  /**
+   * Validate custom field definitions set on a space
+   */
+  validateDefinitions(input) {
+    if (!Array.isArray(input)) {
+      return { definitions: [], errors: ['Custom fields must be an array'] };
+    }
+
+    const errors = [];
+    const seen = new Set();
+
+    const definitions = input.map((field, index) => {
+      const key = field && typeof field.key === 'string' ? field.key.trim() : '';
+      const label = field && typeof field.label === 'string' && field.label.trim() ? field.label.trim() : key;
+      const type = field && field.type;
+
+      if (!FIELD_KEY_PATTERN.test(key)) {
+        errors.push(`Field ${index + 1}: key must be lowercase letters, digits or underscores and start with a letter`);
+      } else if (seen.has(key)) {
+        errors.push(`Field "${key}" is defined more than once`);
+      }
+      seen.add(key);
+
+      if (!FIELD_TYPES.includes(type)) {
+        errors.push(`Field "${key}": type must be one of ${FIELD_TYPES.join(', ')}`);
+      }
+
+      const options = type === 'enum' && Array.isArray(field.options)
+        ? [...new Set(field.options.map(option => String(option).trim()).filter(Boolean))]
+        : [];
+      if (type === 'enum' && options.length === 0) {
+        errors.push(`Field "${key}": enum fields need at least one option`);
+      }
+
+      return { key, label, type, options, required: !!(field && field.required) };
+    });
+
+    return { definitions, errors };
+  }
+
+  /**
+   * Custom field definitions of a space (the default public space has none)
+   */
+  async getDefinitions(spaceId) {
+    if (!spaceId || spaceId === 'public') return [];
+
+    const space = await Space.findById(spaceId).select('customFields').lean();
+    return (space && space.customFields) || [];
+  }
+
+  /**
+   * Coerce one custom field value to its definition's type
+   */
+  coerceValue(definition, value) {
+    switch (definition.type) {
+      case 'text':
+        if (typeof value !== 'string') return { error: 'must be text' };
+        if (value.length > MAX_TEXT_LENGTH) return { error: `must be at most ${MAX_TEXT_LENGTH} characters` };
+        return { value: value.trim() };
+
+      case 'enum':
+        if (!definition.options.includes(String(value))) {
+          return { error: `must be one of ${definition.options.join(', ')}` };
+        }
+        return { value: String(value) };
+
+      case 'number': {
+        const number = typeof value === 'number' ? value : Number(value);
+        if (typeof value === 'boolean' || !Number.isFinite(number)) return { error: 'must be a number' };
+        return { value: number };
+      }
+
+      case 'date': {
+        const date = new Date(value);
+        if (typeof value === 'boolean' || isNaN(date.getTime())) return { error: 'must be a valid date' };
+        // ISO strings survive revision snapshots and compare correctly in range filters
+        return { value: date.toISOString() };
+      }
+
+      default:
+        return { error: 'has an unknown type' };
+    }
+  }
+
+  /**
+   * Validate custom field values against the space definitions and merge
+   * them into the existing values. Blank values clear a field.
+   */
+  validateCustomFields(input, definitions, { existing = {}, isNew = false } = {}) {
+    const errors = [];
+    const invalid = new Set();
+    const values = { ...(existing || {}) };
+
+    if (input !== undefined && (input === null || typeof input !== 'object' || Array.isArray(input))) {
+      return { values, errors: ['Custom fields must be an object'] };
+    }
+
+    const definitionMap = new Map(definitions.map(definition => [definition.key, definition]));
+
+    Object.entries(input || {}).forEach(([key, value]) => {
+      const definition = definitionMap.get(key);
+      if (!definition) {
+        errors.push(`Unknown custom field "${key}"`);
+        return;
+      }
+
+      if (isBlank(value)) {
+        delete values[key];
+        return;
+      }
+
+      const result = this.coerceValue(definition, value);
+      if (result.error) {
+        errors.push(`Custom field "${definition.label}" ${result.error}`);
+        invalid.add(key);
+      } else {
+        values[key] = result.value;
+      }
+    });
+
+    // Required fields must be filled on new cards and may not be cleared later
+    definitions
+      .filter(definition => definition.required && isBlank(values[definition.key]) && !invalid.has(definition.key))
+      .filter(definition => isNew || (input && hasOwn(input, definition.key)))
+      .forEach(definition => {
+        errors.push(`Custom field "${definition.label}" is required`);
+      });
+
+    return { values, errors };
+  }
+
+  /**
+   * Validate tags/customFields of a create or update request.
+   * Only returns the properties that were present in the input.
+   */
+  async prepareMetadata(input, { spaceId, existing = null } = {}) {
+    const result = { errors: [] };
+    const isNew = !existing;
+
+    if (input.tags !== undefined) {
+      const { tags, errors } = this.normalizeTags(input.tags);
+      result.tags = tags;
+      result.errors.push(...errors);
+    }
+
+    if (input.customFields !== undefined || isNew) {
+      const definitions = await this.getDefinitions(spaceId);
+      const { values, errors } = this.validateCustomFields(input.customFields, definitions, {
+        existing: existing ? existing.customFields : {},
+        isNew
+      });
+      result.customFields = values;
+      result.errors.push(...errors);
+    }
+
+    return result;
+  }
+
+  /**
+   * Read tag and custom field filters from a request query
+   * (?tags=a,b&field.language=sr,en&field.amount=10..100)
+   */
+  parseFilters(query = {}) {
+    const filters = { tags: [], fields: {} };
+
+    if (query.tags) {
+      filters.tags = this.normalizeTags(query.tags).tags;
+    }
+
+    Object.keys(query)
+      .filter(param => param.startsWith(FIELD_FILTER_PREFIX))
+      .forEach(param => {
+        const key = param.slice(FIELD_FILTER_PREFIX.length);
+        if (FIELD_KEY_PATTERN.test(key) && !isBlank(query[param])) {
+          filters.fields[key] = query[param];
+        }
+      });
+
+    return filters;
+  }
+
+  hasFilters(filters) {
+    return !!filters && ((filters.tags && filters.tags.length > 0) ||
+      (filters.fields && Object.keys(filters.fields).length > 0));
+  }
+
+  /**
+   * Build a MongoDB card filter. Field filters accept a single value,
+   * a comma list (any of) or a "min..max" range for numbers and dates.
+   */
+  buildQuery(filters) {
+    const query = {};
+    if (!this.hasFilters(filters)) return query;
+
+    if (filters.tags && filters.tags.length > 0) {
+      query.tags = { $all: this.normalizeTags(filters.tags).tags };
+    }
+
+    Object.entries(filters.fields || {}).forEach(([key, raw]) => {
+      const path = `customFields.${key}`;
+      const value = Array.isArray(raw) ? raw.join(',') : String(raw);
+
+      if (value.includes('..')) {
+        const [min, max] = value.split('..').map(part => part.trim());
+        const toBound = part => {
+          if (!part) return null;
+          if (Number.isFinite(Number(part))) return Number(part);
+          const date = new Date(part);
+          return isNaN(date.getTime()) ? null : date.toISOString();
+        };
+        const range = {};
+        if (toBound(min) !== null) range.$gte = toBound(min);
+        if (toBound(max) !== null) range.$lte = toBound(max);
+        if (Object.keys(range).length > 0) query[path] = range;
+        return;
+      }
+
+      // Match both the text and the numeric form of each value
+      const options = splitList(value).flatMap(option =>
+        Number.isFinite(Number(option)) ? [option, Number(option)] : [option]
+      );
+      query[path] = { $in: options };
+    });
+
+    return query;
+  }
+}
+
+module.exports = new CardMetadataService();
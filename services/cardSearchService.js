@@ -0,0 +1,425 @@
+/**
+ * Card Search Service
+ * In-process inverted index over card titles, tags and content (in every
+ * language variant) with diacritic folding, prefix and fuzzy matching, field
+ * weighting and highlighted snippets
+ */
+
+const Card = require('../models/Card');
+const cardLocaleService = require('./cardLocaleService');
+
+// Relative weight of a match in each indexed field
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  content: 1
+};
+
+// Score multipliers for how a query term matched an indexed token
+const MATCH_FACTORS = {
+  exact: 1,
+  prefix: 0.8,
+  fuzzy: 0.6
+};
+
+// How often the index picks up changed cards, and rebuilds from scratch
+// (the rebuild drops cards that were purged from the database)
+const SYNC_INTERVAL_MS = 2000;
+const REBUILD_INTERVAL_MS = 30 * 60 * 1000;
+
+// Overlap used when asking for cards changed since the last sync
+const CLOCK_SKEW_MS = 5000;
+
+// Cap on how many index tokens one query term may expand to
+const MAX_EXPANSIONS = 50;
+
+const SNIPPET_LENGTH = 160;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lowercase and strip diacritics so "povraćaj" and "povracaj" index the same
+ */
+const fold = (text) => (text || '')
+  .toLowerCase()
+  .replace(/đ/g, 'dj')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+const tokenize = (text) => fold(text).match(WORD_PATTERN) || [];
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Levenshtein distance that gives up once it exceeds maxDistance
+ */
+const boundedEditDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+const encodeCursor = (entry) => Buffer.from(JSON.stringify({ s: entry.score, id: entry.cardId })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { s, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return typeof s === 'number' && typeof id === 'string' ? { score: s, cardId: id } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+class CardSearchService {
+  constructor() {
+    this.postings = new Map(); // token -> Map(cardId -> { title, tags, content } term counts)
+    this.documents = new Map(); // cardId -> { spaceId, type, tokens }
+    this.builtAt = null;
+    this.syncedUntil = null;
+    this.lastSyncAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Add (or replace) a card in the index. Trashed cards are removed.
+   */
+  indexCard(card) {
+    const cardId = card._id.toString();
+    this.removeCard(cardId);
+
+    if (card.deletedAt) return;
+
+    const tokens = new Set();
+    const addField = (field, text) => {
+      tokenize(text).forEach(token => {
+        tokens.add(token);
+        if (!this.postings.has(token)) {
+          this.postings.set(token, new Map());
+        }
+        const posting = this.postings.get(token);
+        const counts = posting.get(cardId) || { title: 0, tags: 0, content: 0 };
+        counts[field]++;
+        posting.set(cardId, counts);
+      });
+    };
+
+    cardLocaleService.listVersions(card).forEach(version => {
+      addField('title', version.title);
+      addField('content', version.content);
+    });
+    addField('tags', (card.tags || []).join(' '));
+
+    this.documents.set(cardId, {
+      spaceId: card.spaceId || 'public',
+      type: card.type,
+      tokens
+    });
+  }
+
+  removeCard(cardId) {
+    const doc = this.documents.get(cardId);
+    if (!doc) return;
+
+    doc.tokens.forEach(token => {
+      const posting = this.postings.get(token);
+      if (!posting) return;
+      posting.delete(cardId);
+      if (posting.size === 0) {
+        this.postings.delete(token);
+      }
+    });
+
+    this.documents.delete(cardId);
+  }
+
+  /**
+   * Make sure the index reflects the database: build it on first use,
+   * then pick up cards changed since the last sync (by updatedAt)
+   */
+  async ensureFresh() {
+    if (this.pending) return this.pending;
+
+    const now = Date.now();
+    let task = null;
+
+    if (!this.builtAt || now - this.builtAt > REBUILD_INTERVAL_MS) {
+      task = this.rebuild();
+    } else if (now - this.lastSyncAt > SYNC_INTERVAL_MS) {
+      task = this.syncChanges();
+    }
+
+    if (!task) return;
+
+    this.pending = task.finally(() => {
+      this.pending = null;
+    });
+    return this.pending;
+  }
+
+  async rebuild() {
+    const startedAt = Date.now();
+    const cards = await Card.find({ deletedAt: null })
+      .select('_id spaceId type title tags content language variants deletedAt')
+      .lean();
+
+    this.postings = new Map();
+    this.documents = new Map();
+    cards.forEach(card => this.indexCard(card));
+
+    this.builtAt = startedAt;
+    this.lastSyncAt = startedAt;
+    this.syncedUntil = new Date(startedAt - CLOCK_SKEW_MS);
+
+    console.log(`Search index built: ${this.documents.size} cards, ${this.postings.size} tokens in ${Date.now() - startedAt}ms`);
+  }
+
+  async syncChanges() {
+    const startedAt = Date.now();
+    const cards = await Card.find({ updatedAt: { $gte: this.syncedUntil } })
+      .select('_id spaceId type title tags content language variants deletedAt')
+      .lean();
+
+    cards.forEach(card => this.indexCard(card));
+
+    this.lastSyncAt = startedAt;
+    this.syncedUntil = new Date(startedAt - CLOCK_SKEW_MS);
+  }
+
+  /**
+   * Expand a query term into matching index tokens
+   */
+  expandTerm(term) {
+    const expansions = [];
+
+    if (this.postings.has(term)) {
+      expansions.push({ token: term, factor: MATCH_FACTORS.exact });
+    }
+
+    const maxDistance = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    const candidates = [];
+
+    for (const token of this.postings.keys()) {
+      if (token === term) continue;
+
+      if (term.length >= 2 && token.startsWith(term)) {
+        candidates.push({ token, factor: MATCH_FACTORS.prefix });
+      } else if (maxDistance > 0 && boundedEditDistance(term, token, maxDistance) <= maxDistance) {
+        candidates.push({ token, factor: MATCH_FACTORS.fuzzy });
+      }
+    }
+
+    // Prefer more common tokens when a short term matches a lot
+    candidates.sort((a, b) => this.postings.get(b.token).size - this.postings.get(a.token).size);
+
+    return expansions.concat(candidates.slice(0, MAX_EXPANSIONS));
+  }
+
+  /**
+   * Rank cards in the given spaces (optionally only the given cards, never the excluded ones) for a query.
+   * Returns scored entries (without card documents) sorted by score.
+   */
+  rank(query, spaceIds, cardIds = null, excludeCardIds = null) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return { entries: [], matchedTokens: new Set() };
+
+    const allowedSpaces = spaceIds ? new Set(spaceIds) : null;
+    const allowedCards = cardIds ? new Set(cardIds.map(id => id.toString())) : null;
+    const excludedCards = new Set((excludeCardIds || []).map(id => id.toString()));
+    const totalDocs = Math.max(this.documents.size, 1);
+    const scores = new Map(); // cardId -> { score, matchedTerms }
+    const matchedTokens = new Set();
+
+    terms.forEach(term => {
+      const bestForTerm = new Map(); // cardId -> best score for this term
+
+      this.expandTerm(term).forEach(({ token, factor }) => {
+        const posting = this.postings.get(token);
+        const idf = Math.log(1 + totalDocs / posting.size);
+
+        posting.forEach((counts, cardId) => {
+          const doc = this.documents.get(cardId);
+          if (!doc || (allowedSpaces && !allowedSpaces.has(doc.spaceId))) return;
+          if ((allowedCards && !allowedCards.has(cardId)) || excludedCards.has(cardId)) return;
+
+          const fieldScore = Object.keys(FIELD_WEIGHTS).reduce((sum, field) => {
+            const tf = counts[field];
+            return sum + (tf > 0 ? FIELD_WEIGHTS[field] * (tf / (tf + 1.2)) : 0);
+          }, 0);
+
+          const score = factor * idf * fieldScore;
+          if (score > (bestForTerm.get(cardId) || 0)) {
+            bestForTerm.set(cardId, score);
+          }
+          matchedTokens.add(token);
+        });
+      });
+
+      bestForTerm.forEach((score, cardId) => {
+        const entry = scores.get(cardId) || { score: 0, matchedTerms: 0 };
+        entry.score += score;
+        entry.matchedTerms++;
+        scores.set(cardId, entry);
+      });
+    });
+
+    const entries = [];
+    scores.forEach(({ score, matchedTerms }, cardId) => {
+      // Cards matching every query term rank above partial matches
+      const coverage = matchedTerms / terms.length;
+      let finalScore = score * coverage * coverage;
+
+      if (this.documents.get(cardId).type === 'category') {
+        finalScore *= 1.1;
+      }
+
+      entries.push({ cardId, score: finalScore });
+    });
+
+    entries.sort((a, b) => b.score - a.score || (a.cardId < b.cardId ? -1 : 1));
+
+    return { entries, matchedTokens };
+  }
+
+  /**
+   * Wrap matched words in <mark> (HTML-escaped), optionally cut to a snippet
+   * around the first match
+   */
+  highlight(text, matchedTokens, snippetLength = null) {
+    if (!text) return '';
+
+    const ranges = [];
+    for (const match of text.matchAll(WORD_PATTERN)) {
+      if (matchedTokens.has(fold(match[0]))) {
+        ranges.push([match.index, match.index + match[0].length]);
+      }
+    }
+
+    let start = 0;
+    let end = text.length;
+    if (snippetLength && text.length > snippetLength) {
+      const anchor = ranges.length > 0 ? ranges[0][0] : 0;
+      start = Math.max(0, anchor - Math.floor(snippetLength / 3));
+      end = Math.min(text.length, start + snippetLength);
+    }
+
+    let result = '';
+    let position = start;
+    ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .forEach(([from, to]) => {
+        result += escapeHtml(text.slice(position, from)) + '<mark>' + escapeHtml(text.slice(from, to)) + '</mark>';
+        position = to;
+      });
+    result += escapeHtml(text.slice(position, end));
+
+    return (start > 0 ? '...' : '') + result + (end < text.length ? '...' : '');
+  }
+
+  /**
+   * Language version of a card to show for a result: the requested language,
+   * otherwise the version with the most matched words
+   */
+  pickVersion(card, matchedTokens, lang) {
+    const requested = lang ? cardLocaleService.findVersion(card, lang) : null;
+    if (requested) return requested;
+
+    const matchCount = (text) => (text || '').match(WORD_PATTERN)?.filter(word => matchedTokens.has(fold(word))).length || 0;
+
+    return cardLocaleService.listVersions(card)
+      .map(version => ({ version, count: matchCount(version.title) * 2 + matchCount(version.content) }))
+      .reduce((best, current) => (current.count > best.count ? current : best))
+      .version;
+  }
+
+  /**
+   * Search cards in the given spaces.
+   * Returns a page of live cards with relevance scores and highlights, the
+   * number of live matches (`total`) and an opaque cursor for the next page.
+   * With `lang`, results show that language's variant.
+   */
+  async search(query, { spaceIds = null, cardIds = null, excludeCardIds = null, lang = null, limit = 20, cursor = null } = {}) {
+    await this.ensureFresh();
+
+    const ranked = this.rank(query, spaceIds, cardIds, excludeCardIds);
+    const { matchedTokens } = ranked;
+
+    // Count and page only cards that are still live: the index lags behind
+    // cards trashed or deleted since it was last refreshed
+    const liveIds = new Set((await Card.find({
+      _id: { $in: ranked.entries.map(entry => entry.cardId) },
+      deletedAt: null
+    }).distinct('_id')).map(id => id.toString()));
+    ranked.entries
+      .filter(entry => !liveIds.has(entry.cardId))
+      .forEach(entry => this.removeCard(entry.cardId));
+    const entries = ranked.entries.filter(entry => liveIds.has(entry.cardId));
+
+    let startIndex = 0;
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (after) {
+      startIndex = entries.findIndex(entry =>
+        entry.score < after.score || (entry.score === after.score && entry.cardId > after.cardId)
+      );
+      if (startIndex === -1) startIndex = entries.length;
+    }
+
+    const pageEntries = entries.slice(startIndex, startIndex + limit);
+    const cards = await Card.find({
+      _id: { $in: pageEntries.map(entry => entry.cardId) },
+      deletedAt: null
+    });
+    const cardMap = new Map(cards.map(card => [card._id.toString(), card]));
+
+    // Drop cards that disappeared from the database in the meantime
+    pageEntries
+      .filter(entry => !cardMap.has(entry.cardId))
+      .forEach(entry => this.removeCard(entry.cardId));
+
+    const results = pageEntries
+      .filter(entry => cardMap.has(entry.cardId))
+      .map(entry => {
+        const card = cardMap.get(entry.cardId);
+        const version = this.pickVersion(card.toObject(), matchedTokens, lang);
+        return {
+          ...(lang ? cardLocaleService.localize(card, lang) : card.toJSON()),
+          relevanceScore: Math.round(entry.score * 100) / 100,
+          matchedLanguage: version.lang,
+          highlights: {
+            title: this.highlight(version.title, matchedTokens),
+            content: this.highlight(version.content, matchedTokens, SNIPPET_LENGTH)
+          }
+        };
+      });
+
+    const hasMore = startIndex + limit < entries.length;
+
+    return {
+      results,
+      total: entries.length,
+      nextCursor: hasMore && pageEntries.length > 0 ? encodeCursor(pageEntries[pageEntries.length - 1]) : null
+    };
+  }
+}
+
+module.exports = new CardSearchService();
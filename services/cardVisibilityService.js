@@ -0,0 +1,202 @@
+/**
+ * Card Visibility Service
+ * Card-level ({ roles, userIds } on a card) and section-level (per-tag rules
+ * on a space) visibility restrictions: validation on write and query filters
+ * that keep restricted cards out of listings, search and AI retrieval.
+ * Single-card checks live in permissionService.canViewCard.
+ */
+
+const mongoose = require('mongoose');
+const Space = require('../models/Space');
+const permissionService = require('./permissionService');
+
+// Owners and admins always see every card, so rules only name the other roles
+const RESTRICTABLE_ROLES = ['editor', 'commenter', 'viewer'];
+const MAX_SECTIONS = 50;
+
+const toList = (value) => (Array.isArray(value) ? value : [value])
+  .filter(item => item !== null && item !== undefined && item !== '')
+  .map(item => String(item).trim());
+
+class CardVisibilityService {
+  constructor() {
+    this.restrictableRoles = RESTRICTABLE_ROLES;
+  }
+
+  /**
+   * Validate a { roles, userIds } rule. userIds must be members of the space.
+   */
+  validateRule(input, space, label = 'Visibility') {
+    if (input === null || input === undefined) {
+      return { rule: { roles: [], userIds: [] }, errors: [] };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      return { rule: null, errors: [`${label} must be an object with roles and userIds`] };
+    }
+
+    const roles = [...new Set(toList(input.roles || []))];
+    const userIds = [...new Set(toList(input.userIds || []))];
+    const errors = [];
+
+    roles.filter(role => !RESTRICTABLE_ROLES.includes(role)).forEach(role => {
+      errors.push(`${label}: unknown role "${role}" (use ${RESTRICTABLE_ROLES.join(', ')})`);
+    });
+
+    if (space && space !== 'public') {
+      const isMember = (userId) => space.ownerId === userId || space.members.some(member => member.userId === userId);
+      userIds.filter(userId => !isMember(userId)).forEach(userId => {
+        errors.push(`${label}: user ${userId} is not a member of this space`);
+      });
+    }
+
+    return { rule: { roles, userIds }, errors };
+  }
+
+  /**
+   * Validate the visibility of a card in a space
+   */
+  validateVisibility(input, space) {
+    const { rule, errors } = this.validateRule(input, space);
+    return { visibility: rule, errors };
+  }
+
+  /**
+   * Validate section restrictions set on a space: [{ tag, roles, userIds }]
+   */
+  validateSections(input, space) {
+    if (!Array.isArray(input)) {
+      return { sections: [], errors: ['Section restrictions must be an array'] };
+    }
+    if (input.length > MAX_SECTIONS) {
+      return { sections: [], errors: [`A space can have at most ${MAX_SECTIONS} section restrictions`] };
+    }
+
+    const sections = [];
+    const errors = [];
+    const seen = new Set();
+
+    input.forEach((section, index) => {
+      const tag = section && typeof section.tag === 'string' ? section.tag.trim().toLowerCase() : '';
+      if (!tag) {
+        errors.push(`Section ${index + 1}: tag is required`);
+        return;
+      }
+      if (seen.has(tag)) {
+        errors.push(`Section "${tag}" is defined more than once`);
+        return;
+      }
+      seen.add(tag);
+
+      const { rule, errors: ruleErrors } = this.validateRule(section, space, `Section "${tag}"`);
+      errors.push(...ruleErrors);
+      if (rule) {
+        sections.push({ tag, ...rule });
+      }
+    });
+
+    return { sections, errors };
+  }
+
+  /**
+   * Whether a card carries its own restriction
+   */
+  isRestricted(card) {
+    const visibility = card && card.visibility;
+    return !!visibility && ((visibility.roles || []).length > 0 || (visibility.userIds || []).length > 0);
+  }
+
+  /**
+   * Whether new tags move a card into or out of a restricted section
+   * (the restricted sections its tags fall in differ)
+   */
+  changesSection(space, previousTags, tags) {
+    if (!space || space === 'public' || !(space.sectionRestrictions || []).length) {
+      return false;
+    }
+    const restricted = new Set(space.sectionRestrictions.map(section => section.tag));
+    const sectionsOf = (list) => new Set((list || []).map(tag => String(tag).toLowerCase()).filter(tag => restricted.has(tag)));
+
+    const before = sectionsOf(previousTags);
+    const after = sectionsOf(tags);
+    return before.size !== after.size || [...after].some(tag => !before.has(tag));
+  }
+
+  /**
+   * Build a Mongo filter matching the cards a user may see.
+   * user: { id, email }. spaceIds limits the spaces considered; cards in
+   * spaces the user has no role in only match when they are unrestricted.
+   */
+  async buildQuery(user, spaceIds = null) {
+    const userIdStr = user.id.toString();
+
+    const spaceQuery = {
+      $or: [
+        { ownerId: userIdStr },
+        { 'members.userId': userIdStr },
+        { isPublic: true },
+        { 'sectionRestrictions.0': { $exists: true } }
+      ]
+    };
+    if (spaceIds) {
+      spaceQuery._id = { $in: spaceIds.filter(id => id !== 'public' && mongoose.isValidObjectId(id)) };
+    }
+
+    const spaces = await Space.find(spaceQuery).select('ownerId members isPublic sectionRestrictions').lean();
+
+    // Spaces grouped by the user's role; the shared public space makes everyone an editor
+    const spacesByRole = new Map([['editor', ['public']]]);
+    const managedSpaceIds = [];
+    // Spaces where the user also sees cards waiting for approval
+    const editableSpaceIds = ['public'];
+    const sectionBlocks = [];
+
+    spaces.forEach(space => {
+      const spaceId = space._id.toString();
+      const role = permissionService.getRole(space, userIdStr);
+
+      if (role && permissionService.can(space, userIdStr, permissionService.permissions.CARD_RESTRICT)) {
+        managedSpaceIds.push(spaceId);
+        return;
+      }
+
+      if (role) {
+        if (!spacesByRole.has(role)) spacesByRole.set(role, []);
+        spacesByRole.get(role).push(spaceId);
+      }
+      if (permissionService.can(space, userIdStr, permissionService.permissions.CARD_EDIT)) {
+        editableSpaceIds.push(spaceId);
+      }
+
+      const blockedTags = (space.sectionRestrictions || [])
+        .filter(section => !permissionService.canViewCard(space, { tags: [section.tag] }, user))
+        .map(section => section.tag);
+      if (blockedTags.length > 0) {
+        sectionBlocks.push({ spaceId, tags: { $in: blockedTags } });
+      }
+    });
+
+    const cardRuleAllows = [
+      { 'visibility.roles.0': { $exists: false }, 'visibility.userIds.0': { $exists: false } },
+      { 'visibility.userIds': userIdStr },
+      ...[...spacesByRole].map(([role, ids]) => ({ spaceId: { $in: ids }, 'visibility.roles': role }))
+    ];
+
+    const visible = {
+      $and: [
+        { $or: cardRuleAllows },
+        { $or: [{ approvalStatus: { $ne: 'pending' } }, { spaceId: { $in: editableSpaceIds } }] },
+        ...(sectionBlocks.length > 0 ? [{ $nor: sectionBlocks }] : [])
+      ]
+    };
+
+    return {
+      $or: [
+        { userId: user.email },
+        ...(managedSpaceIds.length > 0 ? [{ spaceId: { $in: managedSpaceIds } }] : []),
+        visible
+      ]
+    };
+  }
+}
+
+module.exports = new CardVisibilityService();
@@ -0,0 +1,471 @@
+/**
+ * Collaborative Edit Service
+ * Live editing sessions for card content. Clients send text operations
+ * (see textOperation.js) against the session version they last saw; the
+ * server transforms them over everything that happened since, applies them
+ * and relays them to the other participants with their carets. Sessions are
+ * saved to the Card document periodically and kept for a while after the
+ * last participant leaves so reconnecting clients can merge their edits.
+ * Participants are WebSocket sessions, so a user can edit in several tabs.
+ */
+
+const Card = require('../models/Card');
+const User = require('../models/User');
+const cardHistoryService = require('./cardHistoryService');
+const textOperation = require('./textOperation');
+
+const SAVE_INTERVAL_MS = 2000;
+
+// Operations kept per session for transforming late and reconnecting clients
+const HISTORY_LIMIT = 500;
+
+// Sessions without participants are dropped after this long
+const IDLE_SESSION_MS = 10 * 60 * 1000;
+
+const MAX_CONTENT_LENGTH = 100000;
+
+// Card fields needed to check access to a session's card
+const ACCESS_FIELDS = 'userId spaceId tags visibility approvalStatus';
+
+const collabError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+class CollabEditService {
+  constructor() {
+    this.sessions = new Map(); // cardId -> session
+    this.wss = null;
+    this.saveTimer = null;
+  }
+
+  /**
+   * Relay through the WebSocket server and start saving sessions
+   */
+  attach(wss) {
+    this.wss = wss;
+    this.startSaving();
+  }
+
+  getSession(cardId) {
+    return this.sessions.get(cardId) || null;
+  }
+
+  // Whether a WebSocket session other than the given one is editing the card live
+  hasOtherParticipants(cardId, sessionId) {
+    const session = this.getSession(cardId);
+    return !!session && [...session.participants.keys()].some(id => id !== sessionId);
+  }
+
+  /**
+   * Session of a card, opened from the stored card if there is none
+   */
+  async open(cardId) {
+    const existing = this.getSession(cardId);
+    if (existing) {
+      return existing;
+    }
+
+    const card = await Card.findOne({ _id: cardId, deletedAt: null }).select(`${ACCESS_FIELDS} content contentVersion`);
+    if (!card) {
+      throw collabError('Card not found', 404);
+    }
+
+    // Another join may have opened it while the card was loading
+    if (this.sessions.has(cardId)) {
+      return this.sessions.get(cardId);
+    }
+
+    const content = card.content || '';
+    const session = {
+      cardId,
+      spaceId: card.spaceId || 'public',
+      card: card.toObject(),
+      content,
+      version: card.contentVersion || 0,
+      // Operations history[i] led to history[i].version; complete from historyBase on
+      history: [],
+      historyBase: card.contentVersion || 0,
+      savedVersion: card.contentVersion || 0,
+      savedContent: content,
+      // Content of the last revision recorded for the session
+      revisionContent: content,
+      participants: new Map(), // sessionId -> { sessionId, userId, userName, userColor, selection }
+      editors: new Set(),
+      lastEditorId: null,
+      saving: false,
+      lastActivity: Date.now()
+    };
+    this.sessions.set(cardId, session);
+    return session;
+  }
+
+  getParticipants(session) {
+    return [...session.participants.values()];
+  }
+
+  /**
+   * Operations since a version, or null when the history no longer reaches back that far
+   */
+  opsSince(session, version) {
+    if (!Number.isInteger(version) || version < session.historyBase || version > session.version) {
+      return null;
+    }
+    return session.history.filter(entry => entry.version > version);
+  }
+
+  /**
+   * Rebase a client operation made on `baseVersion` onto the current content.
+   * When the history does not reach back far enough (e.g. after a long
+   * disconnect or a restart), the client's base content is diffed against
+   * the current content instead.
+   */
+  rebase(session, operation, baseVersion, baseContent) {
+    let op = operation;
+    const missed = this.opsSince(session, baseVersion);
+
+    if (missed) {
+      missed.forEach(entry => {
+        [op] = textOperation.transform(op, entry.operation);
+      });
+      return op;
+    }
+
+    if (typeof baseContent !== 'string' || textOperation.baseLength(op) !== baseContent.length) {
+      throw collabError('Your copy of the card is too old to merge; reload the content', 409);
+    }
+    [op] = textOperation.transform(op, textOperation.diff(baseContent, session.content));
+    return op;
+  }
+
+  /**
+   * Apply a participant's operation to the session and relay it. Returns the
+   * operation as applied (transformed) and the new version.
+   */
+  applyOperation(session, sessionId, operation, { baseVersion, baseContent = null, selection = null } = {}) {
+    const op = this.rebase(session, textOperation.normalize(operation), baseVersion, baseContent);
+
+    if (textOperation.isNoop(op)) {
+      return { operation: op, version: session.version };
+    }
+
+    const content = textOperation.apply(session.content, op);
+    if (content.length > MAX_CONTENT_LENGTH) {
+      throw collabError(`Card content cannot be longer than ${MAX_CONTENT_LENGTH} characters`);
+    }
+
+    const participant = session.participants.get(sessionId);
+    const userId = participant ? participant.userId : null;
+    this.commit(session, op, content, userId);
+
+    if (participant && selection) {
+      participant.selection = this.clampSelection(selection, content.length);
+    }
+
+    this.broadcast(session, {
+      type: 'collab:op',
+      cardId: session.cardId,
+      version: session.version,
+      operation: op,
+      userId,
+      sessionId,
+      userName: participant ? participant.userName : null,
+      userColor: participant ? participant.userColor : null,
+      selection: participant ? participant.selection : null
+    }, sessionId);
+
+    return { operation: op, version: session.version };
+  }
+
+  // Record an applied operation and move every caret through it
+  commit(session, op, content, userId, version = session.version + 1) {
+    session.content = content;
+    session.version = version;
+    session.history.push({ version, operation: op, userId });
+    if (session.history.length > HISTORY_LIMIT) {
+      session.historyBase = session.history.shift().version;
+    }
+    if (userId) {
+      session.editors.add(userId);
+      session.lastEditorId = userId;
+    }
+    session.lastActivity = Date.now();
+
+    session.participants.forEach(participant => {
+      if (participant.selection) {
+        participant.selection = {
+          anchor: textOperation.transformIndex(participant.selection.anchor, op),
+          head: textOperation.transformIndex(participant.selection.head, op)
+        };
+      }
+    });
+  }
+
+  clampSelection(selection, length) {
+    const clamp = value => Math.min(Math.max(Number.isInteger(value) ? value : 0, 0), length);
+    const anchor = clamp(selection.anchor);
+    return { anchor, head: selection.head === undefined ? anchor : clamp(selection.head) };
+  }
+
+  /**
+   * Join a session as a user's WebSocket session ({ id, sessionId, name, color }).
+   * Edits made offline can be merged with `operations` (applied in order on
+   * `version`, whose content was `baseContent`).
+   * Returns { session, merged, mergeError }.
+   */
+  async join(cardId, user, { version, baseContent = null, operations = [] } = {}) {
+    const session = await this.open(cardId);
+
+    session.participants.set(user.sessionId, {
+      sessionId: user.sessionId,
+      userId: user.id,
+      userName: user.name,
+      userColor: user.color,
+      selection: null
+    });
+    session.lastActivity = Date.now();
+
+    // A failed merge does not fail the join: the client gets the current
+    // content and can reapply its edits
+    let merged = false;
+    let mergeError = null;
+    if (Array.isArray(operations) && operations.length > 0) {
+      try {
+        const pending = operations
+          .map(operation => textOperation.normalize(operation))
+          .reduce((composed, operation) => textOperation.compose(composed, operation));
+        this.applyOperation(session, user.sessionId, pending, { baseVersion: version, baseContent });
+        merged = true;
+      } catch (error) {
+        if (!error.status) throw error;
+        mergeError = error.message;
+      }
+    }
+
+    this.broadcast(session, {
+      type: 'collab:joined',
+      cardId,
+      userId: user.id,
+      sessionId: user.sessionId,
+      userName: user.name,
+      userColor: user.color
+    }, user.sessionId);
+
+    return { session, merged, mergeError };
+  }
+
+  /**
+   * Update a participant's caret or selection, sent for `version`
+   */
+  setSelection(session, sessionId, selection, version) {
+    const participant = session.participants.get(sessionId);
+    if (!participant || !selection) return;
+
+    const missed = this.opsSince(session, version);
+    if (!missed) return;
+
+    let { anchor, head } = this.clampSelection(selection, Number.MAX_SAFE_INTEGER);
+    missed.forEach(entry => {
+      anchor = textOperation.transformIndex(anchor, entry.operation);
+      head = textOperation.transformIndex(head, entry.operation);
+    });
+    participant.selection = this.clampSelection({ anchor, head }, session.content.length);
+
+    this.broadcast(session, {
+      type: 'collab:selection',
+      cardId: session.cardId,
+      userId: participant.userId,
+      sessionId,
+      userName: participant.userName,
+      userColor: participant.userColor,
+      selection: participant.selection
+    }, sessionId);
+  }
+
+  /**
+   * Leave a session. The content is saved when the last participant leaves.
+   */
+  async leave(cardId, sessionId) {
+    const session = this.getSession(cardId);
+    const participant = session && session.participants.get(sessionId);
+    if (!participant) return;
+
+    session.participants.delete(sessionId);
+    session.lastActivity = Date.now();
+    this.broadcast(session, { type: 'collab:left', cardId, userId: participant.userId, sessionId });
+
+    if (session.participants.size === 0) {
+      await this.save(session);
+      await this.recordRevision(session);
+    }
+  }
+
+  // Leave every editing session a WebSocket session takes part in (e.g. on disconnect)
+  async leaveAll(sessionId) {
+    const cardIds = [...this.sessions.values()]
+      .filter(session => session.participants.has(sessionId))
+      .map(session => session.cardId);
+    for (const cardId of cardIds) {
+      await this.leave(cardId, sessionId);
+    }
+  }
+
+  /**
+   * Write the session content to the card. If the content was changed
+   * outside the session since the last save (REST update, undo, restore),
+   * that change is merged into the session first.
+   */
+  async save(session) {
+    if (session.saving || session.version === session.savedVersion) return;
+    session.saving = true;
+
+    try {
+      const version = session.version;
+      const content = session.content;
+      const saved = await Card.findOneAndUpdate(
+        { _id: session.cardId, deletedAt: null, contentVersion: session.savedVersion },
+        { $set: { content, contentVersion: version, updatedAt: new Date() } },
+        { new: true, projection: ACCESS_FIELDS }
+      );
+
+      if (saved) {
+        // Pick up visibility changes made since the session was opened
+        session.card = saved.toObject();
+        session.savedVersion = version;
+        session.savedContent = content;
+        await this.announceSaved(session);
+        return;
+      }
+
+      const card = await Card.findOne({ _id: session.cardId, deletedAt: null }).select('content contentVersion');
+      if (!card) {
+        this.close(session, 'Card was deleted');
+        return;
+      }
+      this.mergeExternalChange(session, card);
+    } catch (error) {
+      console.error(`Error saving collaborative edits of card ${session.cardId}:`, error);
+    } finally {
+      session.saving = false;
+    }
+  }
+
+  // Apply a change saved outside the session as if it had been made on the last saved version
+  mergeExternalChange(session, card) {
+    const external = textOperation.diff(session.savedContent, card.content || '');
+    const missed = this.opsSince(session, session.savedVersion);
+
+    let op;
+    if (missed) {
+      op = external;
+      missed.forEach(entry => {
+        [op] = textOperation.transform(op, entry.operation);
+      });
+    } else {
+      // History gone: the stored content wins
+      op = textOperation.diff(session.content, card.content || '');
+    }
+
+    // Continue numbering above both histories so old versions stay unambiguous
+    const version = Math.max(session.version, card.contentVersion) + 1;
+    this.commit(session, op, textOperation.apply(session.content, op), null, version);
+    session.savedVersion = card.contentVersion;
+    session.savedContent = card.content || '';
+
+    console.log(`Collaborative editing: merged outside change into card ${session.cardId}`);
+    this.broadcast(session, {
+      type: 'collab:op',
+      cardId: session.cardId,
+      version: session.version,
+      operation: op,
+      userId: null
+    });
+  }
+
+  // Tell the rest of the space about the saved content
+  async announceSaved(session) {
+    if (!this.wss) return;
+    this.wss.broadcastToSpace(session.spaceId, {
+      type: 'card:contentSaved',
+      cardId: session.cardId,
+      content: session.savedContent,
+      version: session.savedVersion
+    }, null, { card: session.card });
+  }
+
+  async recordRevision(session) {
+    if (session.editors.size === 0 || session.content === session.revisionContent) return;
+
+    try {
+      const [card, user] = await Promise.all([
+        Card.findById(session.cardId),
+        User.findById(session.lastEditorId)
+      ]);
+      if (!card) return;
+
+      const previous = cardHistoryService.takeSnapshot({ ...card.toObject(), content: session.revisionContent });
+      await cardHistoryService.recordRevision(card, { user, previous });
+      session.revisionContent = card.content || '';
+      session.editors.clear();
+    } catch (error) {
+      console.error(`Error recording history for card ${session.cardId}:`, error);
+    }
+  }
+
+  close(session, reason) {
+    this.broadcast(session, { type: 'collab:closed', cardId: session.cardId, reason });
+    this.sessions.delete(session.cardId);
+  }
+
+  // Close the session of a card that was deleted or trashed
+  closeCard(cardId, reason = 'Card was deleted') {
+    const session = this.getSession(cardId);
+    if (session) {
+      this.close(session, reason);
+    }
+  }
+
+  broadcast(session, message, excludeSessionId = null) {
+    if (!this.wss) return;
+    session.participants.forEach((participant, sessionId) => {
+      if (sessionId !== excludeSessionId) {
+        this.wss.sendToSession(sessionId, message);
+      }
+    });
+  }
+
+  /**
+   * Save changed sessions and drop idle ones
+   */
+  async saveAll() {
+    const now = Date.now();
+    for (const session of [...this.sessions.values()]) {
+      await this.save(session);
+
+      if (
+        session.participants.size === 0 &&
+        session.version === session.savedVersion &&
+        now - session.lastActivity > IDLE_SESSION_MS
+      ) {
+        this.sessions.delete(session.cardId);
+      }
+    }
+  }
+
+  startSaving(intervalMs = SAVE_INTERVAL_MS) {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setInterval(() => {
+      this.saveAll().catch(error => {
+        console.error('Error saving collaborative edits:', error);
+      });
+    }, intervalMs);
+    this.saveTimer.unref();
+  }
+
+  stopSaving() {
+    if (this.saveTimer) {
+      clearInterval(this.saveTimer);
+      this.saveTimer = null;
+    }
+  }
+}
+
+module.exports = new CollabEditService();
@@ -0,0 +1,165 @@
+/**
+ * Invitation Mail Service
+ * Emails for space invitations (invitation, acceptance, expiry reminder) and
+ * the signed accept links they carry. A link identifies the invitation
+ * without a login, so people who have not registered yet can open it.
+ */
+
+const jwt = require('jsonwebtoken');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const mailService = require('./mailService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Remind invitees this long before their invitation expires
+const REMINDER_WINDOW_MS = 24 * HOUR_MS;
+
+const TOKEN_PURPOSE = 'invitation';
+
+const defaultAppUrl = () => (process.env.NODE_ENV === 'production'
+  ? 'https://macro-mind-frontend.vercel.app'
+  : 'http://localhost:3000');
+
+class InvitationMailService {
+  constructor() {
+    this.reminderTimer = null;
+  }
+
+  // Links are signed with their own key so they can never pass as login tokens
+  getSecret() {
+    return `${process.env.INVITATION_LINK_SECRET || process.env.JWT_SECRET}:invitation-links`;
+  }
+
+  /**
+   * Signed token for an invitation, valid until the invitation expires
+   */
+  createAcceptToken(invitation) {
+    const expiresIn = Math.max(Math.floor((new Date(invitation.expiresAt).getTime() - Date.now()) / 1000), 1);
+    return jwt.sign(
+      { sub: invitation._id.toString(), inv: invitation.inviteeEmail, purpose: TOKEN_PURPOSE },
+      this.getSecret(),
+      { expiresIn }
+    );
+  }
+
+  /**
+   * Verify an accept token. Returns { invitationId, email } or null.
+   */
+  verifyAcceptToken(token) {
+    try {
+      const payload = jwt.verify(token, this.getSecret());
+      if (payload.purpose !== TOKEN_PURPOSE) {
+        return null;
+      }
+      return { invitationId: payload.sub, email: payload.inv };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Frontend URL that emailed and shared links point to
+  getAppUrl() {
+    return (process.env.APP_URL || defaultAppUrl()).replace(/\/$/, '');
+  }
+
+  getAcceptUrl(invitation) {
+    return `${this.getAppUrl()}/invitations/accept?token=${encodeURIComponent(this.createAcceptToken(invitation))}`;
+  }
+
+  /**
+   * Queue the invitation email. Never throws: the invitation itself was created.
+   */
+  async sendInvitation(invitation, space, inviter) {
+    try {
+      await mailService.enqueue(invitation.inviteeEmail, 'invitation', {
+        inviterName: inviter.name,
+        spaceName: space.name,
+        role: invitation.role,
+        message: invitation.message,
+        acceptUrl: this.getAcceptUrl(invitation),
+        expiresAt: invitation.expiresAt
+      });
+    } catch (error) {
+      console.error(`Error queueing invitation email to ${invitation.inviteeEmail}:`, error);
+    }
+  }
+
+  /**
+   * Tell the inviter their invitation was accepted
+   */
+  async sendAccepted(invitation, space, invitee) {
+    try {
+      const inviter = await User.findById(invitation.inviterUserId).select('email');
+      if (!inviter) return;
+
+      await mailService.enqueue(inviter.email, 'invitationAccepted', {
+        inviteeName: invitee.name,
+        inviteeEmail: invitee.email,
+        spaceName: space.name,
+        role: invitation.role
+      });
+    } catch (error) {
+      console.error(`Error queueing acceptance email for invitation ${invitation._id}:`, error);
+    }
+  }
+
+  /**
+   * Remind invitees whose pending invitations expire within the next day
+   */
+  async sendExpiryReminders() {
+    const now = new Date();
+    const invitations = await Invitation.find({
+      status: 'pending',
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + REMINDER_WINDOW_MS) },
+      expiryReminderSentAt: null
+    }).populate('space inviter');
+
+    let sent = 0;
+    for (const invitation of invitations) {
+      if (!invitation.space) continue;
+
+      try {
+        await mailService.enqueue(invitation.inviteeEmail, 'invitationExpiring', {
+          inviterName: invitation.inviter ? invitation.inviter.name : 'A MacroMind user',
+          spaceName: invitation.space.name,
+          acceptUrl: this.getAcceptUrl(invitation),
+          expiresAt: invitation.expiresAt
+        });
+        invitation.expiryReminderSentAt = now;
+        await invitation.save();
+        sent++;
+      } catch (error) {
+        console.error(`Error queueing expiry reminder for invitation ${invitation._id}:`, error);
+      }
+    }
+
+    if (sent > 0) {
+      console.log(`Invitation reminders: queued ${sent} expiry reminders`);
+    }
+    return sent;
+  }
+
+  /**
+   * Run sendExpiryReminders periodically (hourly by default)
+   */
+  startReminderSchedule(intervalMs = HOUR_MS) {
+    if (this.reminderTimer) return;
+
+    this.reminderTimer = setInterval(() => {
+      this.sendExpiryReminders().catch(error => {
+        console.error('Error sending invitation expiry reminders:', error);
+      });
+    }, intervalMs);
+    this.reminderTimer.unref();
+  }
+
+  stopReminderSchedule() {
+    if (this.reminderTimer) {
+      clearInterval(this.reminderTimer);
+      this.reminderTimer = null;
+    }
+  }
+}
+
+module.exports = new InvitationMailService();
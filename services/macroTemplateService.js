@@ -0,0 +1,225 @@
+/**
+ * Macro Template Service
+ * Parses and renders card content templates:
+ *   {{customer_name}}                 variable
+ *   {{amount|0 RSD}}                  variable with an inline default
+ *   {{#if order_id}}...{{else}}...{{/if}}  conditional on a variable having a value
+ */
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const TAG_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+const MAX_VARIABLES = 50;
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+class MacroTemplateService {
+  /**
+   * Parse a template into a node tree.
+   * Nodes: { type: 'text', value } | { type: 'var', name, defaultValue } |
+   *        { type: 'if', name, then: [], otherwise: [] }
+   */
+  parse(content) {
+    const root = { children: [] };
+    const stack = [root];
+    const errors = [];
+    const text = content || '';
+    let position = 0;
+
+    const current = () => {
+      const frame = stack[stack.length - 1];
+      return frame.node && frame.inElse ? frame.node.otherwise : (frame.node ? frame.node.then : frame.children);
+    };
+
+    for (const match of text.matchAll(TAG_PATTERN)) {
+      if (match.index > position) {
+        current().push({ type: 'text', value: text.slice(position, match.index) });
+      }
+      position = match.index + match[0].length;
+
+      const tag = match[1].trim();
+
+      if (tag.startsWith('#if')) {
+        const name = tag.slice(3).trim();
+        if (!NAME_PATTERN.test(name)) {
+          errors.push(`Invalid condition "{{${tag}}}"`);
+          continue;
+        }
+        const node = { type: 'if', name, then: [], otherwise: [] };
+        current().push(node);
+        stack.push({ node, inElse: false });
+      } else if (tag === 'else') {
+        const frame = stack[stack.length - 1];
+        if (!frame.node || frame.inElse) {
+          errors.push('"{{else}}" without a matching "{{#if}}"');
+          continue;
+        }
+        frame.inElse = true;
+      } else if (tag === '/if') {
+        if (stack.length === 1) {
+          errors.push('"{{/if}}" without a matching "{{#if}}"');
+          continue;
+        }
+        stack.pop();
+      } else {
+        const separator = tag.indexOf('|');
+        const name = (separator === -1 ? tag : tag.slice(0, separator)).trim();
+        if (!NAME_PATTERN.test(name)) {
+          errors.push(`Invalid variable "{{${tag}}}"`);
+          continue;
+        }
+        current().push({
+          type: 'var',
+          name,
+          defaultValue: separator === -1 ? null : tag.slice(separator + 1).trim()
+        });
+      }
+    }
+
+    if (position < text.length) {
+      current().push({ type: 'text', value: text.slice(position) });
+    }
+
+    stack.slice(1).forEach(frame => {
+      errors.push(`"{{#if ${frame.node.name}}}" is never closed with "{{/if}}"`);
+    });
+
+    return { nodes: root.children, errors };
+  }
+
+  /**
+   * True if the content uses any template syntax
+   */
+  isTemplate(content) {
+    return typeof content === 'string' && /\{\{[\s\S]*?\}\}/.test(content);
+  }
+
+  /**
+   * Variables referenced by a template, in order of first use
+   */
+  extractVariables(content) {
+    const { nodes } = this.parse(content);
+    const variables = new Map();
+
+    const visit = (list) => list.forEach(node => {
+      if (node.type === 'var' || node.type === 'if') {
+        const entry = variables.get(node.name) || { name: node.name, defaultValue: null, conditionOnly: true };
+        if (node.type === 'var') {
+          entry.conditionOnly = false;
+          if (entry.defaultValue === null && node.defaultValue !== null) {
+            entry.defaultValue = node.defaultValue;
+          }
+        }
+        variables.set(node.name, entry);
+      }
+      if (node.type === 'if') {
+        visit(node.then);
+        visit(node.otherwise);
+      }
+    });
+    visit(nodes);
+
+    return [...variables.values()];
+  }
+
+  /**
+   * Normalize variable declarations: [{ name, label, defaultValue, description }]
+   */
+  normalizeDeclarations(input) {
+    if (input === undefined || input === null) return { variables: [], errors: [] };
+    if (!Array.isArray(input)) return { variables: [], errors: ['Variables must be an array'] };
+
+    const errors = [];
+    const seen = new Set();
+
+    if (input.length > MAX_VARIABLES) {
+      errors.push(`A card can declare at most ${MAX_VARIABLES} variables`);
+    }
+
+    const variables = input.map(variable => {
+      const declaration = typeof variable === 'string' ? { name: variable } : (variable || {});
+      const name = typeof declaration.name === 'string' ? declaration.name.trim() : '';
+
+      if (!NAME_PATTERN.test(name)) {
+        errors.push(`Invalid variable name "${name}" (use letters, digits and underscores)`);
+      } else if (seen.has(name)) {
+        errors.push(`Variable "${name}" is declared more than once`);
+      }
+      seen.add(name);
+
+      return {
+        name,
+        label: typeof declaration.label === 'string' && declaration.label.trim() ? declaration.label.trim() : name,
+        defaultValue: isBlank(declaration.defaultValue) ? null : String(declaration.defaultValue),
+        description: typeof declaration.description === 'string' ? declaration.description.trim() : ''
+      };
+    });
+
+    return { variables, errors };
+  }
+
+  /**
+   * Validate card content (or several contents, e.g. language variants)
+   * against its variable declarations. Every variable used must be declared.
+   */
+  validate(content, declarations) {
+    const contents = Array.isArray(content) ? content : [content];
+    const { variables, errors } = this.normalizeDeclarations(declarations);
+    contents.forEach(text => errors.push(...this.parse(text).errors));
+
+    const declared = new Set(variables.map(variable => variable.name));
+    const used = new Set(contents.flatMap(text => this.extractVariables(text).map(variable => variable.name)));
+    const undefinedVariables = [...used].filter(name => !declared.has(name));
+
+    if (undefinedVariables.length > 0) {
+      errors.push(`Undefined template variables: ${undefinedVariables.join(', ')}`);
+    }
+
+    return { variables, errors, undefinedVariables };
+  }
+
+  /**
+   * Render a template with the given values. Missing values fall back to the
+   * inline default, then the declared default; otherwise the placeholder is
+   * kept and the variable is reported as missing.
+   */
+  render(content, values = {}, declarations = []) {
+    const { nodes, errors } = this.parse(content);
+    const declaredDefaults = new Map(
+      (declarations || []).map(variable => [variable.name, variable.defaultValue])
+    );
+    const missing = new Set();
+
+    // Only the caller's own values count: names like `constructor` are not inherited from Object
+    const valueOf = (name) => {
+      const value = values && Object.prototype.hasOwnProperty.call(values, name) ? values[name] : undefined;
+      return isBlank(value) ? null : String(value);
+    };
+
+    const renderNodes = (list) => list.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'if':
+          return renderNodes(valueOf(node.name) !== null ? node.then : node.otherwise);
+        case 'var': {
+          const value = valueOf(node.name);
+          if (value !== null) return value;
+          if (node.defaultValue !== null) return node.defaultValue;
+          if (!isBlank(declaredDefaults.get(node.name))) return declaredDefaults.get(node.name);
+          missing.add(node.name);
+          return `{{${node.name}}}`;
+        }
+        default:
+          return '';
+      }
+    }).join('');
+
+    return {
+      text: renderNodes(nodes),
+      missing: [...missing],
+      errors
+    };
+  }
+}
+
+module.exports = new MacroTemplateService();
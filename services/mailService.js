@@ -0,0 +1,152 @@
+/**
+ * Mail Service
+ * Renders templated emails into a persistent send queue and delivers them
+ * through the configured transport, retrying failed sends with backoff
+ */
+
+const MailJob = require('../models/MailJob');
+const mailTemplates = require('./mailTemplates');
+const { createTransport } = require('./mailTransports');
+
+const MINUTE_MS = 60 * 1000;
+
+// A job left in 'sending' this long (e.g. after a crash) is sent again
+const STALE_LOCK_MS = 10 * MINUTE_MS;
+
+class MailService {
+  constructor() {
+    this.from = process.env.MAIL_FROM || 'MacroMind <no-reply@localhost>';
+    this.maxAttempts = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5;
+    this.transport = null;
+    this.queueTimer = null;
+    this.processing = false;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport();
+      console.log(`Mail: using ${this.transport.name} transport`);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the transport (any object with async send(message))
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Render a template and queue the email. Delivery starts right away;
+   * failed sends are retried by the queue.
+   */
+  async enqueue(to, template, data) {
+    const { subject, text, html } = mailTemplates.render(template, data);
+    const job = await MailJob.create({ to, template, subject, text, html });
+
+    setImmediate(() => {
+      this.processQueue().catch(error => {
+        console.error('Error processing mail queue:', error);
+      });
+    });
+
+    return job;
+  }
+
+  /**
+   * Claim the next due job (or one stuck in 'sending')
+   */
+  async claimNext() {
+    const now = new Date();
+    return MailJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+        ]
+      },
+      { $set: { status: 'sending', lockedAt: now } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Send a claimed job; on failure schedule a retry (1, 2, 4... minutes)
+   * until maxAttempts is reached
+   */
+  async deliver(job) {
+    job.attempts += 1;
+
+    try {
+      const result = await this.getTransport().send({
+        from: this.from,
+        to: job.to,
+        subject: job.subject,
+        text: job.text,
+        html: job.html || undefined
+      });
+
+      job.status = 'sent';
+      job.sentAt = new Date();
+      job.messageId = result && result.messageId ? result.messageId : null;
+      job.lastError = null;
+      console.log(`Mail: sent ${job.template} to ${job.to}`);
+    } catch (error) {
+      job.lastError = error.message;
+
+      if (job.attempts >= this.maxAttempts) {
+        job.status = 'failed';
+        console.error(`Mail: giving up on ${job.template} to ${job.to} after ${job.attempts} attempts:`, error.message);
+      } else {
+        job.status = 'pending';
+        job.nextAttemptAt = new Date(Date.now() + Math.min(2 ** (job.attempts - 1), 60) * MINUTE_MS);
+        console.warn(`Mail: ${job.template} to ${job.to} failed (attempt ${job.attempts}), retrying at ${job.nextAttemptAt.toISOString()}:`, error.message);
+      }
+    }
+
+    job.lockedAt = null;
+    await job.save();
+    return job;
+  }
+
+  /**
+   * Send every due job
+   */
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      let job;
+      while ((job = await this.claimNext())) {
+        await this.deliver(job);
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Run processQueue periodically so retries go out (every 30 seconds by default)
+   */
+  startQueue(intervalMs = 30 * 1000) {
+    if (this.queueTimer) return;
+
+    this.queueTimer = setInterval(() => {
+      this.processQueue().catch(error => {
+        console.error('Error processing mail queue:', error);
+      });
+    }, intervalMs);
+    this.queueTimer.unref();
+  }
+
+  stopQueue() {
+    if (this.queueTimer) {
+      clearInterval(this.queueTimer);
+      this.queueTimer = null;
+    }
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,80 @@
+/**
+ * Mail Templates
+ * Each template turns its data into { subject, text, html }
+ */
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date) => new Date(date).toUTCString();
+
+// Wrap paragraphs (and an optional button) in the shared HTML layout
+const layout = (paragraphs, action = null) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; line-height: 1.5;">
+    ${paragraphs.map(paragraph => `<p>${paragraph}</p>`).join('\n    ')}
+    ${action ? `<p><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 10px 18px; background: #2563eb; color: #ffffff; text-decoration: none; border-radius: 4px;">${escapeHtml(action.label)}</a></p>` : ''}
+    <p style="color: #6b7280; font-size: 12px;">MacroMind</p>
+  </body>
+</html>`;
+
+const TEMPLATES = {
+  // data: { inviterName, spaceName, role, message, acceptUrl, expiresAt }
+  invitation: (data) => ({
+    subject: `${data.inviterName} invited you to "${data.spaceName}" on MacroMind`,
+    text: [
+      `${data.inviterName} invited you to join the space "${data.spaceName}" as ${data.role}.`,
+      data.message ? `\n"${data.message}"\n` : '',
+      `Accept the invitation: ${data.acceptUrl}`,
+      `If you do not have an account yet, you can create one from that link.`,
+      `The invitation expires on ${formatDate(data.expiresAt)}.`
+    ].filter(Boolean).join('\n'),
+    html: layout([
+      `<strong>${escapeHtml(data.inviterName)}</strong> invited you to join the space <strong>${escapeHtml(data.spaceName)}</strong> as ${escapeHtml(data.role)}.`,
+      ...(data.message ? [`<em>"${escapeHtml(data.message)}"</em>`] : []),
+      `If you do not have an account yet, you can create one after opening the link.`,
+      `The invitation expires on ${escapeHtml(formatDate(data.expiresAt))}.`
+    ], { url: data.acceptUrl, label: 'Accept invitation' })
+  }),
+
+  // data: { inviteeName, inviteeEmail, spaceName, role }
+  invitationAccepted: (data) => ({
+    subject: `${data.inviteeName} joined "${data.spaceName}"`,
+    text: `${data.inviteeName} (${data.inviteeEmail}) accepted your invitation and joined "${data.spaceName}" as ${data.role}.`,
+    html: layout([
+      `<strong>${escapeHtml(data.inviteeName)}</strong> (${escapeHtml(data.inviteeEmail)}) accepted your invitation and joined <strong>${escapeHtml(data.spaceName)}</strong> as ${escapeHtml(data.role)}.`
+    ])
+  }),
+
+  // data: { inviterName, spaceName, acceptUrl, expiresAt }
+  invitationExpiring: (data) => ({
+    subject: `Your invitation to "${data.spaceName}" expires soon`,
+    text: [
+      `Your invitation from ${data.inviterName} to join "${data.spaceName}" expires on ${formatDate(data.expiresAt)}.`,
+      `Accept it here: ${data.acceptUrl}`
+    ].join('\n'),
+    html: layout([
+      `Your invitation from <strong>${escapeHtml(data.inviterName)}</strong> to join <strong>${escapeHtml(data.spaceName)}</strong> expires on ${escapeHtml(formatDate(data.expiresAt))}.`
+    ], { url: data.acceptUrl, label: 'Accept invitation' })
+  })
+};
+
+/**
+ * Render a template by name
+ */
+const render = (name, data) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown mail template "${name}"`);
+  }
+  return template(data || {});
+};
+
+module.exports = {
+  templates: Object.keys(TEMPLATES),
+  render
+};
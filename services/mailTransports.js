@@ -0,0 +1,108 @@
+/**
+ * Mail Transports
+ * Every transport implements `async send({ from, to, subject, text, html })`
+ * and resolves with `{ messageId }`, or throws when the message could not be
+ * handed over (the mail queue then retries it).
+ *
+ * - smtp:    delivers through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ * - file:    writes each message as an .eml file to MAIL_FILE_DIR (default data/mail)
+ * - console: prints each message to the server log
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+class SmtpTransport {
+  constructor(options = {}) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port || 587,
+      secure: !!options.secure,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+class FileTransport {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.directory = options.directory;
+    // Builds the raw message without sending it anywhere
+    this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const recipient = String(message.to).replace(/[^\w.@-]/g, '_');
+    const file = path.join(this.directory, `${Date.now()}-${recipient}.eml`);
+    await fs.promises.writeFile(file, info.message);
+
+    return { messageId: info.messageId, file };
+  }
+}
+
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    console.log([
+      '--- Outgoing mail ---',
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '---------------------'
+    ].join('\n'));
+
+    return { messageId: `console-${Date.now()}` };
+  }
+}
+
+/**
+ * Create the transport configured by MAIL_TRANSPORT (smtp|file|console).
+ * Without it, SMTP is used when SMTP_HOST is set and the console otherwise.
+ */
+const createTransport = (env = process.env) => {
+  const type = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console');
+
+  switch (type) {
+    case 'smtp':
+      if (!env.SMTP_HOST) {
+        throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+      }
+      return new SmtpTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+      });
+    case 'file':
+      return new FileTransport({
+        directory: env.MAIL_FILE_DIR || path.join(__dirname, '..', 'data', 'mail')
+      });
+    case 'console':
+      return new ConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${type}" (use smtp, file or console)`);
+  }
+};
+
+module.exports = {
+  SmtpTransport,
+  FileTransport,
+  ConsoleTransport,
+  createTransport
+};
@@ -0,0 +1,337 @@
+/**
+ * Notification Service
+ * Stores in-app notifications (invitations, membership changes, comments and
+ * mentions) and delivers them live to connected users over the WebSocket server
+ */
+
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const CardComment = require('../models/CardComment');
+const permissionService = require('./permissionService');
+
+// Preference category of each notification type
+const TYPE_CATEGORIES = {
+  'invitation:received': 'invitations',
+  'invitation:accepted': 'invitations',
+  'member:roleChanged': 'membership',
+  'member:removed': 'membership',
+  'space:deleted': 'membership',
+  'space:transferRequested': 'membership',
+  'space:transferAccepted': 'membership',
+  'space:transferDeclined': 'membership',
+  'space:ownerChanged': 'membership',
+  'comment:created': 'comments',
+  'comment:reply': 'comments',
+  'comment:mention': 'mentions'
+};
+
+const CATEGORIES = ['invitations', 'membership', 'mentions', 'comments'];
+
+const MAX_PAGE_SIZE = 100;
+
+// Comment excerpt shown in notification messages
+const excerpt = (text, length = 80) => {
+  const flat = (text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length - 1)}…` : flat;
+};
+
+class NotificationService {
+  constructor() {
+    this.categories = CATEGORIES;
+    this.wss = null;
+  }
+
+  /**
+   * Deliver new notifications live through the WebSocket server
+   */
+  attach(wss) {
+    this.wss = wss;
+  }
+
+  /**
+   * Notify users. The actor and users who turned the category off are skipped.
+   * Never throws: a failed notification must not fail the action behind it.
+   */
+  async notify(userIds, { type, message, data = {}, actor = null }) {
+    try {
+      const actorId = actor ? actor.id.toString() : null;
+      const recipientIds = [...new Set(userIds.filter(Boolean).map(id => id.toString()))]
+        .filter(id => id !== actorId && mongoose.isValidObjectId(id));
+
+      if (recipientIds.length === 0) {
+        return [];
+      }
+
+      const category = TYPE_CATEGORIES[type];
+      const recipients = await User.find({ _id: { $in: recipientIds } }).select('notificationPreferences').lean();
+      const enabled = recipients
+        .filter(user => !user.notificationPreferences || user.notificationPreferences[category] !== false)
+        .map(user => user._id.toString());
+
+      if (enabled.length === 0) {
+        return [];
+      }
+
+      const notifications = await Notification.insertMany(enabled.map(userId => ({
+        userId,
+        type,
+        message,
+        data,
+        actorId,
+        actorName: actor ? actor.name : null
+      })));
+
+      if (this.wss) {
+        notifications.forEach(notification => {
+          this.wss.sendToUser(notification.userId, {
+            type: 'notification:new',
+            notification: notification.toJSON()
+          });
+        });
+      }
+
+      return notifications;
+    } catch (error) {
+      console.error(`Error creating ${type} notifications:`, error);
+      return [];
+    }
+  }
+
+  async invitationReceived(invitation, space, inviter) {
+    if (!invitation.inviteeUserId) {
+      return [];
+    }
+    return this.notify([invitation.inviteeUserId], {
+      type: 'invitation:received',
+      message: `${inviter.name} invited you to "${space.name}" as ${invitation.role}`,
+      data: { spaceId: space._id.toString(), invitationId: invitation._id.toString() },
+      actor: inviter
+    });
+  }
+
+  async invitationAccepted(invitation, space, invitee) {
+    return this.notify([invitation.inviterUserId], {
+      type: 'invitation:accepted',
+      message: `${invitee.name} accepted your invitation to "${space.name}"`,
+      data: { spaceId: space._id.toString(), invitationId: invitation._id.toString() },
+      actor: invitee
+    });
+  }
+
+  async roleChanged(space, memberId, role, actor) {
+    return this.notify([memberId], {
+      type: 'member:roleChanged',
+      message: `${actor.name} changed your role in "${space.name}" to ${role}`,
+      data: { spaceId: space._id.toString() },
+      actor
+    });
+  }
+
+  async memberRemoved(space, memberId, actor) {
+    return this.notify([memberId], {
+      type: 'member:removed',
+      message: `${actor.name} removed you from "${space.name}"`,
+      data: { spaceId: space._id.toString() },
+      actor
+    });
+  }
+
+  async spaceDeleted(space, actor) {
+    return this.notify([space.ownerId, ...space.members.map(member => member.userId)], {
+      type: 'space:deleted',
+      message: `${actor.name} deleted the space "${space.name}"`,
+      data: { spaceId: space._id.toString() },
+      actor
+    });
+  }
+
+  async transferRequested(space, newOwnerId, owner) {
+    return this.notify([newOwnerId], {
+      type: 'space:transferRequested',
+      message: `${owner.name} wants to make you the owner of "${space.name}"`,
+      data: { spaceId: space._id.toString() },
+      actor: owner
+    });
+  }
+
+  async transferAccepted(space, previousOwnerId, newOwner) {
+    return this.notify([previousOwnerId], {
+      type: 'space:transferAccepted',
+      message: `${newOwner.name} is now the owner of "${space.name}"`,
+      data: { spaceId: space._id.toString() },
+      actor: newOwner
+    });
+  }
+
+  async transferDeclined(space, newOwner) {
+    return this.notify([space.ownerId], {
+      type: 'space:transferDeclined',
+      message: `${newOwner.name} declined to become the owner of "${space.name}"`,
+      data: { spaceId: space._id.toString() },
+      actor: newOwner
+    });
+  }
+
+  // Ownership handed over by an administrator (e.g. the owner's account was deleted)
+  async ownerChanged(space) {
+    return this.notify([space.ownerId], {
+      type: 'space:ownerChanged',
+      message: `An administrator made you the owner of "${space.name}"`,
+      data: { spaceId: space._id.toString() }
+    });
+  }
+
+  /**
+   * Notify about a comment: mentioned users, the other participants of the
+   * thread for replies, and the card's author for new threads. Each user gets
+   * one notification, and only if they can still see the card.
+   * With mentionsOnly (edited comments) only `mentionIds` are notified.
+   */
+  async commentPosted(space, card, comment, actor, { mentionIds = [], mentionsOnly = false } = {}) {
+    if (mentionsOnly && mentionIds.length === 0) {
+      return;
+    }
+
+    try {
+      const threadId = comment.parentId || comment._id.toString();
+      let participantIds = [];
+      let authorEmail = null;
+
+      if (!mentionsOnly) {
+        if (comment.parentId) {
+          const thread = await CardComment.find({ $or: [{ _id: threadId }, { parentId: threadId }] }).select('authorId');
+          participantIds = thread.map(entry => entry.authorId);
+        } else {
+          authorEmail = card.userId;
+        }
+      }
+
+      const users = await User.find({
+        $or: [
+          { _id: { $in: [...mentionIds, ...participantIds].filter(id => mongoose.isValidObjectId(id)) } },
+          ...(authorEmail ? [{ email: authorEmail }] : [])
+        ]
+      }).select('email');
+
+      const canSee = new Set(users
+        .filter(user => permissionService.canViewCard(space, card, { id: user._id.toString(), email: user.email }))
+        .map(user => user._id.toString()));
+
+      const data = { spaceId: card.spaceId || 'public', cardId: card._id, commentId: comment._id.toString() };
+      const text = excerpt(comment.content);
+      const notified = new Set([actor.id.toString()]);
+      const recipients = (ids) => [...new Set(ids)].filter(id => canSee.has(id) && !notified.has(id)).map(id => {
+        notified.add(id);
+        return id;
+      });
+
+      await this.notify(recipients(mentionIds), {
+        type: 'comment:mention',
+        message: `${actor.name} mentioned you on "${card.title}": ${text}`,
+        data,
+        actor
+      });
+
+      await this.notify(recipients(participantIds), {
+        type: 'comment:reply',
+        message: `${actor.name} replied on "${card.title}": ${text}`,
+        data,
+        actor
+      });
+
+      const cardAuthor = users.find(user => user.email === authorEmail);
+      if (cardAuthor) {
+        await this.notify(recipients([cardAuthor._id.toString()]), {
+          type: 'comment:created',
+          message: `${actor.name} commented on "${card.title}": ${text}`,
+          data,
+          actor
+        });
+      }
+    } catch (error) {
+      console.error('Error creating comment notifications:', error);
+    }
+  }
+
+  /**
+   * A user's notifications, newest first. `before` pages by creation date.
+   */
+  async list(userId, { unreadOnly = false, limit = 50, before = null } = {}) {
+    const query = { userId: userId.toString() };
+    if (unreadOnly) {
+      query.read = false;
+    }
+    if (before) {
+      query.createdAt = { $lt: before };
+    }
+
+    const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).limit(pageSize),
+      Notification.countDocuments({ userId: userId.toString(), read: false })
+    ]);
+
+    return {
+      notifications,
+      unreadCount,
+      nextBefore: notifications.length === pageSize ? notifications[notifications.length - 1].createdAt : null
+    };
+  }
+
+  async markRead(userId, notificationId) {
+    if (!mongoose.isValidObjectId(notificationId)) {
+      return null;
+    }
+    return Notification.findOneAndUpdate(
+      { _id: notificationId, userId: userId.toString() },
+      { $set: { read: true, readAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  async markAllRead(userId) {
+    const result = await Notification.updateMany(
+      { userId: userId.toString(), read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  async getPreferences(userId) {
+    const user = await User.findById(userId).select('notificationPreferences');
+    return user ? user.notificationPreferences.toObject() : null;
+  }
+
+  /**
+   * Update preferences from { category: boolean }.
+   * Returns { preferences, errors }.
+   */
+  async updatePreferences(userId, input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { preferences: null, errors: ['Preferences must be an object'] };
+    }
+
+    const errors = [];
+    Object.keys(input).forEach(key => {
+      if (!CATEGORIES.includes(key)) {
+        errors.push(`Unknown notification category "${key}" (use ${CATEGORIES.join(', ')})`);
+      } else if (typeof input[key] !== 'boolean') {
+        errors.push(`"${key}" must be true or false`);
+      }
+    });
+    if (errors.length > 0) {
+      return { preferences: null, errors };
+    }
+
+    const update = {};
+    Object.keys(input).forEach(key => {
+      update[`notificationPreferences.${key}`] = input[key];
+    });
+
+    const user = await User.findByIdAndUpdate(userId, { $set: update }, { new: true }).select('notificationPreferences');
+    return { preferences: user ? user.notificationPreferences.toObject() : null, errors };
+  }
+}
+
+module.exports = new NotificationService();
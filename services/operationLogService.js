@@ -0,0 +1,382 @@
+/**
+ * Operation Log Service
+ * Per-user, per-space log of canvas operations with server-side undo/redo
+ */
+
+const Card = require('../models/Card');
+const Connection = require('../models/Connection');
+const CanvasOperation = require('../models/CanvasOperation');
+const cardHistoryService = require('./cardHistoryService');
+const trashService = require('./trashService');
+const cardLockService = require('./cardLockService');
+const cardApprovalService = require('./cardApprovalService');
+const permissionService = require('./permissionService');
+
+// Operations kept per user and space
+const MAX_OPERATIONS = 100;
+
+const operationError = (message, status, extra = {}) => Object.assign(new Error(message), { status }, extra);
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+class OperationLogService {
+  constructor() {
+    this.maxOperations = MAX_OPERATIONS;
+  }
+
+  /**
+   * Record an operation. A new operation clears the redo stack.
+   */
+  async record(userId, spaceId, type, payload) {
+    const userIdStr = userId.toString();
+    const space = spaceId || 'public';
+
+    await CanvasOperation.deleteMany({ userId: userIdStr, spaceId: space, status: 'undone' });
+
+    const operation = await CanvasOperation.create({
+      userId: userIdStr,
+      spaceId: space,
+      type,
+      payload
+    });
+
+    const stale = await CanvasOperation.find({ userId: userIdStr, spaceId: space })
+      .sort({ createdAt: -1 })
+      .skip(this.maxOperations)
+      .select('_id');
+
+    if (stale.length > 0) {
+      await CanvasOperation.deleteMany({ _id: { $in: stale.map(op => op._id) } });
+    }
+
+    return operation;
+  }
+
+  // Cards an operation writes to when replayed in either direction
+  cardIdsOf(operation) {
+    const { type, payload } = operation;
+    switch (type) {
+      case 'create_card':
+      case 'update_card':
+        return [payload.cardId];
+      case 'delete_cards':
+        return payload.cardIds;
+      case 'move_cards':
+        return payload.moves.map(move => move.cardId);
+      default:
+        return [];
+    }
+  }
+
+  // Connections an operation writes to when replayed in either direction
+  connectionIdsOf(operation) {
+    const { type, payload } = operation;
+    switch (type) {
+      case 'create_connection':
+        return [payload.connectionId];
+      case 'delete_connections':
+        return payload.connectionIds;
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Undo and redo are held to the same per-card rules as direct edits: cards
+   * need card:edit on the card itself (visibility, restricted sections and
+   * pending approval included), and connections need both endpoints to be
+   * visible. Returns the IDs to leave alone and a conflict for each; cards
+   * the user can no longer see are reported as gone.
+   */
+  async checkPermissions(operation, user, space) {
+    const policySpace = space || 'public';
+    const cardIds = new Set();
+    const connectionIds = new Set();
+    const conflicts = [];
+
+    const requestedCardIds = this.cardIdsOf(operation);
+    if (requestedCardIds.length > 0) {
+      const cards = await Card.find({ _id: { $in: requestedCardIds } });
+      cards.forEach(card => {
+        if (!permissionService.canViewCard(policySpace, card, user)) {
+          cardIds.add(card._id);
+          conflicts.push({ cardId: card._id, reason: 'Card no longer exists' });
+        } else if (!permissionService.canOnCard(policySpace, card, user, permissionService.permissions.CARD_EDIT)) {
+          cardIds.add(card._id);
+          conflicts.push({ cardId: card._id, reason: permissionService.deniedMessage(permissionService.permissions.CARD_EDIT) });
+        }
+      });
+    }
+
+    const requestedConnectionIds = this.connectionIdsOf(operation);
+    if (requestedConnectionIds.length > 0) {
+      const connections = await Connection.find({ _id: { $in: requestedConnectionIds } });
+      const endpoints = await Card.find({
+        _id: { $in: connections.flatMap(connection => [connection.sourceId, connection.targetId]) }
+      });
+      const visibleIds = new Set(endpoints
+        .filter(card => permissionService.canViewCard(policySpace, card, user))
+        .map(card => card._id));
+
+      connections.forEach(connection => {
+        if (!visibleIds.has(connection.sourceId) || !visibleIds.has(connection.targetId)) {
+          connectionIds.add(connection._id);
+          conflicts.push({ connectionId: connection._id, reason: 'Connection no longer exists' });
+        }
+      });
+    }
+
+    return { cardIds, connectionIds, conflicts };
+  }
+
+  /**
+   * Undo and redo respect edit locks like direct edits: the step is refused
+   * (423) while another user holds a lock on one of its cards
+   */
+  async checkLocks(operation, user) {
+    for (const cardId of this.cardIdsOf(operation)) {
+      const lock = await cardLockService.getLockByOther(cardId, user._id);
+      if (lock) {
+        throw operationError(`Card is locked by ${lock.userName}`, 423, { lock: cardLockService.toJSON(lock) });
+      }
+    }
+  }
+
+  // Whether replaying an operation changed anything (or submitted a change for review)
+  changedAnything(result) {
+    return result.events.length > 0 || (result.changeRequests || []).length > 0;
+  }
+
+  /**
+   * Undo the user's most recent applied operation in a space.
+   * options.space: the loaded space, for approval mode.
+   * When every change of the step conflicts, nothing is applied and the
+   * operation stays where it is in the history (`applied: false`).
+   */
+  async undo(user, spaceId, options = {}) {
+    const operation = await CanvasOperation.findOne({
+      userId: user._id.toString(),
+      spaceId,
+      status: 'applied'
+    }).sort({ createdAt: -1 });
+
+    if (!operation) return null;
+
+    await this.checkLocks(operation, user);
+    const result = await this.apply(operation, user, 'undo', options);
+    if (!this.changedAnything(result)) {
+      return { operation, applied: false, ...result };
+    }
+
+    operation.status = 'undone';
+    operation.undoneAt = new Date();
+    operation.markModified('payload');
+    await operation.save();
+
+    return { operation, applied: true, ...result };
+  }
+
+  /**
+   * Redo the user's most recently undone operation in a space (see undo)
+   */
+  async redo(user, spaceId, options = {}) {
+    const operation = await CanvasOperation.findOne({
+      userId: user._id.toString(),
+      spaceId,
+      status: 'undone'
+    }).sort({ undoneAt: -1 });
+
+    if (!operation) return null;
+
+    await this.checkLocks(operation, user);
+    const result = await this.apply(operation, user, 'redo', options);
+    if (!this.changedAnything(result)) {
+      return { operation, applied: false, ...result };
+    }
+
+    operation.status = 'applied';
+    operation.undoneAt = null;
+    operation.markModified('payload');
+    await operation.save();
+
+    return { operation, applied: true, ...result };
+  }
+
+  /**
+   * Apply an operation forwards (redo) or its inverse (undo).
+   * Returns the WebSocket events to broadcast, any conflicts that
+   * prevented parts of the operation from being applied (including cards
+   * the user may no longer change), and the change requests made instead of
+   * applying reviewed fields in approval mode.
+   */
+  async apply(operation, user, direction, { space = null } = {}) {
+    const denied = await this.checkPermissions(operation, user, space);
+    const result = await this.replay(operation, user, direction, {
+      review: cardApprovalService.requiresReview(space, user._id.toString()),
+      cardIds: ids => ids.filter(id => !denied.cardIds.has(id)),
+      connectionIds: ids => ids.filter(id => !denied.connectionIds.has(id))
+    });
+
+    return { ...result, conflicts: [...denied.conflicts, ...result.conflicts] };
+  }
+
+  // Replay the permitted part of an operation (cardIds / connectionIds filter the payload)
+  async replay(operation, user, direction, { review, cardIds, connectionIds }) {
+    const { type, payload, spaceId } = operation;
+    const undoing = direction === 'undo';
+
+    switch (type) {
+      case 'create_card':
+        return undoing
+          ? this.trashCards(cardIds([payload.cardId]), user)
+          : this.restoreFromTrash(spaceId, { cardIds: cardIds([payload.cardId]) }, user);
+
+      case 'delete_cards':
+        return undoing
+          ? this.restoreFromTrash(spaceId, { cardIds: cardIds(payload.cardIds) }, user)
+          : this.trashCards(cardIds(payload.cardIds), user);
+
+      case 'create_connection':
+        return undoing
+          ? this.trashConnections(connectionIds([payload.connectionId]), user)
+          : this.restoreFromTrash(spaceId, { connectionIds: connectionIds([payload.connectionId]) }, user);
+
+      case 'delete_connections':
+        return undoing
+          ? this.restoreFromTrash(spaceId, { connectionIds: connectionIds(payload.connectionIds) }, user)
+          : this.trashConnections(connectionIds(payload.connectionIds), user);
+
+      case 'update_card':
+        return this.setCardFields(cardIds([payload.cardId]).map(cardId => ({
+          cardId,
+          values: undoing ? payload.before : payload.after,
+          expected: undoing ? payload.after : payload.before
+        })), user, { review });
+
+      case 'move_cards':
+        return this.setCardFields(payload.moves.filter(move => cardIds([move.cardId]).length > 0).map(move => ({
+          cardId: move.cardId,
+          values: { position: undoing ? move.from : move.to },
+          expected: { position: undoing ? move.to : move.from }
+        })), user, { review });
+
+      default:
+        throw new Error(`Unknown operation type: ${type}`);
+    }
+  }
+
+  async trashCards(cardIds, user) {
+    if (cardIds.length === 0) return { events: [], conflicts: [] };
+
+    const trashed = await trashService.trashCards(cardIds, user._id);
+    const conflicts = cardIds
+      .filter(id => !trashed.cardIds.includes(id))
+      .map(cardId => ({ cardId, reason: 'Card no longer exists' }));
+
+    return {
+      events: [
+        ...trashed.connectionIds.map(connectionId => ({ type: 'connection:deleted', connectionId })),
+        ...trashed.cardIds.map(cardId => ({ type: 'card:deleted', cardId }))
+      ],
+      conflicts
+    };
+  }
+
+  async trashConnections(connectionIds, user) {
+    if (connectionIds.length === 0) return { events: [], conflicts: [] };
+
+    const trashed = await trashService.trashConnections(connectionIds, user._id);
+    const conflicts = connectionIds
+      .filter(id => !trashed.connectionIds.includes(id))
+      .map(connectionId => ({ connectionId, reason: 'Connection no longer exists' }));
+
+    return {
+      events: trashed.connectionIds.map(connectionId => ({ type: 'connection:deleted', connectionId })),
+      conflicts
+    };
+  }
+
+  async restoreFromTrash(spaceId, { cardIds = [], connectionIds = [] }, user) {
+    if (cardIds.length === 0 && connectionIds.length === 0) return { events: [], conflicts: [] };
+
+    const restored = await trashService.restore(spaceId, { cardIds, connectionIds, user });
+    const restoredCardIds = restored.cards.map(card => card._id);
+    const restoredConnectionIds = restored.connections.map(conn => conn._id);
+
+    const conflicts = [
+      ...cardIds
+        .filter(id => !restoredCardIds.includes(id))
+        .map(cardId => ({ cardId, reason: 'Card is no longer in the trash' })),
+      ...connectionIds
+        .filter(id => !restoredConnectionIds.includes(id))
+        .map(connectionId => ({ connectionId, reason: 'Connection could not be restored' }))
+    ];
+
+    return {
+      events: [
+        ...restored.cards.map(card => ({ type: 'card:created', card: card.toJSON() })),
+        ...restored.connections.map(connection => ({ type: 'connection:created', connection: connection.toJSON() }))
+      ],
+      conflicts
+    };
+  }
+
+  /**
+   * Set card fields back (or forward). Fields another collaborator changed
+   * since the operation are left alone and reported as conflicts. With
+   * `review` (approval mode), reviewed fields of published cards are
+   * submitted as change requests instead of being applied.
+   */
+  async setCardFields(changes, user, { review = false } = {}) {
+    const events = [];
+    const conflicts = [];
+    const changeRequests = [];
+
+    for (const { cardId, values, expected } of changes) {
+      const card = await Card.findOne({ _id: cardId, deletedAt: null });
+      if (!card) {
+        conflicts.push({ cardId, reason: 'Card no longer exists' });
+        continue;
+      }
+
+      const current = card.toObject();
+      const previous = cardHistoryService.takeSnapshot(card);
+      const unchanged = {};
+
+      Object.keys(values).forEach(field => {
+        if (!sameValue(current[field], expected[field])) {
+          conflicts.push({ cardId, field, reason: 'Changed by someone else since' });
+          return;
+        }
+        unchanged[field] = values[field];
+      });
+
+      let updates = unchanged;
+      if (review && card.approvalStatus !== 'pending') {
+        const { reviewed, direct } = cardApprovalService.splitUpdates(unchanged);
+        const changeRequest = await cardApprovalService.submitChange(card, user, reviewed);
+        if (changeRequest) {
+          changeRequests.push({ card, changeRequest });
+        }
+        updates = direct;
+      }
+
+      const applied = Object.keys(updates);
+      applied.forEach(field => {
+        card[field] = updates[field];
+      });
+
+      if (applied.length === 0) continue;
+
+      card.updatedAt = new Date();
+      await card.save();
+      await cardHistoryService.recordRevision(card, { user, previous });
+
+      events.push({ type: 'card:updated', card: card.toJSON() });
+    }
+
+    return { events, conflicts, changeRequests };
+  }
+}
+
+module.exports = new OperationLogService();
@@ -0,0 +1,273 @@
+/**
+ * Permission Service
+ * Central policy engine for space roles. Every REST route and WebSocket
+ * handler asks this service whether a user may perform an action in a space
+ * instead of comparing roles itself.
+ */
+
+const mongoose = require('mongoose');
+
+// Roles from most to least privileged
+const ROLES = ['owner', 'admin', 'editor', 'commenter', 'viewer'];
+
+// Roles that can be given to members (ownership is transferred, not assigned)
+const ASSIGNABLE_ROLES = ['admin', 'editor', 'commenter', 'viewer'];
+
+const PERMISSIONS = {
+  SPACE_VIEW: 'space:view',
+  SPACE_UPDATE: 'space:update',
+  SPACE_DELETE: 'space:delete',
+  SPACE_EXPORT: 'space:export',
+  SPACE_TRANSFER: 'space:transfer',
+  CARD_CREATE: 'card:create',
+  CARD_EDIT: 'card:edit',
+  CARD_DELETE: 'card:delete',
+  CONNECTION_MANAGE: 'connection:manage',
+  CARD_RESTRICT: 'card:restrict',
+  CARD_APPROVE: 'card:approve',
+  COMMENT_CREATE: 'comment:create',
+  MEMBER_INVITE: 'member:invite',
+  MEMBER_MANAGE: 'member:manage',
+  TRASH_RESTORE: 'trash:restore',
+  TRASH_PURGE: 'trash:purge'
+};
+
+const P = PERMISSIONS;
+
+const VIEWER = [P.SPACE_VIEW];
+const COMMENTER = [...VIEWER, P.COMMENT_CREATE];
+const EDITOR = [...COMMENTER, P.CARD_CREATE, P.CARD_EDIT, P.CARD_DELETE, P.CONNECTION_MANAGE, P.TRASH_RESTORE, P.SPACE_EXPORT];
+// Admins run the space day to day but cannot delete it or purge its trash
+const ADMIN = [...EDITOR, P.SPACE_UPDATE, P.MEMBER_INVITE, P.MEMBER_MANAGE, P.CARD_RESTRICT, P.CARD_APPROVE];
+const OWNER = [...ADMIN, P.SPACE_DELETE, P.SPACE_TRANSFER, P.TRASH_PURGE];
+
+const ROLE_PERMISSIONS = {
+  owner: new Set(OWNER),
+  admin: new Set(ADMIN),
+  editor: new Set(EDITOR),
+  commenter: new Set(COMMENTER),
+  viewer: new Set(VIEWER)
+};
+
+// The shared 'public' space has no document; every user works in it as an
+// editor and may also empty its trash
+const PUBLIC_SPACE_PERMISSIONS = new Set([...EDITOR, P.TRASH_PURGE]);
+
+// Card authors keep these on their own cards while they can still see the space
+const AUTHOR_PERMISSIONS = new Set([P.CARD_EDIT, P.CARD_DELETE]);
+
+const DENIED_MESSAGES = {
+  [P.SPACE_VIEW]: 'Access denied to this space',
+  [P.SPACE_UPDATE]: 'You do not have permission to update this space',
+  [P.SPACE_DELETE]: 'You do not have permission to delete this space',
+  [P.SPACE_EXPORT]: 'You do not have permission to export this space',
+  [P.SPACE_TRANSFER]: 'Only the space owner can transfer ownership',
+  [P.CARD_CREATE]: 'You do not have permission to create cards in this space',
+  [P.CARD_EDIT]: 'You do not have permission to edit this card',
+  [P.CARD_DELETE]: 'You do not have permission to delete this card',
+  [P.CARD_RESTRICT]: 'You do not have permission to change who can see cards in this space',
+  [P.CARD_APPROVE]: 'You do not have permission to review changes in this space',
+  [P.CONNECTION_MANAGE]: 'You do not have permission to manage connections in this space',
+  [P.COMMENT_CREATE]: 'You do not have permission to comment in this space',
+  [P.MEMBER_INVITE]: 'You do not have permission to invite users to this space',
+  [P.MEMBER_MANAGE]: 'You do not have permission to manage members of this space',
+  [P.TRASH_RESTORE]: 'You do not have permission to restore items in this space',
+  [P.TRASH_PURGE]: 'Only the space owner can permanently delete items'
+};
+
+const isPublicSpace = (space) => !space || space === 'public';
+
+// A visibility rule ({ roles, userIds }) with no roles and no members is open to everyone
+const ruleAllows = (rule, role, userId) => {
+  const roles = (rule && rule.roles) || [];
+  const userIds = (rule && rule.userIds) || [];
+  if (roles.length === 0 && userIds.length === 0) {
+    return true;
+  }
+  return (!!role && roles.includes(role)) || userIds.includes(userId);
+};
+
+class PermissionService {
+  constructor() {
+    this.roles = ROLES;
+    this.assignableRoles = ASSIGNABLE_ROLES;
+    this.permissions = PERMISSIONS;
+  }
+
+  /**
+   * Effective role of a user in a space: their own role, 'viewer' for
+   * non-members of a public space, 'editor' in the shared public space,
+   * or null without access
+   */
+  getRole(space, userId) {
+    if (isPublicSpace(space)) {
+      return 'editor';
+    }
+
+    const userIdStr = userId.toString();
+    if (space.ownerId === userIdStr) {
+      return 'owner';
+    }
+
+    const member = space.members.find(member => member.userId === userIdStr);
+    if (member) {
+      return member.role;
+    }
+
+    return space.isPublic ? 'viewer' : null;
+  }
+
+  /**
+   * Permissions granted to a user in a space
+   */
+  getPermissions(space, userId) {
+    if (isPublicSpace(space)) {
+      return [...PUBLIC_SPACE_PERMISSIONS];
+    }
+    const role = this.getRole(space, userId);
+    return role ? [...(ROLE_PERMISSIONS[role] || [])] : [];
+  }
+
+  /**
+   * Whether a user holds a permission in a space (a Space document, or
+   * 'public'/null for the shared public space)
+   */
+  can(space, userId, permission) {
+    if (isPublicSpace(space)) {
+      return PUBLIC_SPACE_PERMISSIONS.has(permission);
+    }
+    const role = this.getRole(space, userId);
+    return !!role && !!ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].has(permission);
+  }
+
+  /**
+   * Whether a user can see a card: they must see the space, and unless they
+   * wrote the card or can restrict cards, pass the card's own visibility rule
+   * and the rules of every restricted section (tag) the card is in.
+   * Cards waiting for approval are only shown to users who can edit cards.
+   */
+  canViewCard(space, card, user) {
+    if (!this.can(space, user.id, P.SPACE_VIEW)) {
+      return false;
+    }
+    if (card.userId === user.email || this.can(space, user.id, P.CARD_RESTRICT)) {
+      return true;
+    }
+    if (card.approvalStatus === 'pending' && !this.can(space, user.id, P.CARD_EDIT)) {
+      return false;
+    }
+
+    const role = this.getRole(space, user.id);
+    const userId = user.id.toString();
+    const tags = card.tags || [];
+    const sections = isPublicSpace(space) ? [] : (space.sectionRestrictions || [])
+      .filter(section => tags.includes(section.tag));
+
+    return [card.visibility, ...sections].every(rule => ruleAllows(rule, role, userId));
+  }
+
+  /**
+   * Whether a user holds a permission on a card they can see. Authors may
+   * edit and delete their own cards as long as they can see the space.
+   */
+  canOnCard(space, card, user, permission) {
+    if (!this.canViewCard(space, card, user)) {
+      return false;
+    }
+    if (this.can(space, user.id, permission)) {
+      return true;
+    }
+    return AUTHOR_PERMISSIONS.has(permission) && card.userId === user.email;
+  }
+
+  /**
+   * Whether the actor may give a member the role. Owners assign any role,
+   * admins everything below admin.
+   */
+  canAssignRole(space, actorId, role) {
+    if (!ASSIGNABLE_ROLES.includes(role) || !this.can(space, actorId, P.MEMBER_MANAGE)) {
+      return false;
+    }
+    return this.getRole(space, actorId) === 'owner' || ROLES.indexOf(role) > ROLES.indexOf('admin');
+  }
+
+  /**
+   * Whether the actor may change or remove another member. Nobody manages the
+   * owner, and admins cannot manage other admins.
+   */
+  canManageMember(space, actorId, memberId) {
+    if (isPublicSpace(space) || !this.can(space, actorId, P.MEMBER_MANAGE)) {
+      return false;
+    }
+    const memberRole = this.getRole(space, memberId);
+    if (memberRole === 'owner') {
+      return false;
+    }
+    return this.getRole(space, actorId) === 'owner' || memberRole !== 'admin';
+  }
+
+  deniedMessage(permission) {
+    return DENIED_MESSAGES[permission] || 'Permission denied';
+  }
+
+  /**
+   * Load a space and check a permission.
+   * Returns { space, role } or { status, error } when access should be denied.
+   */
+  async check(spaceId, userId, permission) {
+    if (isPublicSpace(spaceId)) {
+      return this.can('public', userId, permission)
+        ? { space: null, role: this.getRole('public', userId) }
+        : { status: 403, error: this.deniedMessage(permission) };
+    }
+
+    const space = await mongoose.model('Space').findById(spaceId);
+    if (!space) {
+      return { status: 404, error: 'Space not found' };
+    }
+
+    // Users without access learn nothing about what they could do in the space
+    if (!this.can(space, userId, P.SPACE_VIEW)) {
+      return { status: 403, error: this.deniedMessage(P.SPACE_VIEW) };
+    }
+    if (!this.can(space, userId, permission)) {
+      return { status: 403, error: this.deniedMessage(permission) };
+    }
+
+    return { space, role: this.getRole(space, userId) };
+  }
+
+  /**
+   * Check a permission on a card, loading its space.
+   * Returns { space, role } or { status, error }.
+   */
+  async checkCard(card, user, permission, spaceCache = null) {
+    const spaceId = card.spaceId || 'public';
+    let space = null;
+
+    if (!isPublicSpace(spaceId)) {
+      space = spaceCache && spaceCache.has(spaceId)
+        ? spaceCache.get(spaceId)
+        : await mongoose.model('Space').findById(spaceId);
+      if (spaceCache) spaceCache.set(spaceId, space);
+
+      if (!space) {
+        return { status: 404, error: 'Space not found' };
+      }
+    }
+
+    // Cards the user may not see are reported as missing
+    if (!this.canViewCard(space, card, user)) {
+      return this.can(space, user.id, P.SPACE_VIEW)
+        ? { status: 404, error: 'Card not found' }
+        : { status: 403, error: this.deniedMessage(P.SPACE_VIEW) };
+    }
+    if (!this.canOnCard(space, card, user, permission)) {
+      return { status: 403, error: this.deniedMessage(permission) };
+    }
+
+    return { space, role: this.getRole(space, user.id) };
+  }
+}
+
+module.exports = new PermissionService();
@@ -0,0 +1,233 @@
+/**
+ * Realtime Adapters
+ * Pub/sub and shared state for the WebSocket layer, so several API
+ * instances can serve the same spaces. Every adapter implements:
+ *
+ *   async publish(message)              - deliver a JSON message to every subscriber (all nodes)
+ *   async subscribe(handler)            - receive published messages
+ *   async hget(key, field)              - hash field value (string) or null
+ *   async hgetall(key)                  - all fields of a hash as { field: value }
+ *   async hset(key, field, value)
+ *   async hdel(key, field)              - resolves with whether the field existed
+ *   async compareAndSet(key, field, expected, value)
+ *                                       - set the field (or delete it when value is null) only
+ *                                         if it currently holds `expected` (null: absent);
+ *                                         resolves with whether it did
+ *   async hincrby(key, field, increment) - add to a numeric hash field; resolves with the new value
+ *   async pushCapped(key, value, maxLength)
+ *                                       - append to a list, dropping its oldest values beyond maxLength
+ *   async lrange(key)                   - all values of a list, oldest first
+ *   async close()
+ *
+ * - memory: one process only (default); several servers in one process can share an instance
+ * - redis:  any Redis-compatible server (REDIS_URL), or injected ioredis-compatible clients
+ */
+
+const EventEmitter = require('events');
+
+const CHANNEL = 'websocket';
+
+class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.hashes = new Map();
+    this.lists = new Map();
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  hash(key) {
+    if (!this.hashes.has(key)) {
+      this.hashes.set(key, new Map());
+    }
+    return this.hashes.get(key);
+  }
+
+  async publish(message) {
+    const payload = JSON.stringify(message);
+    // Delivered asynchronously, like a real broker
+    setImmediate(() => this.emitter.emit(CHANNEL, JSON.parse(payload)));
+  }
+
+  async subscribe(handler) {
+    this.emitter.on(CHANNEL, handler);
+  }
+
+  async hget(key, field) {
+    const value = this.hash(key).get(field);
+    return value === undefined ? null : value;
+  }
+
+  async hgetall(key) {
+    return Object.fromEntries(this.hash(key));
+  }
+
+  async hset(key, field, value) {
+    this.hash(key).set(field, value);
+  }
+
+  async hdel(key, field) {
+    return this.hash(key).delete(field);
+  }
+
+  async compareAndSet(key, field, expected, value) {
+    const hash = this.hash(key);
+    const current = hash.has(field) ? hash.get(field) : null;
+    if (current !== expected) {
+      return false;
+    }
+    if (value === null) {
+      hash.delete(field);
+    } else {
+      hash.set(field, value);
+    }
+    return true;
+  }
+
+  async hincrby(key, field, increment) {
+    const hash = this.hash(key);
+    const value = (parseInt(hash.get(field)) || 0) + increment;
+    hash.set(field, String(value));
+    return value;
+  }
+
+  async pushCapped(key, value, maxLength) {
+    if (!this.lists.has(key)) {
+      this.lists.set(key, []);
+    }
+    const list = this.lists.get(key);
+    list.push(value);
+    if (list.length > maxLength) {
+      list.splice(0, list.length - maxLength);
+    }
+  }
+
+  async lrange(key) {
+    return [...(this.lists.get(key) || [])];
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+  }
+}
+
+// Set or delete a hash field if it holds the expected value ('' stands for absent)
+const COMPARE_AND_SET_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if (current or '') ~= ARGV[2] then
+  return 0
+end
+if ARGV[3] == '' then
+  redis.call('HDEL', KEYS[1], ARGV[1])
+else
+  redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+end
+return 1
+`;
+
+class RedisAdapter {
+  /**
+   * options.url: Redis connection URL, or options.client (commands) and
+   * options.subscriber (a separate connection for subscribing) with the
+   * ioredis API. options.prefix namespaces keys and the channel.
+   */
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.prefix = options.prefix || 'macromind:';
+
+    if (options.client) {
+      this.client = options.client;
+      this.subscriber = options.subscriber || options.client.duplicate();
+    } else {
+      const Redis = require('ioredis');
+      this.client = new Redis(options.url);
+      this.subscriber = new Redis(options.url);
+    }
+
+    this.client.on('error', error => console.error('Realtime Redis error:', error.message));
+    this.subscriber.on('error', error => console.error('Realtime Redis subscriber error:', error.message));
+  }
+
+  key(name) {
+    return `${this.prefix}${name}`;
+  }
+
+  async publish(message) {
+    await this.client.publish(this.key(CHANNEL), JSON.stringify(message));
+  }
+
+  async subscribe(handler) {
+    const channel = this.key(CHANNEL);
+    this.subscriber.on('message', (receivedChannel, payload) => {
+      if (receivedChannel !== channel) return;
+      try {
+        handler(JSON.parse(payload));
+      } catch (error) {
+        console.error('Error handling realtime message:', error);
+      }
+    });
+    await this.subscriber.subscribe(channel);
+  }
+
+  async hget(key, field) {
+    return this.client.hget(this.key(key), field);
+  }
+
+  async hgetall(key) {
+    return (await this.client.hgetall(this.key(key))) || {};
+  }
+
+  async hset(key, field, value) {
+    await this.client.hset(this.key(key), field, value);
+  }
+
+  async hdel(key, field) {
+    return (await this.client.hdel(this.key(key), field)) > 0;
+  }
+
+  async compareAndSet(key, field, expected, value) {
+    const result = await this.client.eval(COMPARE_AND_SET_SCRIPT, 1, this.key(key), field, expected || '', value || '');
+    return result === 1;
+  }
+
+  async hincrby(key, field, increment) {
+    return this.client.hincrby(this.key(key), field, increment);
+  }
+
+  async pushCapped(key, value, maxLength) {
+    await this.client.multi()
+      .rpush(this.key(key), value)
+      .ltrim(this.key(key), -maxLength, -1)
+      .exec();
+  }
+
+  async lrange(key) {
+    return this.client.lrange(this.key(key), 0, -1);
+  }
+
+  async close() {
+    await Promise.all([this.client.quit(), this.subscriber.quit()]);
+  }
+}
+
+/**
+ * Adapter selected by REALTIME_ADAPTER (memory or redis); redis is the
+ * default when REDIS_URL is set
+ */
+const createAdapter = (env = process.env) => {
+  const kind = env.REALTIME_ADAPTER || (env.REDIS_URL ? 'redis' : 'memory');
+
+  if (kind === 'redis') {
+    return new RedisAdapter({ url: env.REDIS_URL, prefix: env.REDIS_PREFIX });
+  }
+  if (kind !== 'memory') {
+    console.warn(`Unknown REALTIME_ADAPTER "${kind}", using memory`);
+  }
+  return new MemoryAdapter();
+};
+
+module.exports = {
+  MemoryAdapter,
+  RedisAdapter,
+  createAdapter
+};
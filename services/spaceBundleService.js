@@ -0,0 +1,468 @@
+/**
+ * Space Bundle Service
+ * Exports a space (settings, members, cards, connections, layout) as a
+ * versioned JSON or ZIP bundle and recreates it with new IDs. Cloning a
+ * space is an export followed by an import.
+ */
+
+const mongoose = require('mongoose');
+const AdmZip = require('adm-zip');
+const { v4: uuidv4 } = require('uuid');
+const Card = require('../models/Card');
+const Connection = require('../models/Connection');
+const CardChangeRequest = require('../models/CardChangeRequest');
+const Space = require('../models/Space');
+const User = require('../models/User');
+const cardHistoryService = require('./cardHistoryService');
+const cardMetadataService = require('./cardMetadataService');
+const cardLocaleService = require('./cardLocaleService');
+const macroTemplateService = require('./macroTemplateService');
+const permissionService = require('./permissionService');
+const cardVisibilityService = require('./cardVisibilityService');
+const cardApprovalService = require('./cardApprovalService');
+
+const BUNDLE_FORMAT = 'macromind-space';
+// Version 2 added visibility rules, section restrictions and approval state
+const BUNDLE_VERSION = 2;
+
+// What a clone copies, each level including the previous ones
+const CLONE_LEVELS = ['cards', 'connections', 'members'];
+
+// Card fields carried in a bundle (IDs and ownership are remapped on import)
+const CARD_FIELDS = ['type', 'title', 'content', 'language', 'variants', 'variables', 'tags', 'customFields', 'fontSize', 'position', 'approvalStatus', 'createdAt', 'updatedAt'];
+const CARD_TYPES = ['category', 'answer', 'question', 'note', 'label'];
+
+const bundleError = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Visibility rules name users by email, like the bundle's members. `restricted`
+// keeps a rule closed when its users cannot be named (members not exported)
+// or matched on import.
+const exportRule = (rule, emailById) => {
+  const roles = (rule && rule.roles) || [];
+  const userIds = (rule && rule.userIds) || [];
+  return {
+    roles,
+    userEmails: userIds.map(userId => emailById.get(userId)).filter(Boolean),
+    restricted: roles.length > 0 || userIds.length > 0
+  };
+};
+
+// Turn a bundle rule back into { roles, userIds } for the members of the new
+// space; a restricted rule none of whose users are members is left to the owner
+const importRule = (rule, userIdByEmail, ownerId) => {
+  if (!rule || typeof rule !== 'object') {
+    return { roles: [], userIds: [] };
+  }
+
+  const listed = (value) => (Array.isArray(value) ? value : []);
+  const roles = listed(rule.roles).filter(role => cardVisibilityService.restrictableRoles.includes(role));
+  const userIds = [...new Set(listed(rule.userEmails)
+    .map(email => userIdByEmail.get(String(email).toLowerCase()))
+    .filter(Boolean))];
+
+  const restricted = rule.restricted === true || listed(rule.roles).length > 0 || listed(rule.userEmails).length > 0;
+  if (restricted && roles.length === 0 && userIds.length === 0) {
+    userIds.push(ownerId);
+  }
+  return { roles, userIds };
+};
+
+class SpaceBundleService {
+  constructor() {
+    this.format = BUNDLE_FORMAT;
+    this.version = BUNDLE_VERSION;
+    this.cloneLevels = CLONE_LEVELS;
+  }
+
+  /**
+   * Build the bundle of a space. Trashed cards and connections are left out,
+   * and with `user` so are cards restricted from that user (and their
+   * connections), and the members unless the user may manage them. Card
+   * visibility, section restrictions and approval state are kept; without
+   * the members, the users named in rules are left out but rules stay closed.
+   */
+  async exportSpace(spaceId, { user = null } = {}) {
+    const space = spaceId === 'public' ? null : await Space.findById(spaceId);
+    const visibilityQuery = user ? await cardVisibilityService.buildQuery(user, [spaceId]) : {};
+
+    const [cards, allConnections] = await Promise.all([
+      Card.find({ spaceId, ...visibilityQuery, deletedAt: null }).sort({ createdAt: 1 }).lean(),
+      Connection.find({ spaceId, deletedAt: null }).sort({ createdAt: 1 }).lean()
+    ]);
+    const cardIds = new Set(cards.map(card => card._id));
+    const connections = allConnections.filter(connection => cardIds.has(connection.sourceId) && cardIds.has(connection.targetId));
+
+    // Members are identified by email so they can be matched in another environment
+    let members = [];
+    const emailById = new Map();
+    if (space && (!user || permissionService.can(space, user._id.toString(), permissionService.permissions.MEMBER_MANAGE))) {
+      const memberIds = [...new Set([space.ownerId, ...space.members.map(member => member.userId)])];
+      const users = await User.find({ _id: { $in: memberIds } }).select('email name');
+      const userMap = new Map(users.map(user => [user._id.toString(), user]));
+      userMap.forEach((found, userId) => emailById.set(userId, found.email));
+
+      members = memberIds
+        .filter(userId => userMap.has(userId))
+        .map(userId => ({
+          email: userMap.get(userId).email,
+          name: userMap.get(userId).name,
+          role: permissionService.getRole(space, userId)
+        }));
+    }
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      space: {
+        name: space ? space.name : 'Public Space',
+        description: space ? space.description : '',
+        isPublic: space ? space.isPublic : true,
+        customFields: space ? space.toObject().customFields : [],
+        requireApproval: space ? !!space.requireApproval : false,
+        sectionRestrictions: space
+          ? (space.sectionRestrictions || []).map(section => ({ tag: section.tag, ...exportRule(section, emailById) }))
+          : []
+      },
+      members,
+      cards: cards.map(card => CARD_FIELDS.reduce((exported, field) => {
+        if (card[field] !== undefined) exported[field] = card[field];
+        return exported;
+      }, { id: card._id, createdBy: card.userId, visibility: exportRule(card.visibility, emailById) })),
+      connections: connections.map(connection => ({
+        id: connection._id,
+        sourceId: connection.sourceId,
+        targetId: connection.targetId,
+        label: connection.label
+      }))
+    };
+  }
+
+  /**
+   * ZIP bundle: manifest.json (format, version, space, members),
+   * cards.json and connections.json
+   */
+  toZip(bundle) {
+    const zip = new AdmZip();
+    const { cards, connections, ...manifest } = bundle;
+
+    zip.addFile('manifest.json', Buffer.from(JSON.stringify({
+      ...manifest,
+      counts: { cards: cards.length, connections: connections.length }
+    }, null, 2)));
+    zip.addFile('cards.json', Buffer.from(JSON.stringify(cards, null, 2)));
+    zip.addFile('connections.json', Buffer.from(JSON.stringify(connections, null, 2)));
+
+    return zip.toBuffer();
+  }
+
+  /**
+   * Read a bundle from a ZIP buffer, JSON text or an already parsed object
+   */
+  readBundle(input) {
+    if (Buffer.isBuffer(input) && input.length > 1 && input[0] === 0x50 && input[1] === 0x4b) {
+      let zip;
+      try {
+        zip = new AdmZip(input);
+      } catch (error) {
+        throw bundleError(`Invalid ZIP bundle: ${error.message}`);
+      }
+
+      const readJson = (name) => {
+        const entry = zip.getEntry(name);
+        if (!entry) throw bundleError(`ZIP bundle is missing ${name}`);
+        try {
+          return JSON.parse(entry.getData().toString('utf8'));
+        } catch (error) {
+          throw bundleError(`Invalid ${name}: ${error.message}`);
+        }
+      };
+
+      const { counts, ...manifest } = readJson('manifest.json');
+      return this.validateBundle({
+        ...manifest,
+        cards: readJson('cards.json'),
+        connections: readJson('connections.json')
+      });
+    }
+
+    if (Buffer.isBuffer(input) || typeof input === 'string') {
+      try {
+        return this.validateBundle(JSON.parse(input.toString('utf8')));
+      } catch (error) {
+        throw error.status ? error : bundleError(`Invalid JSON bundle: ${error.message}`);
+      }
+    }
+
+    return this.validateBundle(input);
+  }
+
+  validateBundle(bundle) {
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+      throw bundleError('Not a space bundle');
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+      throw bundleError(`Unsupported bundle version ${bundle.version} (this server reads up to version ${BUNDLE_VERSION})`);
+    }
+    if (!bundle.space || !Array.isArray(bundle.cards) || !Array.isArray(bundle.connections)) {
+      throw bundleError('Bundle must contain space, cards and connections');
+    }
+    return bundle;
+  }
+
+  /**
+   * Validate the content fields of a bundle card the way card imports do:
+   * tags, custom fields against the space's definitions, language variants
+   * and template variables. Returns the normalized fields or the errors.
+   */
+  validateCard(card, definitions) {
+    const errors = [];
+
+    if (card.content !== undefined && card.content !== null && typeof card.content !== 'string') {
+      errors.push('Content must be text');
+    }
+    const content = typeof card.content === 'string' ? card.content : null;
+
+    const { tags, errors: tagErrors } = cardMetadataService.normalizeTags(card.tags);
+    errors.push(...tagErrors);
+
+    const knownKeys = new Set(definitions.map(definition => definition.key));
+    const customInput = Object.keys(card.customFields || {})
+      .filter(key => knownKeys.has(key))
+      .reduce((values, key) => ({ ...values, [key]: card.customFields[key] }), {});
+    const custom = cardMetadataService.validateCustomFields(customInput, definitions, { isNew: true });
+    errors.push(...custom.errors);
+
+    const locale = cardLocaleService.validateVariants(card.language, card.variants);
+    errors.push(...locale.errors);
+
+    const contents = [content, ...locale.variants.map(variant => variant.content)];
+    const declarations = card.variables !== undefined
+      ? card.variables
+      : [...new Set(contents.flatMap(text => macroTemplateService.extractVariables(text).map(variable => variable.name)))];
+    const template = macroTemplateService.validate(contents, declarations);
+    errors.push(...template.errors);
+
+    if (errors.length > 0) return { errors };
+
+    return {
+      errors,
+      fields: {
+        content,
+        language: locale.language,
+        variants: locale.variants,
+        variables: template.variables,
+        tags,
+        customFields: custom.values
+      }
+    };
+  }
+
+  /**
+   * Recreate a bundle as a new space owned by the importing user. Cards and
+   * connections get new IDs; connections are rewired to the new card IDs.
+   * Visibility rules, section restrictions and approval mode carry over;
+   * cards still pending approval get a new request for the space's reviewers.
+   * Cards that fail validation are listed in `skipped`, with their connections.
+   * Bundle members are only looked up and added with addMembers (cloning
+   * with members, which needs member:manage on the source space); plain
+   * imports do not reveal which of them have an account here.
+   *
+   * options: { name, keepAuthors (cards stay with their original authors when
+   * those are members of the new space), clonedFrom, addMembers }
+   */
+  async importBundle(bundle, user, { name = null, keepAuthors = true, clonedFrom = null, addMembers = false } = {}) {
+    const ownerId = user._id.toString();
+    const skipped = [];
+
+    const { definitions, errors } = cardMetadataService.validateDefinitions(bundle.space.customFields || []);
+    if (errors.length > 0) {
+      throw bundleError(`Invalid custom fields: ${errors.join('; ')}`);
+    }
+
+    // Rules may only name, and cards only be attributed to, members of the new space
+    const userIdByEmail = new Map([[user.email.toLowerCase(), ownerId]]);
+    const accountEmails = new Map([[user.email.toLowerCase(), user.email]]);
+    const members = [];
+
+    if (addMembers) {
+      // Match exported members to users of this environment by email
+      const memberEmails = (bundle.members || [])
+        .map(member => (member.email || '').toLowerCase())
+        .filter(email => email && email !== user.email.toLowerCase());
+      const users = await User.find({ email: { $in: memberEmails } }).select('email');
+      const userByEmail = new Map(users.map(found => [found.email.toLowerCase(), found]));
+
+      (bundle.members || []).forEach(member => {
+        const found = userByEmail.get((member.email || '').toLowerCase());
+        if (!found || userIdByEmail.has(found.email.toLowerCase())) return;
+
+        // The importing user owns the new space; the previous owner becomes an editor
+        userIdByEmail.set(found.email.toLowerCase(), found._id.toString());
+        accountEmails.set(found.email.toLowerCase(), found.email);
+        members.push({
+          userId: found._id.toString(),
+          role: permissionService.assignableRoles.includes(member.role) ? member.role : 'editor',
+          addedAt: new Date()
+        });
+      });
+    }
+
+    const space = new Space({
+      name: (name || bundle.space.name || 'Imported space').toString().trim(),
+      description: bundle.space.description || '',
+      ownerId,
+      isPublic: !!bundle.space.isPublic,
+      members,
+      customFields: definitions,
+      requireApproval: bundle.space.requireApproval === true,
+      clonedFrom
+    });
+
+    const bundleSections = Array.isArray(bundle.space.sectionRestrictions) ? bundle.space.sectionRestrictions : [];
+    const { sections, errors: sectionErrors } = cardVisibilityService.validateSections(
+      bundleSections.map(section => ({ tag: section && section.tag, ...importRule(section, userIdByEmail, ownerId) })),
+      space
+    );
+    if (sectionErrors.length > 0) {
+      throw bundleError(`Invalid section restrictions: ${sectionErrors.join('; ')}`);
+    }
+    space.sectionRestrictions = sections;
+    await space.save();
+
+    const spaceId = space._id.toString();
+    const idMap = new Map();
+
+    const cards = [];
+    bundle.cards.forEach((card, index) => {
+      if (!card || !card.id || !card.title || !CARD_TYPES.includes(card.type)) {
+        skipped.push({ kind: 'card', index, id: card && card.id, reason: 'Missing id, title or valid type' });
+        return;
+      }
+      if (idMap.has(card.id)) {
+        skipped.push({ kind: 'card', index, id: card.id, reason: 'Duplicate card id' });
+        return;
+      }
+
+      const { errors: cardErrors, fields } = this.validateCard(card, definitions);
+      if (cardErrors.length > 0) {
+        skipped.push({ kind: 'card', index, id: card.id, reason: cardErrors.join('; ') });
+        return;
+      }
+
+      const newId = uuidv4();
+      idMap.set(card.id, newId);
+
+      const createdBy = (card.createdBy || '').toLowerCase();
+      cards.push({
+        ...CARD_FIELDS.reduce((fields, field) => {
+          if (card[field] !== undefined) fields[field] = card[field];
+          return fields;
+        }, {}),
+        ...fields,
+        _id: newId,
+        spaceId,
+        visibility: importRule(card.visibility, userIdByEmail, ownerId),
+        approvalStatus: card.approvalStatus === 'pending' ? 'pending' : 'approved',
+        // A bundle's createdBy is only a claim: keep it when it names a member
+        // of the new space (under their account's email), otherwise the importer owns the card
+        userId: (keepAuthors && accountEmails.get(createdBy)) || user.email
+      });
+    });
+
+    const connections = [];
+    const connectionIdMap = new Map();
+    const seenPairs = new Set();
+    bundle.connections.forEach((connection, index) => {
+      const sourceId = connection && idMap.get(connection.sourceId);
+      const targetId = connection && idMap.get(connection.targetId);
+
+      if (!sourceId || !targetId) {
+        skipped.push({ kind: 'connection', index, id: connection && connection.id, reason: 'Source or target card is not in the bundle' });
+        return;
+      }
+
+      const pair = `${sourceId}:${targetId}`;
+      if (seenPairs.has(pair)) {
+        skipped.push({ kind: 'connection', index, id: connection.id, reason: 'Duplicate connection' });
+        return;
+      }
+      seenPairs.add(pair);
+
+      const newId = new mongoose.Types.ObjectId().toString();
+      if (connection.id) connectionIdMap.set(connection.id, newId);
+
+      connections.push({
+        _id: newId,
+        userId: user.email,
+        spaceId,
+        sourceId,
+        targetId,
+        label: connection.label || null
+      });
+    });
+
+    try {
+      const insertedCards = await Card.insertMany(cards);
+      await Connection.insertMany(connections);
+
+      for (const card of insertedCards) {
+        try {
+          await cardHistoryService.recordRevision(card, { action: 'import', user });
+        } catch (historyError) {
+          console.error(`Error recording history for imported card ${card._id}:`, historyError);
+        }
+      }
+
+      // Pending cards wait for a reviewer of the new space
+      for (const card of insertedCards.filter(inserted => inserted.approvalStatus === 'pending')) {
+        await cardApprovalService.submitCreate(card, user);
+      }
+    } catch (error) {
+      // Do not leave a half-imported space behind
+      await Promise.all([
+        Card.deleteMany({ spaceId }),
+        Connection.deleteMany({ spaceId }),
+        CardChangeRequest.deleteMany({ spaceId }),
+        Space.deleteOne({ _id: space._id })
+      ]);
+      throw error.name === 'ValidationError' ? bundleError(`Invalid bundle data: ${error.message}`) : error;
+    }
+
+    return {
+      space,
+      idMap: {
+        cards: Object.fromEntries(idMap),
+        connections: Object.fromEntries(connectionIdMap)
+      },
+      counts: { cards: cards.length, connections: connections.length, members: members.length },
+      skipped
+    };
+  }
+
+  /**
+   * Copy a space into a new space owned by the user.
+   * include: 'cards', 'connections' (cards plus connections) or 'members' (everything).
+   * Clones are private unless isPublic is set.
+   */
+  async cloneSpace(spaceId, user, { name = null, include = 'connections', isPublic = false } = {}) {
+    const level = CLONE_LEVELS.indexOf(include);
+    if (level === -1) {
+      throw bundleError(`include must be one of ${CLONE_LEVELS.join(', ')}`);
+    }
+
+    const bundle = await this.exportSpace(spaceId, { user });
+    if (level < CLONE_LEVELS.indexOf('connections')) bundle.connections = [];
+    if (level < CLONE_LEVELS.indexOf('members')) bundle.members = [];
+    bundle.space.isPublic = !!isPublic;
+
+    return this.importBundle(bundle, user, {
+      name: name || `${bundle.space.name} (copy)`,
+      keepAuthors: false,
+      clonedFrom: spaceId,
+      addMembers: level >= CLONE_LEVELS.indexOf('members')
+    });
+  }
+}
+
+module.exports = new SpaceBundleService();
@@ -0,0 +1,91 @@
+/**
+ * Space Event Log Service
+ * Numbers the events broadcast to a space (1, 2, 3, ... per space) and keeps
+ * the latest of them, so a client that lost its connection for a moment can
+ * resume from the last number it saw instead of reloading the space. The
+ * numbers and events live in the realtime adapter's shared state, so a
+ * client can resume on any API instance.
+ */
+
+const { MemoryAdapter } = require('./realtimeAdapters');
+
+const DEFAULT_BUFFER_SIZE = 1000;
+
+// Shared hash of spaceId -> last sequence number
+const SEQUENCES_KEY = 'sequences';
+
+// Shared list of the latest events of a space
+const eventsKey = spaceId => `events:${spaceId}`;
+
+class SpaceEventLogService {
+  constructor() {
+    this.bufferSize = parseInt(process.env.WS_REPLAY_BUFFER_SIZE) || DEFAULT_BUFFER_SIZE;
+    this.adapter = null;
+  }
+
+  /**
+   * Keep sequence numbers and events in the given realtime adapter
+   */
+  attach(adapter) {
+    this.adapter = adapter;
+  }
+
+  getAdapter() {
+    if (!this.adapter) {
+      this.adapter = new MemoryAdapter();
+    }
+    return this.adapter;
+  }
+
+  // Last sequence number of a space (0 before its first event)
+  async getSeq(spaceId) {
+    return parseInt(await this.getAdapter().hget(SEQUENCES_KEY, spaceId)) || 0;
+  }
+
+  /**
+   * Number an event and keep it for replay. `delivery` holds what decides
+   * who receives it ({ excludeUserId, excludeSessionId, card, permission }),
+   * so a replay reaches the same people. Resolves with the numbered message.
+   */
+  async append(spaceId, message, delivery = {}) {
+    const adapter = this.getAdapter();
+    const seq = await adapter.hincrby(SEQUENCES_KEY, spaceId, 1);
+    const numbered = { ...message, seq };
+
+    await adapter.pushCapped(eventsKey(spaceId), JSON.stringify({ seq, message: numbered, delivery }), this.bufferSize);
+    return numbered;
+  }
+
+  /**
+   * Events of a space after `lastSeq`, oldest first. Resolves with
+   * { seq, events } or, when they cannot all be replayed, { seq, resync: reason }.
+   */
+  async since(spaceId, lastSeq) {
+    const seq = await this.getSeq(spaceId);
+
+    if (!Number.isInteger(lastSeq) || lastSeq < 0) {
+      return { seq, resync: 'invalid' };
+    }
+    // Numbers restart when the shared state is lost (e.g. a restart with the memory adapter)
+    if (lastSeq > seq) {
+      return { seq, resync: 'reset' };
+    }
+    if (lastSeq === seq) {
+      return { seq, events: [] };
+    }
+
+    // Events are appended by several nodes, so they are not strictly in order
+    const entries = (await this.getAdapter().lrange(eventsKey(spaceId)))
+      .map(raw => JSON.parse(raw))
+      .sort((a, b) => a.seq - b.seq);
+
+    const oldest = entries.length > 0 ? entries[0].seq : seq + 1;
+    if (oldest > lastSeq + 1) {
+      return { seq, resync: 'expired' };
+    }
+
+    return { seq, events: entries.filter(entry => entry.seq > lastSeq) };
+  }
+}
+
+module.exports = new SpaceEventLogService();
@@ -0,0 +1,152 @@
+/**
+ * Space Invite Link Service
+ * Shareable links for joining a space with a role, limited by expiry,
+ * number of uses and email domain
+ */
+
+const SpaceInviteLink = require('../models/SpaceInviteLink');
+const permissionService = require('./permissionService');
+const invitationMailService = require('./invitationMailService');
+const { validateEmailDomain } = require('../middleware/authMiddleware');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_EXPIRY_DAYS = 365;
+const MAX_USES = 10000;
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+
+const linkError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+class SpaceInviteLinkService {
+  /**
+   * Validate link options: { role, expiresInDays | expiresAt, maxUses, allowedDomain }.
+   * Returns { options, errors }.
+   */
+  validateOptions(input) {
+    const body = input || {};
+    const errors = [];
+    const options = { role: body.role || 'viewer', expiresAt: null, maxUses: null, allowedDomain: null };
+
+    if (!permissionService.assignableRoles.includes(options.role)) {
+      errors.push(`Invalid role. Must be one of: ${permissionService.assignableRoles.join(', ')}`);
+    }
+
+    if (body.expiresInDays !== undefined && body.expiresInDays !== null) {
+      const days = Number(body.expiresInDays);
+      if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+        errors.push(`expiresInDays must be greater than 0 and at most ${MAX_EXPIRY_DAYS}`);
+      } else {
+        options.expiresAt = new Date(Date.now() + days * DAY_MS);
+      }
+    } else if (body.expiresAt !== undefined && body.expiresAt !== null) {
+      const expiresAt = new Date(body.expiresAt);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        errors.push('expiresAt must be a date in the future');
+      } else {
+        options.expiresAt = expiresAt;
+      }
+    }
+
+    if (body.maxUses !== undefined && body.maxUses !== null) {
+      const maxUses = Number(body.maxUses);
+      if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_USES) {
+        errors.push(`maxUses must be a whole number between 1 and ${MAX_USES}`);
+      } else {
+        options.maxUses = maxUses;
+      }
+    }
+
+    if (body.allowedDomain !== undefined && body.allowedDomain !== null && body.allowedDomain !== '') {
+      const domain = String(body.allowedDomain).trim().toLowerCase().replace(/^@/, '');
+      if (!DOMAIN_PATTERN.test(domain)) {
+        errors.push('allowedDomain must be a domain such as mebit.io');
+      } else {
+        options.allowedDomain = domain;
+      }
+    }
+
+    return { options, errors };
+  }
+
+  getJoinUrl(link) {
+    return `${invitationMailService.getAppUrl()}/join/${link.token}`;
+  }
+
+  // Link as shown to the space's owners and admins
+  toResponse(link) {
+    return { ...link.toJSON(), url: this.getJoinUrl(link) };
+  }
+
+  async createLink(space, user, options) {
+    const link = new SpaceInviteLink({
+      spaceId: space._id.toString(),
+      createdBy: user.id.toString(),
+      ...options
+    });
+    await link.save();
+    return link;
+  }
+
+  async listLinks(spaceId) {
+    return SpaceInviteLink.find({ spaceId }).sort({ createdAt: -1 });
+  }
+
+  async getLink(spaceId, linkId) {
+    return SpaceInviteLink.findOne({ _id: linkId, spaceId }).catch(() => null);
+  }
+
+  async revokeLink(link, user) {
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      link.revokedBy = user.id.toString();
+      await link.save();
+    }
+    return link;
+  }
+
+  async findByToken(token) {
+    if (typeof token !== 'string' || !token) {
+      return null;
+    }
+    return SpaceInviteLink.findOne({ token });
+  }
+
+  /**
+   * Add the user to the link's space with the link's role and record the use.
+   * Existing members keep their role. Returns { space, joined }.
+   */
+  async join(link, space, user) {
+    const reason = link.getUnusableReason();
+    if (reason) {
+      throw linkError(reason, 410);
+    }
+    if (link.allowedDomain && !validateEmailDomain(user.email, link.allowedDomain)) {
+      throw linkError(`This invite link is only for @${link.allowedDomain} email addresses`, 403);
+    }
+
+    const userId = user.id.toString();
+    if (space.ownerId === userId || space.members.some(member => member.userId === userId)) {
+      return { space, joined: false };
+    }
+
+    // Count the use first so concurrent joins cannot exceed maxUses
+    const claimed = await SpaceInviteLink.findOneAndUpdate(
+      {
+        _id: link._id,
+        revokedAt: null,
+        $or: [{ maxUses: null }, { $expr: { $lt: ['$useCount', '$maxUses'] } }]
+      },
+      { $inc: { useCount: 1 }, $push: { uses: { userId, joinedAt: new Date() } } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw linkError('This invite link has reached its maximum number of uses', 410);
+    }
+
+    space.addMember(userId, link.role);
+    await space.save();
+
+    return { space, joined: true };
+  }
+}
+
+module.exports = new SpaceInviteLinkService();
@@ -0,0 +1,196 @@
+/**
+ * Space Ownership Service
+ * Handing a space over to another member (confirmed by the new owner),
+ * members leaving spaces, and forced handovers when an owner's account is
+ * deleted so their spaces are not orphaned
+ */
+
+const mongoose = require('mongoose');
+const Space = require('../models/Space');
+const User = require('../models/User');
+const permissionService = require('./permissionService');
+const notificationService = require('./notificationService');
+
+// The new owner has this long to accept a transfer
+const TRANSFER_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
+
+const ownershipError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+class SpaceOwnershipService {
+  /**
+   * Ask a member to take over the space. Replaces any earlier request.
+   */
+  async requestTransfer(space, owner, newOwnerId) {
+    const newOwnerIdStr = newOwnerId ? newOwnerId.toString() : '';
+    if (!newOwnerIdStr) {
+      throw ownershipError('New owner ID is required');
+    }
+    if (newOwnerIdStr === space.ownerId) {
+      throw ownershipError('You already own this space');
+    }
+    if (!space.members.some(member => member.userId === newOwnerIdStr)) {
+      throw ownershipError('Ownership can only be transferred to a member of the space');
+    }
+
+    space.ownershipTransfer = {
+      toUserId: newOwnerIdStr,
+      requestedBy: owner.id.toString(),
+      requestedAt: new Date(),
+      expiresAt: new Date(Date.now() + TRANSFER_EXPIRY_MS)
+    };
+    await space.save();
+
+    console.log(`Ownership transfer of space ${space.name} requested by ${owner.email} to ${newOwnerIdStr}`);
+    await notificationService.transferRequested(space, newOwnerIdStr, owner);
+
+    return space.ownershipTransfer;
+  }
+
+  async cancelTransfer(space) {
+    if (!space.getPendingTransfer()) {
+      throw ownershipError('There is no pending ownership transfer', 404);
+    }
+    space.ownershipTransfer = null;
+    await space.save();
+  }
+
+  // The pending transfer, if it is addressed to the user
+  getTransferFor(space, user) {
+    const transfer = space.getPendingTransfer();
+    if (!transfer || transfer.toUserId !== user.id.toString()) {
+      throw ownershipError('There is no pending ownership transfer for you', 404);
+    }
+    return transfer;
+  }
+
+  /**
+   * The new owner accepts; the previous owner stays on as an admin
+   */
+  async acceptTransfer(space, user) {
+    this.getTransferFor(space, user);
+
+    const previousOwnerId = space.ownerId;
+    space.transferOwnership(user.id);
+    await space.save();
+
+    console.log(`Ownership of space ${space.name} transferred from ${previousOwnerId} to ${user.email}`);
+    await notificationService.transferAccepted(space, previousOwnerId, user);
+
+    return space;
+  }
+
+  async declineTransfer(space, user) {
+    this.getTransferFor(space, user);
+
+    space.ownershipTransfer = null;
+    await space.save();
+
+    await notificationService.transferDeclined(space, user);
+    return space;
+  }
+
+  /**
+   * Leave a space. Owners have to transfer ownership first.
+   */
+  async leave(space, user) {
+    const userId = user.id.toString();
+    if (space.ownerId === userId) {
+      throw ownershipError('Transfer ownership of the space before leaving it');
+    }
+    if (!space.members.some(member => member.userId === userId)) {
+      throw ownershipError('You are not a member of this space', 404);
+    }
+
+    space.removeMember(userId);
+    await space.save();
+
+    console.log(`User ${user.email} left space ${space.name}`);
+    return space;
+  }
+
+  /**
+   * Member who takes over from a departing owner: the highest role,
+   * then the longest-standing member
+   */
+  pickSuccessor(space, excludeUserIds = []) {
+    const candidates = space.members
+      .filter(member => member.userId !== space.ownerId && !excludeUserIds.includes(member.userId))
+      .sort((a, b) => permissionService.roles.indexOf(a.role) - permissionService.roles.indexOf(b.role)
+        || new Date(a.addedAt) - new Date(b.addedAt));
+    return candidates.length > 0 ? candidates[0].userId : null;
+  }
+
+  /**
+   * Resolve the admin's choice of new owner (user ID or email) to a user ID
+   */
+  async resolveUser(userIdOrEmail) {
+    if (!userIdOrEmail) {
+      return null;
+    }
+    const value = userIdOrEmail.toString().trim();
+    const user = value.includes('@')
+      ? await User.findOne({ email: value.toLowerCase() }).select('_id')
+      : mongoose.isValidObjectId(value) ? await User.findById(value).select('_id') : null;
+    if (!user) {
+      throw ownershipError('The user to transfer spaces to was not found', 404);
+    }
+    return user._id.toString();
+  }
+
+  /**
+   * Before deleting users: hand each space they own to `transferTo` or to
+   * their best remaining member, delete spaces nobody is left to own (as
+   * DELETE /api/spaces/:id does), and remove the users from every other space.
+   * Returns { transferred: [{ spaceId, name, ownerId }], deleted: [{ spaceId, name }] }.
+   */
+  async releaseSpacesOf(userIds, { transferTo = null, wss = null } = {}) {
+    const departing = userIds.map(id => id.toString());
+    if (transferTo && departing.includes(transferTo)) {
+      throw ownershipError('Spaces cannot be transferred to a user who is being deleted');
+    }
+
+    const result = { transferred: [], deleted: [] };
+    const owned = await Space.find({ ownerId: { $in: departing } });
+
+    for (const space of owned) {
+      const successorId = transferTo || this.pickSuccessor(space, departing);
+
+      if (!successorId) {
+        await Space.deleteOne({ _id: space._id });
+        result.deleted.push({ spaceId: space._id.toString(), name: space.name });
+        continue;
+      }
+
+      space.transferOwnership(successorId, { previousOwnerRole: null });
+      space.members = space.members.filter(member => !departing.includes(member.userId));
+      await space.save();
+
+      if (wss) {
+        wss.refreshSpacePermissions(space);
+      }
+      await notificationService.ownerChanged(space);
+      result.transferred.push({ spaceId: space._id.toString(), name: space.name, ownerId: successorId });
+    }
+
+    // Memberships and handovers addressed to the departing users
+    const memberOf = await Space.find({ 'members.userId': { $in: departing } });
+    for (const space of memberOf) {
+      departing.forEach(userId => space.removeMember(userId));
+      await space.save();
+      if (wss) {
+        wss.refreshSpacePermissions(space);
+      }
+    }
+    await Space.updateMany(
+      { 'ownershipTransfer.toUserId': { $in: departing } },
+      { $set: { ownershipTransfer: null } }
+    );
+
+    if (owned.length > 0) {
+      console.log(`Released spaces of ${departing.length} deleted user(s): ${result.transferred.length} transferred, ${result.deleted.length} deleted`);
+    }
+    return result;
+  }
+}
+
+module.exports = new SpaceOwnershipService();
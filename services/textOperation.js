@@ -0,0 +1,277 @@
+/**
+ * Text Operation
+ * Operational transform for plain text. An operation is an array of
+ * components applied left to right over the whole document:
+ *   positive integer - retain (skip) that many characters
+ *   string           - insert the string
+ *   negative integer - delete that many characters
+ * e.g. [5, 'abc', -2, 10] keeps 5 characters, inserts 'abc', deletes 2 and
+ * keeps the last 10. Lengths are in UTF-16 code units (JavaScript string length).
+ */
+
+const isRetain = component => typeof component === 'number' && component > 0;
+const isInsert = component => typeof component === 'string';
+const isDelete = component => typeof component === 'number' && component < 0;
+
+const operationError = message => Object.assign(new Error(message), { status: 400 });
+
+// Builders that keep operations canonical: adjacent components of the same
+// kind are merged and an insert next to a delete always comes first
+
+const retain = (ops, n) => {
+  if (n <= 0) return;
+  if (isRetain(ops[ops.length - 1])) {
+    ops[ops.length - 1] += n;
+  } else {
+    ops.push(n);
+  }
+};
+
+const insert = (ops, str) => {
+  if (str === '') return;
+  const last = ops[ops.length - 1];
+  if (isInsert(last)) {
+    ops[ops.length - 1] += str;
+  } else if (isDelete(last)) {
+    if (isInsert(ops[ops.length - 2])) {
+      ops[ops.length - 2] += str;
+    } else {
+      ops.splice(ops.length - 1, 0, str);
+    }
+  } else {
+    ops.push(str);
+  }
+};
+
+const remove = (ops, n) => {
+  if (n === 0) return;
+  const count = n > 0 ? -n : n;
+  if (isDelete(ops[ops.length - 1])) {
+    ops[ops.length - 1] += count;
+  } else {
+    ops.push(count);
+  }
+};
+
+/**
+ * Validate an operation received from a client and return it in canonical form
+ */
+const normalize = (operation) => {
+  if (!Array.isArray(operation)) {
+    throw operationError('Operation must be an array');
+  }
+
+  const ops = [];
+  operation.forEach(component => {
+    if (isInsert(component)) {
+      insert(ops, component);
+    } else if (Number.isInteger(component) && component > 0) {
+      retain(ops, component);
+    } else if (Number.isInteger(component) && component < 0) {
+      remove(ops, component);
+    } else {
+      throw operationError('Operation components must be non-zero integers or strings');
+    }
+  });
+  return ops;
+};
+
+// Length of the document the operation applies to
+const baseLength = ops => ops.reduce((length, component) =>
+  length + (isRetain(component) ? component : isDelete(component) ? -component : 0), 0);
+
+// Length of the document after applying the operation
+const targetLength = ops => ops.reduce((length, component) =>
+  length + (isRetain(component) ? component : isInsert(component) ? component.length : 0), 0);
+
+const isNoop = ops => ops.length === 0 || (ops.length === 1 && isRetain(ops[0]));
+
+/**
+ * Apply an operation to a document
+ */
+const apply = (doc, ops) => {
+  if (baseLength(ops) !== doc.length) {
+    throw operationError(`Operation expects a document of length ${baseLength(ops)}, got ${doc.length}`);
+  }
+
+  const parts = [];
+  let index = 0;
+  ops.forEach(component => {
+    if (isRetain(component)) {
+      parts.push(doc.slice(index, index + component));
+      index += component;
+    } else if (isInsert(component)) {
+      parts.push(component);
+    } else {
+      index -= component;
+    }
+  });
+  return parts.join('');
+};
+
+/**
+ * Combine two consecutive operations into one with the same effect
+ * (apply(apply(doc, a), b) === apply(doc, compose(a, b)))
+ */
+const compose = (a, b) => {
+  if (targetLength(a) !== baseLength(b)) {
+    throw operationError('Operations cannot be composed: lengths do not match');
+  }
+
+  const ops = [];
+  let i1 = 0;
+  let i2 = 0;
+  let op1 = a[i1++];
+  let op2 = b[i2++];
+
+  while (op1 !== undefined || op2 !== undefined) {
+    if (isDelete(op1)) {
+      remove(ops, op1);
+      op1 = a[i1++];
+      continue;
+    }
+    if (isInsert(op2)) {
+      insert(ops, op2);
+      op2 = b[i2++];
+      continue;
+    }
+    if (op1 === undefined || op2 === undefined) {
+      throw operationError('Operations cannot be composed: one is too short');
+    }
+
+    if (isRetain(op1) && isRetain(op2)) {
+      const length = Math.min(op1, op2);
+      retain(ops, length);
+      op1 = op1 === length ? a[i1++] : op1 - length;
+      op2 = op2 === length ? b[i2++] : op2 - length;
+    } else if (isInsert(op1) && isDelete(op2)) {
+      const length = Math.min(op1.length, -op2);
+      op1 = op1.length === length ? a[i1++] : op1.slice(length);
+      op2 = -op2 === length ? b[i2++] : op2 + length;
+    } else if (isInsert(op1) && isRetain(op2)) {
+      const length = Math.min(op1.length, op2);
+      insert(ops, op1.slice(0, length));
+      op1 = op1.length === length ? a[i1++] : op1.slice(length);
+      op2 = op2 === length ? b[i2++] : op2 - length;
+    } else {
+      // retain in a, delete in b
+      const length = Math.min(op1, -op2);
+      remove(ops, length);
+      op1 = op1 === length ? a[i1++] : op1 - length;
+      op2 = -op2 === length ? b[i2++] : op2 + length;
+    }
+  }
+  return ops;
+};
+
+/**
+ * Transform two concurrent operations on the same document.
+ * Returns [a', b'] with apply(apply(doc, a), b') === apply(apply(doc, b), a').
+ * When both insert at the same position, a's text comes first.
+ */
+const transform = (a, b) => {
+  if (baseLength(a) !== baseLength(b)) {
+    throw operationError('Operations cannot be transformed: they apply to different documents');
+  }
+
+  const aPrime = [];
+  const bPrime = [];
+  let i1 = 0;
+  let i2 = 0;
+  let op1 = a[i1++];
+  let op2 = b[i2++];
+
+  while (op1 !== undefined || op2 !== undefined) {
+    if (isInsert(op1)) {
+      insert(aPrime, op1);
+      retain(bPrime, op1.length);
+      op1 = a[i1++];
+      continue;
+    }
+    if (isInsert(op2)) {
+      retain(aPrime, op2.length);
+      insert(bPrime, op2);
+      op2 = b[i2++];
+      continue;
+    }
+    if (op1 === undefined || op2 === undefined) {
+      throw operationError('Operations cannot be transformed: one is too short');
+    }
+
+    const length = Math.min(Math.abs(op1), Math.abs(op2));
+    if (isRetain(op1) && isRetain(op2)) {
+      retain(aPrime, length);
+      retain(bPrime, length);
+    } else if (isDelete(op1) && isRetain(op2)) {
+      remove(aPrime, length);
+    } else if (isRetain(op1) && isDelete(op2)) {
+      remove(bPrime, length);
+    }
+    // Both deleting the same text: nothing left to do for either
+
+    op1 = Math.abs(op1) === length ? a[i1++] : op1 + (op1 > 0 ? -length : length);
+    op2 = Math.abs(op2) === length ? b[i2++] : op2 + (op2 > 0 ? -length : length);
+  }
+  return [aPrime, bPrime];
+};
+
+/**
+ * Move a caret position through an operation. Text inserted at the caret
+ * ends up before it.
+ */
+const transformIndex = (index, ops) => {
+  let remaining = index;
+  let newIndex = index;
+
+  for (const component of ops) {
+    if (isRetain(component)) {
+      remaining -= component;
+    } else if (isInsert(component)) {
+      newIndex += component.length;
+    } else {
+      newIndex -= Math.min(remaining, -component);
+      remaining += component;
+    }
+    if (remaining < 0) break;
+  }
+  return newIndex;
+};
+
+/**
+ * Operation turning one text into another (a single replacement of the
+ * part between their common prefix and suffix)
+ */
+const diff = (from, to) => {
+  let prefix = 0;
+  while (prefix < from.length && prefix < to.length && from[prefix] === to[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < from.length - prefix &&
+    suffix < to.length - prefix &&
+    from[from.length - 1 - suffix] === to[to.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const ops = [];
+  retain(ops, prefix);
+  insert(ops, to.slice(prefix, to.length - suffix));
+  remove(ops, from.length - prefix - suffix);
+  retain(ops, suffix);
+  return ops;
+};
+
+module.exports = {
+  normalize,
+  baseLength,
+  targetLength,
+  isNoop,
+  apply,
+  compose,
+  transform,
+  transformIndex,
+  diff
+};
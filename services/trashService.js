@@ -0,0 +1,277 @@
+/**
+ * Trash Service
+ * Soft deletes cards and connections, restores them and purges expired trash
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const Card = require('../models/Card');
+const Connection = require('../models/Connection');
+const CardRevision = require('../models/CardRevision');
+const CardComment = require('../models/CardComment');
+const CardChangeRequest = require('../models/CardChangeRequest');
+const collabEditService = require('./collabEditService');
+const cardVisibilityService = require('./cardVisibilityService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrashService {
+  constructor() {
+    this.retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Build the marker stored on everything trashed by one operation
+   */
+  createMarker(userId) {
+    return {
+      deletedAt: new Date(),
+      deletedBy: userId ? userId.toString() : null,
+      deletionId: uuidv4()
+    };
+  }
+
+  /**
+   * Move cards and all connections touching them to the trash
+   */
+  async trashCards(requestedCardIds, userId) {
+    const marker = this.createMarker(userId);
+
+    const liveCards = await Card.find({ _id: { $in: requestedCardIds }, deletedAt: null }).select('_id');
+    const cardIds = liveCards.map(card => card._id);
+
+    await Card.updateMany(
+      { _id: { $in: cardIds }, deletedAt: null },
+      { $set: marker }
+    );
+
+    // Live editing sessions end with the card
+    cardIds.forEach(cardId => collabEditService.closeCard(cardId, 'Card was moved to the trash'));
+
+    const connections = await Connection.find({
+      deletedAt: null,
+      $or: [
+        { sourceId: { $in: cardIds } },
+        { targetId: { $in: cardIds } }
+      ]
+    });
+    const connectionIds = connections.map(conn => conn._id);
+
+    if (connectionIds.length > 0) {
+      await Connection.updateMany({ _id: { $in: connectionIds } }, { $set: marker });
+    }
+
+    return { deletionId: marker.deletionId, cardIds, connectionIds };
+  }
+
+  /**
+   * Move individual connections to the trash
+   */
+  async trashConnections(requestedConnectionIds, userId) {
+    const marker = this.createMarker(userId);
+
+    const liveConnections = await Connection.find({
+      _id: { $in: requestedConnectionIds },
+      deletedAt: null
+    }).select('_id');
+    const connectionIds = liveConnections.map(conn => conn._id);
+
+    const result = await Connection.updateMany(
+      { _id: { $in: connectionIds }, deletedAt: null },
+      { $set: marker }
+    );
+
+    return { deletionId: marker.deletionId, connectionIds, trashedCount: result.modifiedCount };
+  }
+
+  /**
+   * List trashed cards and connections of a space, newest first. With `user`,
+   * cards that user may not see (restricted, or pending approval without
+   * card:edit) are left out, and so are connections to them.
+   */
+  async getTrash(spaceId, { user = null } = {}) {
+    const visibilityQuery = user ? await cardVisibilityService.buildQuery(user, [spaceId]) : {};
+    const [cards, allConnections] = await Promise.all([
+      Card.find({ spaceId, ...visibilityQuery, deletedAt: { $ne: null } }).sort({ deletedAt: -1 }),
+      Connection.find({ spaceId, deletedAt: { $ne: null } }).sort({ deletedAt: -1 })
+    ]);
+
+    let connections = allConnections;
+    if (user) {
+      // Endpoints may be live or trashed
+      const endpointIds = [...new Set(allConnections.flatMap(connection => [connection.sourceId, connection.targetId]))];
+      const visible = await Card.find({ _id: { $in: endpointIds }, ...visibilityQuery }).select('_id');
+      const visibleIds = new Set(visible.map(card => card._id));
+      connections = allConnections.filter(connection => visibleIds.has(connection.sourceId) && visibleIds.has(connection.targetId));
+    }
+
+    const withPurgeDate = doc => ({
+      ...doc.toJSON(),
+      purgeAt: new Date(doc.deletedAt.getTime() + this.retentionDays * DAY_MS)
+    });
+
+    return {
+      retentionDays: this.retentionDays,
+      cards: cards.map(withPurgeDate),
+      connections: connections.map(withPurgeDate)
+    };
+  }
+
+  /**
+   * Restore trashed cards of a space together with the connections that were
+   * trashed alongside them, plus any explicitly requested connections.
+   * Connections whose endpoints are still trashed, or that would duplicate a
+   * live connection, are skipped. With `user`, cards that user may not see
+   * and connections to them are left in the trash and reported as not found,
+   * like IDs that are not in the trash at all.
+   */
+  async restore(spaceId, { cardIds = [], connectionIds = [], user = null } = {}) {
+    const visibilityQuery = user ? await cardVisibilityService.buildQuery(user, [spaceId]) : {};
+    const cards = await Card.find({
+      _id: { $in: cardIds },
+      spaceId,
+      ...visibilityQuery,
+      deletedAt: { $ne: null }
+    });
+    const restoredCardIds = cards.map(card => card._id);
+
+    if (restoredCardIds.length > 0) {
+      await Card.updateMany(
+        { _id: { $in: restoredCardIds } },
+        { $set: { deletedAt: null, deletedBy: null, deletionId: null } }
+      );
+    }
+
+    const deletionIds = [...new Set(cards.map(card => card.deletionId).filter(Boolean))];
+    const candidates = await Connection.find({
+      spaceId,
+      deletedAt: { $ne: null },
+      $or: [
+        { _id: { $in: connectionIds } },
+        {
+          deletionId: { $in: deletionIds },
+          $or: [
+            { sourceId: { $in: restoredCardIds } },
+            { targetId: { $in: restoredCardIds } }
+          ]
+        }
+      ]
+    });
+
+    let visibleCandidates = candidates;
+    if (user) {
+      const endpointIds = [...new Set(candidates.flatMap(connection => [connection.sourceId, connection.targetId]))];
+      const visible = await Card.find({ _id: { $in: endpointIds }, ...visibilityQuery }).select('_id');
+      const visibleIds = new Set(visible.map(card => card._id));
+      visibleCandidates = candidates.filter(connection => visibleIds.has(connection.sourceId) && visibleIds.has(connection.targetId));
+    }
+
+    const restoredConnections = [];
+    const skippedConnectionIds = [];
+
+    for (const connection of visibleCandidates) {
+      const liveEndpoints = await Card.countDocuments({
+        _id: { $in: [connection.sourceId, connection.targetId] },
+        deletedAt: null
+      });
+
+      const duplicate = await Connection.findOne({
+        spaceId,
+        deletedAt: null,
+        $or: [
+          { sourceId: connection.sourceId, targetId: connection.targetId },
+          { sourceId: connection.targetId, targetId: connection.sourceId }
+        ]
+      });
+
+      if (liveEndpoints < 2 || duplicate) {
+        skippedConnectionIds.push(connection._id);
+        continue;
+      }
+
+      connection.deletedAt = null;
+      connection.deletedBy = null;
+      connection.deletionId = null;
+      await connection.save();
+      restoredConnections.push(connection);
+    }
+
+    const restoredCards = await Card.find({ _id: { $in: restoredCardIds } });
+    const foundConnectionIds = visibleCandidates.map(connection => connection._id);
+
+    return {
+      cards: restoredCards,
+      connections: restoredConnections,
+      skippedConnectionIds,
+      notFoundCardIds: cardIds.filter(id => !restoredCardIds.includes(id)),
+      notFoundConnectionIds: connectionIds.filter(id => !foundConnectionIds.includes(id))
+    };
+  }
+
+  /**
+   * Permanently delete trashed cards/connections matching a query, including
+   * card revision history, comments and change requests, and any connection
+   * still pointing at a purged card
+   */
+  async purge(query = {}) {
+    const trashedQuery = { deletedAt: { $ne: null }, ...query };
+    const cards = await Card.find(trashedQuery).select('_id');
+    const cardIds = cards.map(card => card._id);
+
+    const [cardResult, connectionResult] = await Promise.all([
+      Card.deleteMany({ _id: { $in: cardIds } }),
+      Connection.deleteMany({
+        $or: [
+          trashedQuery,
+          { sourceId: { $in: cardIds } },
+          { targetId: { $in: cardIds } }
+        ]
+      }),
+      CardRevision.deleteMany({ cardId: { $in: cardIds } }),
+      CardComment.deleteMany({ cardId: { $in: cardIds } }),
+      CardChangeRequest.deleteMany({ cardId: { $in: cardIds } })
+    ]);
+
+    return {
+      cardsPurged: cardResult.deletedCount,
+      connectionsPurged: connectionResult.deletedCount
+    };
+  }
+
+  /**
+   * Purge everything that has been in the trash longer than the retention period
+   */
+  async purgeExpired() {
+    const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS);
+    const result = await this.purge({ deletedAt: { $lt: cutoff } });
+
+    if (result.cardsPurged > 0 || result.connectionsPurged > 0) {
+      console.log(`Trash purge: removed ${result.cardsPurged} cards and ${result.connectionsPurged} connections older than ${this.retentionDays} days`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Run purgeExpired periodically (hourly by default)
+   */
+  startPurgeSchedule(intervalMs = 60 * 60 * 1000) {
+    if (this.purgeTimer) return;
+
+    this.purgeTimer = setInterval(() => {
+      this.purgeExpired().catch(error => {
+        console.error('Error purging expired trash:', error);
+      });
+    }, intervalMs);
+    this.purgeTimer.unref();
+  }
+
+  stopPurgeSchedule() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+  }
+}
+
+module.exports = new TrashService();
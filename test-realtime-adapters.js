@@ -0,0 +1,174 @@
+const { MemoryAdapter, RedisAdapter } = require('./services/realtimeAdapters');
+const cardLockService = require('./services/cardLockService');
+const spaceEventLogService = require('./services/spaceEventLogService');
+require('dotenv').config();
+
+// Runs the same scenarios against the memory adapter and the Redis adapter.
+// The Redis adapter talks to REDIS_URL when it is set, otherwise to an
+// in-process stand-in (ioredis-mock, which also runs the Lua scripts).
+// Each scenario uses two adapters on the same backend, like two API instances.
+
+const PREFIX = `macromind-test-${Date.now()}:`;
+
+let failures = 0;
+const check = (description, condition) => {
+  if (condition) {
+    console.log(`  ✅ ${description}`);
+  } else {
+    failures++;
+    console.log(`  ❌ ${description}`);
+  }
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Two adapters sharing one backend
+function createMemoryPair() {
+  const adapter = new MemoryAdapter();
+  return [adapter, adapter];
+}
+
+function createRedisPair() {
+  if (process.env.REDIS_URL) {
+    return [
+      new RedisAdapter({ url: process.env.REDIS_URL, prefix: PREFIX }),
+      new RedisAdapter({ url: process.env.REDIS_URL, prefix: PREFIX })
+    ];
+  }
+
+  const RedisMock = require('ioredis-mock');
+  const client = new RedisMock();
+  return [
+    new RedisAdapter({ client, subscriber: client.duplicate(), prefix: PREFIX }),
+    new RedisAdapter({ client: client.duplicate(), subscriber: client.duplicate(), prefix: PREFIX })
+  ];
+}
+
+async function testLocks(nodeA, nodeB) {
+  console.log(' Card locks');
+
+  const holder = (sessionId, userId) => ({ userId, sessionId, userName: userId, userColor: '#FF6B6B', spaceId: 'space-1' });
+
+  cardLockService.attach(nodeA);
+  const first = await cardLockService.acquire('card-1', holder('session-a', 'user-a'));
+  check('acquire on a free card', !!first.lock);
+
+  cardLockService.attach(nodeB);
+  const second = await cardLockService.acquire('card-1', holder('session-b', 'user-b'));
+  check('other node sees the lock and is refused', !!second.heldBy && second.heldBy.sessionId === 'session-a');
+  check('getLockByOther reports the holder', !!(await cardLockService.getLockByOther('card-1', 'user-b')));
+  check('holder is not blocked by its own lock', !(await cardLockService.getLockByOther('card-1', 'user-a')));
+
+  cardLockService.attach(nodeA);
+  check('holder renews its lease', !!(await cardLockService.renew('card-1', 'session-a')));
+  check('another session cannot renew', !(await cardLockService.renew('card-1', 'session-b')));
+
+  cardLockService.attach(nodeB);
+  const takeOver = await cardLockService.takeOver('card-1', holder('session-b', 'user-b'));
+  check('take over replaces the holder', !!takeOver.lock && takeOver.previous.sessionId === 'session-a');
+  check('previous holder can no longer release it', !(await cardLockService.release('card-1', 'session-a')));
+  check('new holder releases it', !!(await cardLockService.release('card-1', 'session-b')));
+  check('released lock is gone', !(await cardLockService.getLock('card-1')));
+
+  await cardLockService.acquire('card-2', holder('session-a', 'user-a'));
+  await cardLockService.acquire('card-3', holder('session-a', 'user-a'));
+  const released = await cardLockService.releaseAll('session-a');
+  check('releaseAll removes every lock of a session', released.length === 2);
+
+  await cardLockService.acquire('card-4', holder('session-a', 'user-a'));
+  const expired = await cardLockService.expire(Date.now() + cardLockService.leaseMs + 1);
+  check('expired leases are removed once', expired.length === 1 && (await cardLockService.expire(Date.now() + cardLockService.leaseMs + 1)).length === 0);
+}
+
+async function testPresence(nodeA, nodeB) {
+  console.log(' Presence');
+
+  await nodeA.hset('presence', 'session-a', JSON.stringify({ id: 'user-a', spaceId: 'space-1' }));
+  await nodeB.hset('presence', 'session-b', JSON.stringify({ id: 'user-b', spaceId: 'space-1' }));
+
+  const presence = await nodeA.hgetall('presence');
+  check('both nodes\' sessions are visible', Object.keys(presence).sort().join() === 'session-a,session-b');
+  check('hget reads a field', JSON.parse(await nodeB.hget('presence', 'session-a')).id === 'user-a');
+  check('hget of a missing field is null', (await nodeB.hget('presence', 'session-x')) === null);
+
+  // Two nodes sweeping the same dead session: only one wins
+  const raw = presence['session-b'];
+  const results = await Promise.all([
+    nodeA.compareAndSet('presence', 'session-b', raw, null),
+    nodeB.compareAndSet('presence', 'session-b', raw, null)
+  ]);
+  check('compare-and-set removal succeeds exactly once', results.filter(Boolean).length === 1);
+  check('compare-and-set creates an absent field', await nodeA.compareAndSet('presence', 'session-c', null, '{}'));
+  check('compare-and-set refuses a stale value', !(await nodeB.compareAndSet('presence', 'session-c', 'stale', '{"id":"x"}')));
+
+  check('hdel reports an existing field', await nodeB.hdel('presence', 'session-a'));
+  check('hdel reports a missing field', !(await nodeB.hdel('presence', 'session-a')));
+
+  check('hincrby counts across nodes', (await nodeA.hincrby('sequences', 'space-1', 1)) === 1 && (await nodeB.hincrby('sequences', 'space-1', 1)) === 2);
+}
+
+async function testEventLog(nodeA, nodeB) {
+  console.log(' Space event log');
+
+  spaceEventLogService.bufferSize = 3;
+  spaceEventLogService.attach(nodeA);
+  for (let i = 0; i < 4; i++) {
+    await spaceEventLogService.append('space-2', { type: 'card:updated', index: i });
+  }
+
+  spaceEventLogService.attach(nodeB);
+  const recent = await spaceEventLogService.since('space-2', 2);
+  check('events are numbered and replayed from another node', !recent.resync && recent.events.map(entry => entry.seq).join() === '3,4');
+  const expired = await spaceEventLogService.since('space-2', 0);
+  check('capped log reports expired events', expired.resync === 'expired');
+  check('list keeps only the latest entries', (await nodeB.lrange('events:space-2')).length === 3);
+}
+
+async function testPublish(nodeA, nodeB) {
+  console.log(' Publish / subscribe');
+
+  const receivedA = [];
+  const receivedB = [];
+  await nodeA.subscribe(message => receivedA.push(message));
+  if (nodeB !== nodeA) {
+    await nodeB.subscribe(message => receivedB.push(message));
+  }
+
+  await nodeA.publish({ kind: 'broadcast', spaceId: 'space-1', message: { type: 'card:created' } });
+  await sleep(100);
+
+  check('publisher receives its message', receivedA.length === 1 && receivedA[0].message.type === 'card:created');
+  if (nodeB !== nodeA) {
+    check('other node receives the message', receivedB.length === 1 && receivedB[0].spaceId === 'space-1');
+  }
+}
+
+async function runAdapter(name, [nodeA, nodeB]) {
+  console.log(`\n${name} adapter`);
+  try {
+    await testLocks(nodeA, nodeB);
+    await testPresence(nodeA, nodeB);
+    await testEventLog(nodeA, nodeB);
+    await testPublish(nodeA, nodeB);
+  } catch (error) {
+    failures++;
+    console.error(`  💥 ${name} adapter failed:`, error);
+  } finally {
+    await nodeA.close();
+    if (nodeB !== nodeA) {
+      await nodeB.close();
+    }
+  }
+}
+
+async function runTests() {
+  console.log('🔍 Testing realtime adapters...');
+
+  await runAdapter('Memory', createMemoryPair());
+  await runAdapter(process.env.REDIS_URL ? `Redis (${process.env.REDIS_URL})` : 'Redis (ioredis-mock)', createRedisPair());
+
+  console.log(failures === 0 ? '\n✅ All realtime adapter checks passed' : `\n❌ ${failures} realtime adapter checks failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
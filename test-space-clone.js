@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Card = require('./models/Card');
+const CardChangeRequest = require('./models/CardChangeRequest');
+const CardRevision = require('./models/CardRevision');
+const Space = require('./models/Space');
+const User = require('./models/User');
+const permissionService = require('./services/permissionService');
+const spaceBundleService = require('./services/spaceBundleService');
+require('dotenv').config();
+
+// Clones a space with restricted and pending cards (in the MONGODB_URI
+// database) and checks that the copies stay restricted and pending.
+// Everything created is removed afterwards.
+
+let failures = 0;
+const check = (description, condition) => {
+  if (condition) {
+    console.log(`  ✅ ${description}`);
+  } else {
+    failures++;
+    console.log(`  ❌ ${description}`);
+  }
+};
+
+const asUser = user => ({ id: user._id.toString(), email: user.email });
+
+async function createFixtures() {
+  const [owner, editor, viewer] = await Promise.all(['owner', 'editor', 'viewer'].map(role => User.findOneAndUpdate(
+    { email: `clone-test-${role}@mebit.io` },
+    { email: `clone-test-${role}@mebit.io`, name: `Clone Test ${role}`, role: 'user' },
+    { upsert: true, new: true }
+  )));
+
+  const space = await Space.create({
+    name: 'Clone Test Space',
+    ownerId: owner._id.toString(),
+    members: [
+      { userId: editor._id.toString(), role: 'editor' },
+      { userId: viewer._id.toString(), role: 'viewer' }
+    ],
+    requireApproval: true,
+    sectionRestrictions: [{ tag: 'internal', roles: ['editor'], userIds: [] }]
+  });
+  const spaceId = space._id.toString();
+
+  const card = (title, fields = {}) => ({
+    _id: uuidv4(),
+    spaceId,
+    userId: owner.email,
+    type: 'note',
+    title,
+    ...fields
+  });
+  await Card.insertMany([
+    card('Open'),
+    card('Editor only', { visibility: { roles: [], userIds: [editor._id.toString()] } }),
+    card('Internal section', { tags: ['internal'] }),
+    card('Waiting for approval', { approvalStatus: 'pending' })
+  ]);
+
+  return { owner, editor, viewer, space };
+}
+
+async function testCloneWithMembers({ owner, editor, viewer, space }) {
+  console.log(' Clone with members');
+
+  const { space: clone } = await spaceBundleService.cloneSpace(space._id.toString(), owner, { include: 'members' });
+  const cards = await Card.find({ spaceId: clone._id.toString() });
+  const byTitle = title => cards.find(card => card.title === title);
+
+  check('all cards are copied', cards.length === 4);
+  check('approval mode is kept', clone.requireApproval === true);
+  check('section restriction is kept', clone.sectionRestrictions.some(section => section.tag === 'internal' && section.roles.includes('editor')));
+
+  const restricted = byTitle('Editor only');
+  check('restricted card stays hidden from the viewer', !permissionService.canViewCard(clone, restricted, asUser(viewer)));
+  check('restricted card is visible to the named member', permissionService.canViewCard(clone, restricted, asUser(editor)));
+  check('section card stays hidden from the viewer', !permissionService.canViewCard(clone, byTitle('Internal section'), asUser(viewer)));
+  check('open card is visible to the viewer', permissionService.canViewCard(clone, byTitle('Open'), asUser(viewer)));
+
+  const pending = byTitle('Waiting for approval');
+  check('pending card stays pending', pending.approvalStatus === 'pending');
+  check('pending card is hidden from the viewer', !permissionService.canViewCard(clone, pending, asUser(viewer)));
+  check('pending card has a change request', !!(await CardChangeRequest.findOne({ cardId: pending._id, action: 'create', status: 'pending' })));
+
+  return clone;
+}
+
+async function testCloneWithoutMembers({ owner, space }) {
+  console.log(' Clone without members');
+
+  const { space: clone } = await spaceBundleService.cloneSpace(space._id.toString(), owner, { include: 'connections' });
+  const restricted = await Card.findOne({ spaceId: clone._id.toString(), title: 'Editor only' });
+
+  check('no members are copied', clone.members.length === 0);
+  check('restricted card stays restricted without its member', restricted.visibility.roles.length > 0 || restricted.visibility.userIds.length > 0);
+  check('restricted card is not open to a new viewer', !permissionService.canViewCard(
+    { ...clone.toObject(), members: [{ userId: 'new-viewer', role: 'viewer' }] },
+    restricted,
+    { id: 'new-viewer', email: 'new-viewer@mebit.io' }
+  ));
+
+  return clone;
+}
+
+async function cleanUp(fixtures, clones) {
+  const spaceIds = [fixtures.space, ...clones].filter(Boolean).map(space => space._id.toString());
+  const cards = await Card.find({ spaceId: { $in: spaceIds } }).select('_id');
+  const cardIds = cards.map(card => card._id);
+
+  await Promise.all([
+    Card.deleteMany({ spaceId: { $in: spaceIds } }),
+    CardRevision.deleteMany({ cardId: { $in: cardIds } }),
+    CardChangeRequest.deleteMany({ spaceId: { $in: spaceIds } }),
+    Space.deleteMany({ _id: { $in: spaceIds } }),
+    User.deleteMany({ email: /^clone-test-.*@mebit\.io$/ })
+  ]);
+}
+
+async function runTests() {
+  console.log('🔍 Testing space cloning...');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let fixtures = null;
+  const clones = [];
+  try {
+    fixtures = await createFixtures();
+    clones.push(await testCloneWithMembers(fixtures));
+    clones.push(await testCloneWithoutMembers(fixtures));
+  } catch (error) {
+    failures++;
+    console.error('  💥 Cloning failed:', error);
+  } finally {
+    if (fixtures) {
+      await cleanUp(fixtures, clones);
+    }
+    await mongoose.disconnect();
+  }
+
+  console.log(failures === 0 ? '\n✅ All space clone checks passed' : `\n❌ ${failures} space clone checks failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
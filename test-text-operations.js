@@ -0,0 +1,254 @@
+const textOperation = require('./services/textOperation');
+const collabEditService = require('./services/collabEditService');
+const Card = require('./models/Card');
+
+// Checks the operational transform (services/textOperation.js) with fixed
+// cases and seeded random operations, and the collaborative editing merge of
+// changes saved outside a session (collabEditService.mergeExternalChange).
+// The card the sessions edit lives in memory, so no database is needed.
+
+let failures = 0;
+const check = (description, condition) => {
+  if (condition) {
+    console.log(`  ✅ ${description}`);
+  } else {
+    failures++;
+    console.log(`  ❌ ${description}`);
+  }
+};
+
+// Small seeded generator so failures can be reproduced (SEED=...)
+const seed = parseInt(process.env.SEED) || 20241019;
+let state = seed;
+const random = (n) => {
+  state = (state * 1103515245 + 12345) % 2147483648;
+  return state % n;
+};
+const randomText = (length) => Array.from({ length }, () => 'abcxyz \n'[random(8)]).join('');
+
+// Random canonical operation on a document
+function randomOperation(doc) {
+  const ops = [];
+  let index = 0;
+  while (index < doc.length) {
+    const n = 1 + random(Math.min(4, doc.length - index));
+    switch (random(3)) {
+      case 0:
+        ops.push(n);
+        index += n;
+        break;
+      case 1:
+        ops.push(randomText(1 + random(3)));
+        break;
+      default:
+        ops.push(-n);
+        index += n;
+    }
+  }
+  if (random(2)) ops.push(randomText(1 + random(3)));
+  return textOperation.normalize(ops);
+}
+
+function testFixedCases() {
+  console.log(' Fixed cases');
+
+  check('apply retains, inserts and deletes', textOperation.apply('Hello world', [5, ',', 1, -5, 'there']) === 'Hello, there');
+  check('normalize merges adjacent components', JSON.stringify(textOperation.normalize([2, 3, 'a', 'b', -1, -1])) === JSON.stringify([5, 'ab', -2]));
+  check('apply rejects an operation for another length', (() => {
+    try {
+      textOperation.apply('abc', [5]);
+      return false;
+    } catch (error) {
+      return error.status === 400;
+    }
+  })());
+
+  const a = [5, ',', 6];
+  const b = [11, '!'];
+  const [aPrime, bPrime] = textOperation.transform(a, b);
+  check('transform converges on concurrent edits', textOperation.apply(textOperation.apply('Hello world', a), bPrime) === 'Hello, world!' &&
+    textOperation.apply(textOperation.apply('Hello world', b), aPrime) === 'Hello, world!');
+
+  const [first, second] = textOperation.transform([1, 'x', 1], [1, 'y', 1]);
+  check('inserts at the same position put the first operation first', textOperation.apply('ab', textOperation.compose([1, 'x', 1], second)) === 'axyb' &&
+    textOperation.apply('ab', textOperation.compose([1, 'y', 1], first)) === 'axyb');
+
+  check('compose has the effect of both operations', textOperation.apply('abc', textOperation.compose([3, 'd'], [-1, 3])) === 'bcd');
+  check('diff replaces the changed middle', JSON.stringify(textOperation.diff('Hello world', 'Hello brave world')) === JSON.stringify([6, 'brave ', 5]));
+  check('caret after an insert before it moves', textOperation.transformIndex(3, [1, 'ab', 2]) === 5);
+  check('caret inside a deletion moves to its start', textOperation.transformIndex(3, [1, -3]) === 1);
+}
+
+function testRandomOperations(rounds = 2000) {
+  console.log(` Random operations (${rounds} rounds, SEED=${seed})`);
+
+  let transformFailures = 0;
+  let composeFailures = 0;
+  let diffFailures = 0;
+
+  for (let round = 0; round < rounds; round++) {
+    const doc = randomText(random(16));
+    const a = randomOperation(doc);
+    const b = randomOperation(doc);
+
+    const [aPrime, bPrime] = textOperation.transform(a, b);
+    if (textOperation.apply(textOperation.apply(doc, a), bPrime) !== textOperation.apply(textOperation.apply(doc, b), aPrime)) {
+      transformFailures++;
+    }
+
+    const c = randomOperation(textOperation.apply(doc, a));
+    if (textOperation.apply(doc, textOperation.compose(a, c)) !== textOperation.apply(textOperation.apply(doc, a), c)) {
+      composeFailures++;
+    }
+
+    const target = randomText(random(16));
+    if (textOperation.apply(doc, textOperation.diff(doc, target)) !== target) {
+      diffFailures++;
+    }
+  }
+
+  check('transformed operations converge', transformFailures === 0);
+  check('composed operations apply like their parts', composeFailures === 0);
+  check('diff turns one text into the other', diffFailures === 0);
+}
+
+// The stored card sessions are opened from and saved to
+const stored = { content: '', contentVersion: 0 };
+
+function useStoredCard() {
+  const cardDocument = () => ({
+    ...stored,
+    spaceId: 'public',
+    toObject() {
+      return { ...stored, spaceId: 'public' };
+    }
+  });
+
+  Card.findOne = () => ({ select: async () => cardDocument() });
+  Card.findOneAndUpdate = async (query, update) => {
+    if (query.contentVersion !== stored.contentVersion) return null;
+    Object.assign(stored, { content: update.$set.content, contentVersion: update.$set.contentVersion });
+    return cardDocument();
+  };
+}
+
+// A change saved through the REST API (Card pre-save bumps contentVersion)
+function saveOutside(content) {
+  stored.content = content;
+  stored.contentVersion++;
+}
+
+async function openSession(cardId, content) {
+  stored.content = content;
+  stored.contentVersion = 0;
+  const session = await collabEditService.open(cardId);
+  session.participants.set('session-a', { sessionId: 'session-a', userId: 'user-a', selection: null });
+  return session;
+}
+
+async function testMergeExternalChange() {
+  console.log(' Merging changes saved outside a session');
+  useStoredCard();
+
+  let session = await openSession('card-1', 'Hello world');
+  collabEditService.applyOperation(session, 'session-a', [5, ',', 6], { baseVersion: 0 });
+  saveOutside('Hello world!');
+  await collabEditService.save(session);
+  check('outside change is merged into the session', session.content === 'Hello, world!');
+  check('merged version is above both histories', session.version === 2 && session.savedVersion === 1);
+  await collabEditService.save(session);
+  check('merged content is saved to the card', stored.content === 'Hello, world!' && stored.contentVersion === 2);
+
+  const late = collabEditService.applyOperation(session, 'session-a', [5, -1, 6], { baseVersion: 1 });
+  check('late operation is rebased over the merge', session.content === 'Hello world!' && late.version === 3);
+  collabEditService.close(session, 'done');
+
+  // The session history no longer reaches back to the saved version
+  session = await openSession('card-2', 'abc');
+  for (let i = 0; i < 501; i++) {
+    collabEditService.applyOperation(session, 'session-a', [session.content.length, 'x'], { baseVersion: session.version });
+  }
+  saveOutside('replaced outside');
+  await collabEditService.save(session);
+  check('without history the stored content wins', session.content === 'replaced outside');
+  check('stale client without base content is refused', (() => {
+    try {
+      collabEditService.applyOperation(session, 'session-a', [3, 'y'], { baseVersion: 0 });
+      return false;
+    } catch (error) {
+      return error.status === 409;
+    }
+  })());
+  collabEditService.applyOperation(session, 'session-a', [3, 'y', 1], { baseVersion: 0, baseContent: 'abcd' });
+  check('stale client with base content is rebased by diff', session.content.length === 17 && session.content.replace('y', '') === 'replaced outside');
+  collabEditService.close(session, 'done');
+}
+
+async function testRandomMerges(rounds = 300) {
+  console.log(` Random merges (${rounds} rounds)`);
+
+  let mismatches = 0;
+  const log = console.log;
+  console.log = () => {}; // every merge logs a line
+
+  try {
+    for (let round = 0; round < rounds; round++) {
+      const base = randomText(random(16));
+      const session = await openSession(`random-${round}`, base);
+
+      // Participants' edits since the last save
+      const participantOps = [];
+      let content = base;
+      for (let i = 0, edits = 1 + random(3); i < edits; i++) {
+        // Sessions without unsaved edits only merge outside changes on their next save
+        let op;
+        do {
+          op = randomOperation(content);
+        } while (textOperation.isNoop(op));
+        collabEditService.applyOperation(session, 'session-a', op, { baseVersion: session.version });
+        participantOps.push(op);
+        content = textOperation.apply(content, op);
+      }
+
+      const external = randomText(random(16));
+      saveOutside(external);
+      await collabEditService.save(session);
+
+      // Same result as replaying the participants' edits, one by one, on top of the outside change
+      let outside = textOperation.diff(base, external);
+      let expected = external;
+      participantOps.forEach(op => {
+        const [outsidePrime, opPrime] = textOperation.transform(outside, op);
+        expected = textOperation.apply(expected, opPrime);
+        outside = outsidePrime;
+      });
+      if (session.content !== expected) {
+        mismatches++;
+      }
+      collabEditService.close(session, 'done');
+    }
+  } finally {
+    console.log = log;
+  }
+
+  check('merged sessions match the outside change with the edits on top', mismatches === 0);
+}
+
+async function runTests() {
+  console.log('🔍 Testing text operations and collaborative merging...');
+
+  try {
+    testFixedCases();
+    testRandomOperations();
+    await testMergeExternalChange();
+    await testRandomMerges();
+  } catch (error) {
+    failures++;
+    console.error('  💥 Text operation checks failed:', error);
+  }
+
+  console.log(failures === 0 ? '\n✅ All text operation checks passed' : `\n❌ ${failures} text operation checks failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
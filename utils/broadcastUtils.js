@@ -0,0 +1,17 @@
+// Tell a space about a change saved through the REST API. These are the
+// canonical card and connection events: clients do not relay their own
+// changes. The WebSocket session that made the request (X-Session-Id header)
+// is skipped since it already shows the change, while the user's other
+// sessions receive it; without the header, all of the user's sessions are
+// skipped. options ({ card, permission }) are passed on to broadcastToSpace.
+exports.broadcastChange = (req, spaceId, message, options = {}) => {
+  const wss = req.app.get('wss');
+  if (!wss) return;
+  
+  const sessionId = req.get('X-Session-Id') || null;
+  wss.broadcastToSpace(spaceId || 'public', {
+    ...message,
+    userId: req.user.id.toString(),
+    userName: req.user.name
+  }, sessionId ? null : req.user.id.toString(), { ...options, excludeSessionId: sessionId });
+};
@@ -1,20 +1,81 @@
 const WebSocket = require('ws');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Space = require('../models/Space');
+const Card = require('../models/Card');
+const permissionService = require('../services/permissionService');
+const cardApprovalService = require('../services/cardApprovalService');
+const collabEditService = require('../services/collabEditService');
+const cardLockService = require('../services/cardLockService');
+const spaceEventLogService = require('../services/spaceEventLogService');
+const { MemoryAdapter } = require('../services/realtimeAdapters');
+
+const { permissions } = permissionService;
+
+// Shared state (see services/realtimeAdapters.js), visible to every node.
+// Each WebSocket connection is a session; a user can have several.
+//   presence:   sessionId -> { sessionId, id, name, email, color, picture, spaceId, nodeId, status, lastActivity }
+//   selections: sessionId -> { cardId, spaceId, userId, userName, userColor, nodeId }
+//   nodes:      nodeId -> time of the node's last heartbeat
+const PRESENCE_KEY = 'presence';
+const SELECTIONS_KEY = 'selections';
+const NODES_KEY = 'nodes';
+
+const NODE_HEARTBEAT_MS = 10 * 1000;
+// Presence and selections of nodes silent for this long are removed
+const NODE_TIMEOUT_MS = 30 * 1000;
+
+const parse = raw => (raw ? JSON.parse(raw) : null);
+
+// Presence statuses, most present first. A session is active until it has
+// been inactive for WS_IDLE_MS, then idle, and away after WS_AWAY_MS.
+const PRESENCE_STATUSES = ['active', 'idle', 'away'];
+const DEFAULT_IDLE_MS = 60 * 1000;
+const DEFAULT_AWAY_MS = 5 * 60 * 1000;
+const DEFAULT_HEARTBEAT_MS = 15 * 1000;
+
+// Messages clients send on their own, which do not count as activity
+const AUTOMATIC_MESSAGES = new Set(['card:lockHeartbeat']);
+
+// A user's status is the most present status of their sessions ('offline' without any)
+const userStatus = sessions => PRESENCE_STATUSES.find(status => (
+  sessions.some(session => (session.status || 'active') === status)
+)) || 'offline';
+
+// Broadcasts about who is where and doing what. They are not numbered or
+// replayed: resuming clients receive the current users, locks and selections.
+const EPHEMERAL_EVENTS = new Set([
+  'cursor:move',
+  'user:join', 'user:leave', 'user:sessionJoined', 'user:sessionLeft',
+  'card:selected', 'card:deselected',
+  'card:locked', 'card:unlocked',
+  'presence:update'
+]);
 
 class WebSocketServer {
-  constructor(server) {
+  /**
+   * options.adapter: realtime adapter shared with the other API instances
+   * (defaults to an in-memory adapter, for a single instance)
+   */
+  constructor(server, { adapter = null } = {}) {
     this.wss = new WebSocket.Server({ 
       server,
       path: '/'
     });
     
+    this.adapter = adapter || new MemoryAdapter();
+    this.nodeId = crypto.randomUUID();
+    this.heartbeatMs = parseInt(process.env.WS_HEARTBEAT_MS) || DEFAULT_HEARTBEAT_MS;
+    this.idleMs = parseInt(process.env.WS_IDLE_MS) || DEFAULT_IDLE_MS;
+    this.awayMs = Math.max(parseInt(process.env.WS_AWAY_MS) || DEFAULT_AWAY_MS, this.idleMs);
+    
+    // Sessions connected to this node; sessions on other nodes are found in the shared state.
+    // A session's space, cursor and selected card are kept on its socket.
+    this.sessions = new Map(); // sessionId -> WebSocket
+    this.userSockets = new Map(); // userId -> Set of WebSockets
     this.activeUsers = new Map(); // userId -> user data
-    this.userSockets = new Map(); // userId -> WebSocket
-    this.lockedCards = new Map(); // cardId -> userId
-    this.userSpaces = new Map(); // userId -> spaceId
-    this.selectedCards = new Map(); // userId -> cardId (only one card per user)
+    this.spaceBroadcasts = new Map(); // spaceId -> last pending broadcast (keeps events in order)
     this.userColors = [
       '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', 
       '#FFA69E', '#9CAFB7', '#E4C3AD', '#B8F2E6',
@@ -22,25 +83,253 @@ class WebSocketServer {
     ];
     
     this.setupWebSocketServer();
-    console.log('WebSocket server initialized');
+    this.setupRelay();
+    console.log(`WebSocket server initialized (node ${this.nodeId}, ${this.adapter.name} adapter)`);
     
-    // Heartbeat to detect disconnected clients
+    // Heartbeat to detect disconnected clients: a connection that has not
+    // answered the previous ping is terminated (and cleaned up on close)
     this.heartbeatInterval = setInterval(() => {
       this.wss.clients.forEach(ws => {
         if (ws.isAlive === false) {
-          console.log('Terminating dead connection');
-          this.handleDisconnect(ws);
+          console.log(`Terminating unresponsive connection (session ${ws.sessionId}, user ${ws.userId || 'none'})`);
           return ws.terminate();
         }
         ws.isAlive = false;
         ws.ping();
       });
-    }, 30000);
+    }, this.heartbeatMs);
+    
+    // Move sessions to idle or away as they stay inactive
+    this.presenceInterval = setInterval(() => {
+      this.updatePresenceStatuses().catch(error => console.error('Error updating presence statuses:', error));
+    }, 5000);
+    
+    // Release card locks whose lease ran out
+    this.lockExpiryInterval = setInterval(() => {
+      this.expireLocks().catch(error => console.error('Error expiring card locks:', error));
+    }, 5000);
+    
+    // Tell the other nodes this one is alive, and clean up after nodes that are not
+    this.nodeInterval = setInterval(() => {
+      this.sweepNodes().catch(error => console.error('Error checking realtime nodes:', error));
+    }, NODE_HEARTBEAT_MS);
+  }
+  
+  // Receive broadcasts, direct messages and permission changes from the other nodes
+  setupRelay() {
+    this.adapter.hset(NODES_KEY, this.nodeId, String(Date.now())).catch(error => {
+      console.error('Error registering realtime node:', error);
+    });
+    
+    this.adapter.subscribe(message => {
+      this.handleRelayedMessage(message).catch(error => {
+        console.error('Error handling relayed message:', error);
+      });
+    }).catch(error => console.error('Error subscribing to realtime messages:', error));
+  }
+  
+  // Publish a message to the other nodes
+  relay(message) {
+    this.adapter.publish({ ...message, nodeId: this.nodeId }).catch(error => {
+      console.error(`Error relaying ${message.kind} message:`, error);
+    });
+  }
+  
+  async handleRelayedMessage(message) {
+    if (message.nodeId === this.nodeId) return;
+    
+    switch (message.kind) {
+      case 'broadcast':
+        this.deliverToSpace(message.spaceId, message.message, message.excludeUserId, message.options);
+        break;
+      case 'user':
+        this.deliverToUser(message.userId, message.message);
+        break;
+      case 'session':
+        this.deliverToSession(message.sessionId, message.message);
+        break;
+      case 'permissions': {
+        // Only reload the space if someone here is in it
+        const present = [...this.sessions.values()].some(ws => ws.currentSpaceId === message.spaceId);
+        const space = present ? await Space.findById(message.spaceId) : null;
+        if (space) {
+          this.refreshLocalSpacePermissions(space);
+        }
+        break;
+      }
+      default:
+        console.log('Unknown relayed message kind:', message.kind);
+    }
+  }
+  
+  // Record this node's heartbeat and remove what dead nodes left behind
+  async sweepNodes() {
+    const now = Date.now();
+    await this.adapter.hset(NODES_KEY, this.nodeId, String(now));
+    
+    const nodes = await this.adapter.hgetall(NODES_KEY);
+    for (const [nodeId, lastSeen] of Object.entries(nodes)) {
+      if (nodeId === this.nodeId || now - parseInt(lastSeen) < NODE_TIMEOUT_MS) continue;
+      
+      // Only the node that removes the entry cleans up, so sessions leave once
+      if (await this.adapter.compareAndSet(NODES_KEY, nodeId, lastSeen, null)) {
+        console.log(`WebSocket: Node ${nodeId} stopped responding, removing its sessions`);
+        await this.purgeNode(nodeId);
+      }
+    }
+  }
+  
+  async purgeNode(nodeId) {
+    const selections = await this.adapter.hgetall(SELECTIONS_KEY);
+    for (const [sessionId, raw] of Object.entries(selections)) {
+      const selection = parse(raw);
+      if (selection.nodeId === nodeId && await this.adapter.compareAndSet(SELECTIONS_KEY, sessionId, raw, null)) {
+        this.broadcastToSpace(selection.spaceId, {
+          type: 'card:deselected',
+          cardId: selection.cardId,
+          userId: selection.userId,
+          sessionId: sessionId,
+          userName: selection.userName
+        });
+      }
+    }
+    
+    const presence = await this.adapter.hgetall(PRESENCE_KEY);
+    for (const [sessionId, raw] of Object.entries(presence)) {
+      const session = parse(raw);
+      if (session.nodeId === nodeId && await this.adapter.compareAndSet(PRESENCE_KEY, sessionId, raw, null) && session.spaceId) {
+        await this.announceSessionLeft(session);
+      }
+    }
+  }
+  
+  // Publish where a session is
+  async savePresence(ws) {
+    const user = this.activeUsers.get(ws.userId);
+    if (!user) return;
+    
+    await this.adapter.hset(PRESENCE_KEY, ws.sessionId, JSON.stringify({
+      sessionId: ws.sessionId,
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      color: ws.userColor,
+      picture: user.picture,
+      spaceId: ws.currentSpaceId || null,
+      nodeId: this.nodeId,
+      status: ws.status,
+      lastActivity: ws.lastActivity
+    }));
+    ws.savedActivity = ws.lastActivity;
+  }
+  
+  // Sessions present in a space, on any node
+  async getSpacePresence(spaceId) {
+    const presence = await this.adapter.hgetall(PRESENCE_KEY);
+    return Object.values(presence).map(parse).filter(session => session.spaceId === spaceId);
+  }
+  
+  // Sessions of a user in a space, on any node
+  async getUserSessionsInSpace(userId, spaceId) {
+    return (await this.getSpacePresence(spaceId)).filter(session => session.id === userId);
+  }
+  
+  // Presence is per user: the space hears of a user's first session joining
+  // and last session leaving, and of sessions in between
+  async announceSessionJoined(ws) {
+    const sessions = await this.getUserSessionsInSpace(ws.userId, ws.currentSpaceId);
+    this.broadcastToSpace(ws.currentSpaceId, {
+      type: sessions.length <= 1 ? 'user:join' : 'user:sessionJoined',
+      userId: ws.userId,
+      sessionId: ws.sessionId,
+      userName: ws.userName,
+      userColor: ws.userColor,
+      sessions: Math.max(sessions.length, 1),
+      status: userStatus(sessions.length > 0 ? sessions : [ws]),
+      timestamp: Date.now()
+    }, null, { excludeSessionId: ws.sessionId });
+  }
+  
+  // session: the presence entry of a session that left the space
+  async announceSessionLeft(session) {
+    const remaining = await this.getUserSessionsInSpace(session.id, session.spaceId);
+    this.broadcastToSpace(session.spaceId, {
+      type: remaining.length === 0 ? 'user:leave' : 'user:sessionLeft',
+      userId: session.id,
+      sessionId: session.sessionId,
+      userName: session.name,
+      sessions: remaining.length,
+      status: userStatus(remaining)
+    });
+  }
+  
+  // Status of a session from how long it has been inactive
+  sessionStatus(ws, now = Date.now()) {
+    const inactiveFor = now - ws.lastActivity;
+    if (inactiveFor < this.idleMs) return 'active';
+    return inactiveFor < this.awayMs ? 'idle' : 'away';
+  }
+  
+  // Record activity of a session; an idle or away session becomes active again
+  noteActivity(ws) {
+    const now = Date.now();
+    ws.lastActivity = now;
+    
+    const user = this.activeUsers.get(ws.userId);
+    if (user) {
+      user.lastActivity = Math.max(user.lastActivity || 0, now);
+    }
+    
+    if (ws.status !== 'active') {
+      this.setSessionStatus(ws, 'active').catch(error => {
+        console.error(`Error updating presence of session ${ws.sessionId}:`, error);
+      });
+    }
+  }
+  
+  // Publish a session's new status; the space hears of it when the user's
+  // status (the most present of their sessions) changes
+  async setSessionStatus(ws, status) {
+    ws.status = status;
+    const spaceId = ws.currentSpaceId;
+    
+    const before = spaceId ? userStatus(await this.getUserSessionsInSpace(ws.userId, spaceId)) : null;
+    await this.savePresence(ws);
+    if (!spaceId || ws.currentSpaceId !== spaceId) return;
+    
+    const after = userStatus(await this.getUserSessionsInSpace(ws.userId, spaceId));
+    if (after === before) return;
+    
+    this.broadcastToSpace(spaceId, {
+      type: 'presence:update',
+      userId: ws.userId,
+      sessionId: ws.sessionId,
+      userName: ws.userName,
+      status: after,
+      lastActivity: ws.lastActivity
+    });
+  }
+  
+  async updatePresenceStatuses() {
+    const now = Date.now();
+    
+    for (const ws of this.sessions.values()) {
+      const status = this.sessionStatus(ws, now);
+      if (status !== ws.status) {
+        console.log(`WebSocket: Session ${ws.sessionId} of user ${ws.userId} is now ${status}`);
+        await this.setSessionStatus(ws, status);
+      } else if (ws.lastActivity !== ws.savedActivity) {
+        // Keep the shared last activity reasonably fresh without writing on every message
+        await this.savePresence(ws);
+      }
+    }
   }
   
   setupWebSocketServer() {
     this.wss.on('connection', (ws, req) => {
-      console.log('New WebSocket connection established');
+      // Every connection is its own session, so a user can be connected from several tabs or devices
+      ws.sessionId = crypto.randomUUID();
+      console.log(`New WebSocket connection established (session ${ws.sessionId})`);
       ws.isAlive = true;
       
       ws.on('pong', () => {
@@ -48,6 +337,9 @@ class WebSocketServer {
       });
       
       ws.on('message', async (message) => {
+        // Any message shows the connection is alive
+        ws.isAlive = true;
+        
         try {
           const data = JSON.parse(message);
           
@@ -67,45 +359,65 @@ class WebSocketServer {
             return;
           }
           
+          if (!AUTOMATIC_MESSAGES.has(data.type)) {
+            this.noteActivity(ws);
+          }
+          
           switch (data.type) {
             case 'space:join':
               await this.handleSpaceJoin(ws, data);
               break;
+            case 'space:resume':
+              await this.handleSpaceResume(ws, data);
+              break;
             case 'space:leave':
-              this.handleSpaceLeave(ws);
+              await this.handleSpaceLeave(ws);
               break;
             case 'cursor:move':
               this.handleCursorMove(ws, data);
               break;
             case 'card:lock':
-              this.handleCardLock(ws, data);
+              await this.handleCardLock(ws, data);
               break;
             case 'card:unlock':
-              this.handleCardUnlock(ws, data);
+              await this.handleCardUnlock(ws, data);
+              break;
+            case 'card:lockHeartbeat':
+              await this.handleCardLockHeartbeat(ws, data);
+              break;
+            case 'card:takeOver':
+              await this.handleCardTakeOver(ws, data);
               break;
             case 'card:select':
-              this.handleCardSelect(ws, data);
+              await this.handleCardSelect(ws, data);
               break;
             case 'card:deselect':
-              this.handleCardDeselect(ws, data);
+              await this.handleCardDeselect(ws, data);
               break;
             case 'canvas:clearSelection':
-              this.handleCanvasClearSelection(ws, data);
+              await this.handleCanvasClearSelection(ws, data);
               break;
-            case 'card:created':
-              this.handleCardCreated(ws, data);
+            case 'collab:join':
+              await this.handleCollabJoin(ws, data);
               break;
-            case 'card:updated':
-              this.handleCardUpdated(ws, data);
+            case 'collab:op':
+              this.handleCollabOp(ws, data);
               break;
-            case 'card:deleted':
-              this.handleCardDeleted(ws, data);
+            case 'collab:selection':
+              this.handleCollabSelection(ws, data);
               break;
-            case 'connection:created':
-              this.handleConnectionCreated(ws, data);
+            case 'collab:leave':
+              this.handleCollabLeave(ws, data);
+              break;
+            case 'presence:activity':
+              // Activity the server does not otherwise see (typing, scrolling); noted above
               break;
+            case 'card:created':
+            case 'card:updated':
+            case 'card:deleted':
+            case 'connection:created':
             case 'connection:deleted':
-              this.handleConnectionDeleted(ws, data);
+              this.handleClientChangeEvent(ws, data);
               break;
             default:
               console.log('Unknown message type:', data.type);
@@ -118,12 +430,12 @@ class WebSocketServer {
       
       ws.on('close', () => {
         console.log('WebSocket connection closed');
-        this.handleDisconnect(ws);
+        this.disconnect(ws);
       });
       
       ws.on('error', (error) => {
         console.error('WebSocket error:', error);
-        this.handleDisconnect(ws);
+        this.disconnect(ws);
       });
     });
   }
@@ -151,11 +463,19 @@ class WebSocketServer {
       
       console.log('User authenticated:', user.name);
       
+      // A session belongs to one user
+      if (ws.userId && ws.userId !== userId) {
+        this.sendError(ws, 'Authentication failed: Connection already belongs to another user');
+        return;
+      }
+      
       // Set user data on WebSocket
       ws.userId = userId;
       ws.userName = user.name;
       ws.userEmail = user.email;
-      ws.userColor = this.assignUserColor(userId);
+      ws.userColor = await this.assignUserColor(userId);
+      ws.lastActivity = Date.now();
+      ws.status = 'active';
       
       console.log('WebSocket: User data set:', { 
         userId, 
@@ -163,8 +483,13 @@ class WebSocketServer {
         userColor: ws.userColor 
       });
       
-      // Store socket reference
-      this.userSockets.set(userId, ws);
+      // Store socket reference next to the user's other sessions
+      ws.cursor = { x: 0, y: 0 };
+      this.sessions.set(ws.sessionId, ws);
+      if (!this.userSockets.has(userId)) {
+        this.userSockets.set(userId, new Set());
+      }
+      this.userSockets.get(userId).add(ws);
       
       // Add to active users
       this.activeUsers.set(userId, {
@@ -173,16 +498,17 @@ class WebSocketServer {
         email: user.email,
         color: ws.userColor,
         picture: user.picture,
-        cursor: { x: 0, y: 0 },
-        lastActivity: Date.now()
+        lastActivity: ws.lastActivity
       });
+      await this.savePresence(ws);
       
-      console.log('WebSocket: Total active users:', this.activeUsers.size);
+      console.log(`WebSocket: Total active users: ${this.activeUsers.size}, sessions: ${this.sessions.size}`);
       
       // Send success response
       ws.send(JSON.stringify({
         type: 'auth:success',
         userId: userId,
+        sessionId: ws.sessionId,
         userName: user.name,
         userColor: ws.userColor
       }));
@@ -206,51 +532,52 @@ class WebSocketServer {
       
       // Leave current space if any (but don't broadcast if joining the same space)
       if (ws.currentSpaceId && ws.currentSpaceId !== spaceId) {
-        this.handleSpaceLeave(ws);
+        await this.handleSpaceLeave(ws);
       } else if (ws.currentSpaceId === spaceId) {
         // Already in this space, just send confirmation
         ws.send(JSON.stringify({
           type: 'space:joined',
           spaceId: spaceId,
           name: spaceId === 'public' ? 'Public Space' : 'Space',
-          isPublic: spaceId === 'public'
+          isPublic: spaceId === 'public',
+          role: ws.spaceRole,
+          permissions: [...(ws.spacePermissions || [])],
+          seq: await spaceEventLogService.getSeq(spaceId)
         }));
-        this.sendUsersInSpace(ws, spaceId);
+        await this.sendUsersInSpace(ws, spaceId);
         return;
       }
       
       // Handle public space
       if (spaceId === 'public') {
         ws.currentSpaceId = 'public';
-        this.userSpaces.set(userId, 'public');
+        this.setSpacePermissions(ws, 'public');
+        await this.savePresence(ws);
         
         ws.send(JSON.stringify({
           type: 'space:joined',
           spaceId: 'public',
           name: 'Public Space',
-          isPublic: true
+          isPublic: true,
+          role: ws.spaceRole,
+          permissions: [...ws.spacePermissions],
+          seq: await spaceEventLogService.getSeq('public')
         }));
         
-        // Broadcast to other users that this user joined
-        this.broadcastToSpace('public', {
-          type: 'user:join',
-          userId: userId,
-          userName: ws.userName,
-          userColor: ws.userColor,
-          timestamp: Date.now()
-        }, userId); // Exclude self from broadcast
+        // Broadcast to other users that this user (or another of their sessions) joined
+        await this.announceSessionJoined(ws);
         
         // Send list of all users to the newly joined user
-        this.sendUsersInSpace(ws, 'public');
+        await this.sendUsersInSpace(ws, 'public');
         
         // Send current lock states to the newly joined user
-        this.sendLockStates(ws, 'public');
+        await this.sendLockStates(ws, 'public');
         
         // Send current selection states to the newly joined user
-        this.sendSelectionStates(ws, 'public');
+        await this.sendSelectionStates(ws, 'public');
         
-        console.log(`Total users in public space: ${Array.from(this.userSpaces.values()).filter(s => s === 'public').length}`);
-        console.log(`User ${userId} joined public space`);
+        console.log(`Sessions in public space on this node: ${this.countSessionsInSpace('public')}`);
+        console.log(`User ${userId} joined public space (session ${ws.sessionId})`);
         return;
       }
       
@@ -262,8 +589,8 @@ class WebSocketServer {
         return;
       }
       
-      // Check permissions using helper method
-      if (!space.hasAccess(userId)) {
+      // Check permissions using the permission engine
+      if (!permissionService.can(space, userId, permissions.SPACE_VIEW)) {
         console.log(`WebSocket: User ${userId} denied access to space ${spaceId}`);
         console.log(`WebSocket: Space details - isPublic: ${space.isPublic}, ownerId: ${space.ownerId}, members:`, space.members.map(m => ({ userId: m.userId, role: m.role })));
         this.sendError(ws, 'Access denied to this space');
@@ -274,35 +601,33 @@ class WebSocketServer {
       
       // Join the space
       ws.currentSpaceId = spaceId;
-      this.userSpaces.set(userId, spaceId);
+      this.setSpacePermissions(ws, space);
+      await this.savePresence(ws);
       
       ws.send(JSON.stringify({
         type: 'space:joined',
         spaceId: spaceId,
         name: space.name,
-        isPublic: space.isPublic
+        isPublic: space.isPublic,
+        role: ws.spaceRole,
+        permissions: [...ws.spacePermissions],
+        seq: await spaceEventLogService.getSeq(spaceId)
       }));
       
-      // Broadcast user join to other users in the space (exclude self)
-      this.broadcastToSpace(spaceId, {
-        type: 'user:join',
-        userId: userId,
-        userName: ws.userName,
-        userColor: ws.userColor,
-        timestamp: Date.now()
-      }, userId);
+      // Broadcast user join to other users in the space (exclude this session)
+      await this.announceSessionJoined(ws);
       
       // Send current users list to the newly joined user
-      this.sendUsersInSpace(ws, spaceId);
+      await this.sendUsersInSpace(ws, spaceId);
       
       // Send current lock states to the newly joined user
-      this.sendLockStates(ws, spaceId);
+      await this.sendLockStates(ws, spaceId);
       
       // Send current selection states to the newly joined user
-      this.sendSelectionStates(ws, spaceId);
+      await this.sendSelectionStates(ws, spaceId);
       
-      console.log(`Total users in space ${spaceId}: ${Array.from(this.userSpaces.values()).filter(s => s === spaceId).length}`);
-      console.log(`User ${userId} joined space ${spaceId}`);
+      console.log(`Sessions in space ${spaceId} on this node: ${this.countSessionsInSpace(spaceId)}`);
+      console.log(`User ${userId} joined space ${spaceId} (session ${ws.sessionId})`);
       
     } catch (error) {
       console.error('Error joining space:', error);
@@ -310,42 +635,169 @@ class WebSocketServer {
     }
   }
   
-  handleSpaceLeave(ws) {
+  // Rejoin a space after a dropped connection and receive the events missed
+  // since `lastSeq`, or `space:resync` when they are no longer all available.
+  // `previousSessionId` (the session that dropped) skips its own changes.
+  async handleSpaceResume(ws, data) {
+    const { spaceId, lastSeq, previousSessionId } = data;
+    
+    // Hold live events back until the missed ones are sent
+    ws.pendingEvents = [];
+    const replayedSeqs = new Set();
+    
+    try {
+      await this.handleSpaceJoin(ws, { spaceId });
+      if (ws.currentSpaceId !== spaceId) return; // Join failed and the error was sent
+      
+      const { seq, events, resync } = await spaceEventLogService.since(spaceId, lastSeq);
+      if (resync) {
+        console.log(`WebSocket: Session ${ws.sessionId} cannot resume space ${spaceId} from ${lastSeq} (${resync})`);
+        ws.send(JSON.stringify({
+          type: 'space:resync',
+          spaceId: spaceId,
+          seq: seq,
+          reason: resync
+        }));
+        return;
+      }
+      
+      let replayed = 0;
+      events.forEach(({ seq: eventSeq, message, delivery }) => {
+        replayedSeqs.add(eventSeq);
+        const { excludeUserId, excludeSessionId, ...options } = delivery;
+        if (previousSessionId && excludeSessionId === previousSessionId) return;
+        
+        const messageStr = this.prepareDelivery(message, excludeUserId, options)(ws);
+        if (messageStr) {
+          ws.send(messageStr);
+          replayed++;
+        }
+      });
+      
+      console.log(`WebSocket: Session ${ws.sessionId} resumed space ${spaceId} from ${lastSeq}, replayed ${replayed} events`);
+      ws.send(JSON.stringify({
+        type: 'space:resumed',
+        spaceId: spaceId,
+        seq: Math.max(seq, ...replayedSeqs),
+        replayed: replayed
+      }));
+    } finally {
+      // Send the live events that were not part of the replay
+      const pending = ws.pendingEvents;
+      ws.pendingEvents = null;
+      pending
+        .filter(event => event.seq === undefined || !replayedSeqs.has(event.seq))
+        .forEach(event => ws.send(event.messageStr));
+    }
+  }
+  
+  // Take a session out of its space. The user stays present while they have
+  // other sessions there.
+  async handleSpaceLeave(ws) {
     if (!ws.currentSpaceId || !ws.userId) return;
     
     const spaceId = ws.currentSpaceId;
     const userId = ws.userId;
     const userName = ws.userName;
+    const sessionId = ws.sessionId;
+    const selectedCardId = ws.selectedCardId;
     
-    console.log(`User ${userId} (${userName}) leaving space ${spaceId}`);
+    console.log(`User ${userId} (${userName}) leaving space ${spaceId} (session ${sessionId})`);
     
-    // Remove from space mapping
-    this.userSpaces.delete(userId);
+    ws.currentSpaceId = null;
+    ws.selectedCardId = null;
+    ws.space = null;
+    ws.spaceRole = null;
+    ws.spacePermissions = null;
+    
+    // Leave collaborative editing sessions (their content is saved)
+    collabEditService.leaveAll(sessionId).catch(error => {
+      console.error(`Error leaving editing sessions for session ${sessionId}:`, error);
+    });
     
-    // Clear selected card for this user
-    this.selectedCards.delete(userId);
+    // Clear the session's selected card
+    await this.adapter.hdel(SELECTIONS_KEY, sessionId);
+    if (selectedCardId) {
+      this.broadcastToSpace(spaceId, {
+        type: 'card:deselected',
+        cardId: selectedCardId,
+        userId: userId,
+        sessionId: sessionId,
+        userName: userName
+      });
+    }
     
-    // Broadcast user leave to ALL other users in the space
-    this.broadcastToSpace(spaceId, {
-      type: 'user:leave',
-      userId: userId,
-      userName: userName
+    await this.savePresence(ws);
+    
+    // Broadcast the leave to ALL other users in the space
+    await this.announceSessionLeft({ sessionId, id: userId, name: userName, spaceId });
+    
+    // Unlock any cards locked by this session
+    (await cardLockService.releaseAll(sessionId, spaceId)).forEach(lock => {
+      this.broadcastUnlocked(lock, 'released');
+      console.log(`Unlocked card ${lock.cardId} due to session ${sessionId} leaving space`);
     });
     
-    // Unlock any cards locked by this user
-    this.lockedCards.forEach((lockUserId, cardId) => {
-      if (lockUserId === userId) {
-        this.lockedCards.delete(cardId);
-        this.broadcastToSpace(spaceId, {
-          type: 'card:unlocked',
-          cardId: cardId
+    console.log(`User ${userId} successfully left space ${spaceId} (session ${sessionId})`);
+  }
+  
+  countSessionsInSpace(spaceId) {
+    return [...this.sessions.values()].filter(ws => ws.currentSpaceId === spaceId).length;
+  }
+  
+  // Resolve the socket user's role and permissions in the space they joined
+  setSpacePermissions(ws, space) {
+    ws.space = space;
+    ws.spaceRole = permissionService.getRole(space, ws.userId);
+    ws.spacePermissions = new Set(permissionService.getPermissions(space, ws.userId));
+  }
+  
+  // Reject a message the user's role does not allow
+  requirePermission(ws, permission) {
+    if (ws.spacePermissions && ws.spacePermissions.has(permission)) {
+      return true;
+    }
+    console.log(`WebSocket: User ${ws.userId} denied ${permission} in space ${ws.currentSpaceId}`);
+    this.sendError(ws, permissionService.deniedMessage(permission));
+    return false;
+  }
+  
+  // Re-evaluate the permissions of everyone in a space after its members or
+  // visibility changed. Users who lost access are removed from the space.
+  refreshSpacePermissions(space) {
+    this.refreshLocalSpacePermissions(space);
+    
+    // Other nodes reload the space themselves
+    this.relay({ kind: 'permissions', spaceId: space._id.toString() });
+  }
+  
+  refreshLocalSpacePermissions(space) {
+    const spaceId = space._id.toString();
+    
+    this.sessions.forEach(ws => {
+      const userId = ws.userId;
+      if (ws.currentSpaceId !== spaceId) return;
+      
+      if (!permissionService.can(space, userId, permissions.SPACE_VIEW)) {
+        console.log(`WebSocket: User ${userId} lost access to space ${spaceId}`);
+        this.handleSpaceLeave(ws).catch(error => {
+          console.error(`Error removing user ${userId} from space ${spaceId}:`, error);
         });
-        console.log(`Unlocked card ${cardId} due to user ${userId} leaving space`);
+        ws.send(JSON.stringify({
+          type: 'space:accessRevoked',
+          spaceId: spaceId
+        }));
+        return;
       }
+      
+      this.setSpacePermissions(ws, space);
+      ws.send(JSON.stringify({
+        type: 'space:permissions',
+        spaceId: spaceId,
+        role: ws.spaceRole,
+        permissions: [...ws.spacePermissions]
+      }));
     });
-    
-    ws.currentSpaceId = null;
-    console.log(`User ${userId} successfully left space ${spaceId}`);
   }
   
   handleCursorMove(ws, data) {
@@ -354,17 +806,14 @@ class WebSocketServer {
     const { x, y } = data;
     const userId = ws.userId;
     
-    // Update user cursor
-    const user = this.activeUsers.get(userId);
-    if (user) {
-      user.cursor = { x, y };
-      user.lastActivity = Date.now();
-    }
+    // Update the session's cursor
+    ws.cursor = { x, y };
     
-    // Broadcast cursor position
+    // Broadcast cursor position (each of the user's sessions has its own)
     this.broadcastToSpace(ws.currentSpaceId, {
       type: 'cursor:move',
       userId: userId,
+      sessionId: ws.sessionId,
       userName: ws.userName,
       userColor: ws.userColor,
       x: x,
@@ -372,181 +821,381 @@ class WebSocketServer {
     }, userId);
   }
   
-  handleCardLock(ws, data) {
+  async handleCardLock(ws, data) {
     if (!ws.currentSpaceId || !ws.userId) return;
+    if (!this.requirePermission(ws, permissions.CARD_EDIT)) return;
     
     const { cardId } = data;
-    const userId = ws.userId;
+    const card = await this.findCard(ws, cardId);
+    if (!card) return;
+    if (!this.canEditCard(ws, card)) {
+      this.sendError(ws, permissionService.deniedMessage(permissions.CARD_EDIT));
+      return;
+    }
     
-    // Check if already locked
-    if (this.lockedCards.has(cardId)) {
-      const lockedBy = this.lockedCards.get(cardId);
-      if (lockedBy !== userId) {
-        this.sendError(ws, 'Card is already locked by another user');
-        return;
-      }
+    // Content being edited together cannot be locked by one session
+    if (collabEditService.hasOtherParticipants(cardId, ws.sessionId)) {
+      this.sendError(ws, 'Card is being edited collaboratively');
+      return;
     }
     
-    // Lock the card
-    this.lockedCards.set(cardId, userId);
+    // Lock the card (or renew the session's own lease)
+    if (!(await this.lockCard(ws, cardId))) {
+      this.sendError(ws, 'Card is already locked by another user or session');
+    }
+  }
+  
+  async handleCardUnlock(ws, data) {
+    if (!ws.currentSpaceId || !ws.userId) return;
     
-    this.broadcastToSpace(ws.currentSpaceId, {
-      type: 'card:locked',
+    // Only the holding session can unlock; anything else is silently ignored
+    await this.unlockCard(ws, data.cardId);
+  }
+  
+  // Renew the lease on a lock the session holds
+  async handleCardLockHeartbeat(ws, data) {
+    if (!ws.currentSpaceId || !ws.userId) return;
+    
+    const { cardId } = data;
+    const lock = await cardLockService.renew(cardId, ws.sessionId);
+    
+    if (!lock) {
+      // Expired or taken over in the meantime
+      const current = await cardLockService.getLock(cardId);
+      ws.send(JSON.stringify({
+        type: 'card:lockLost',
+        cardId: cardId,
+        lock: current ? cardLockService.toJSON(current) : null
+      }));
+      return;
+    }
+    
+    ws.send(JSON.stringify({
+      type: 'card:lockRenewed',
       cardId: cardId,
-      userId: userId,
-      userName: ws.userName,
-      userColor: ws.userColor
-    });
+      expiresAt: lock.expiresAt
+    }));
   }
   
-  handleCardUnlock(ws, data) {
+  // Take a card's lock from whoever holds it (users who can edit the card),
+  // including another of the user's own sessions
+  async handleCardTakeOver(ws, data) {
     if (!ws.currentSpaceId || !ws.userId) return;
     
     const { cardId } = data;
-    const userId = ws.userId;
+    const card = await this.findCard(ws, cardId);
+    if (!card) return;
+    if (!this.canEditCard(ws, card)) {
+      this.sendError(ws, permissionService.deniedMessage(permissions.CARD_EDIT));
+      return;
+    }
     
-    // Check if locked by this user
-    if (this.lockedCards.get(cardId) !== userId) {
-      return; // Silently ignore
+    const { lock, previous } = await cardLockService.takeOver(cardId, this.lockHolder(ws));
+    
+    // The lock kept changing on other nodes while retrying
+    if (!lock) {
+      this.sendError(ws, 'Card lock is changing, try again');
+      return;
     }
     
-    // Unlock the card
-    this.lockedCards.delete(cardId);
+    if (previous) {
+      console.log(`User ${ws.userId} took over the lock on card ${cardId} from ${previous.userId} (session ${previous.sessionId})`);
+      this.sendToSession(previous.sessionId, {
+        type: 'card:lockLost',
+        cardId: cardId,
+        lock: cardLockService.toJSON(lock)
+      });
+    }
     
     this.broadcastToSpace(ws.currentSpaceId, {
+      type: 'card:locked',
+      ...cardLockService.toJSON(lock),
+      leaseMs: cardLockService.leaseMs,
+      takenOverFrom: previous ? previous.userId : null,
+      takenOverFromSession: previous ? previous.sessionId : null
+    });
+  }
+  
+  // A live card of the socket's space that the user can see; otherwise tells
+  // the session it was not found and resolves with null
+  async findCard(ws, cardId) {
+    const card = await Card.findOne({ _id: cardId, deletedAt: null }).select('userId spaceId tags visibility approvalStatus').lean();
+    if (!card || (card.spaceId || 'public') !== ws.currentSpaceId || !this.canSeeCard(ws, card)) {
+      this.sendError(ws, 'Card not found');
+      return null;
+    }
+    return card;
+  }
+  
+  // Whether the socket's user may edit a card (role, authorship and visibility)
+  canEditCard(ws, card) {
+    return permissionService.canOnCard(ws.space, card, { id: ws.userId, email: ws.userEmail }, permissions.CARD_EDIT);
+  }
+  
+  lockHolder(ws) {
+    return {
+      userId: ws.userId,
+      sessionId: ws.sessionId,
+      userName: ws.userName,
+      userColor: ws.userColor,
+      spaceId: ws.currentSpaceId
+    };
+  }
+  
+  // Lock a card for the socket's session and tell the space; false if another session holds it
+  async lockCard(ws, cardId) {
+    const { lock } = await cardLockService.acquire(cardId, this.lockHolder(ws));
+    if (!lock) {
+      return false;
+    }
+    
+    this.broadcastToSpace(ws.currentSpaceId, {
+      type: 'card:locked',
+      ...cardLockService.toJSON(lock),
+      leaseMs: cardLockService.leaseMs
+    });
+    return true;
+  }
+  
+  // Release the session's lock on a card, if it holds it
+  async unlockCard(ws, cardId) {
+    const lock = await cardLockService.release(cardId, ws.sessionId);
+    if (lock) {
+      this.broadcastUnlocked(lock, 'released');
+    }
+  }
+  
+  // reason: 'released' or 'expired'
+  broadcastUnlocked(lock, reason) {
+    this.broadcastToSpace(lock.spaceId, {
       type: 'card:unlocked',
-      cardId: cardId
+      cardId: lock.cardId,
+      userId: lock.userId,
+      sessionId: lock.sessionId,
+      reason: reason
+    });
+  }
+  
+  async expireLocks() {
+    (await cardLockService.expire()).forEach(lock => {
+      console.log(`Lock on card ${lock.cardId} held by ${lock.userId} expired`);
+      this.broadcastUnlocked(lock, 'expired');
+    });
+  }
+  
+  // Clear the session's selected card, unlock it and tell the space
+  async deselectCard(ws) {
+    const cardId = ws.selectedCardId;
+    if (!cardId) return;
+    
+    ws.selectedCardId = null;
+    await this.adapter.hdel(SELECTIONS_KEY, ws.sessionId);
+    
+    // Unlock the card if this session locked it
+    await this.unlockCard(ws, cardId);
+    
+    this.broadcastToSpace(ws.currentSpaceId, {
+      type: 'card:deselected',
+      cardId: cardId,
+      userId: ws.userId,
+      sessionId: ws.sessionId,
+      userName: ws.userName
     });
   }
 
-  handleCardSelect(ws, data) {
+  // Each session selects at most one card; the user's sessions select independently
+  async handleCardSelect(ws, data) {
     if (!ws.currentSpaceId || !ws.userId) return;
     
     const { cardId } = data;
     const userId = ws.userId;
     
-    console.log(`User ${userId} selecting card ${cardId} in space ${ws.currentSpaceId}`);
+    console.log(`User ${userId} selecting card ${cardId} in space ${ws.currentSpaceId} (session ${ws.sessionId})`);
     
-    // Check if user already has a selected card
-    const currentSelected = this.selectedCards.get(userId);
-    if (currentSelected && currentSelected !== cardId) {
-      // Deselect previous card first
-      this.selectedCards.delete(userId);
-      
-      // Broadcast deselection of previous card
-      this.broadcastToSpace(ws.currentSpaceId, {
-        type: 'card:deselected',
-        cardId: currentSelected,
-        userId: userId,
-        userName: ws.userName
-      });
-      
-      // Also unlock the previous card
-      if (this.lockedCards.get(currentSelected) === userId) {
-        this.lockedCards.delete(currentSelected);
-        this.broadcastToSpace(ws.currentSpaceId, {
-          type: 'card:unlocked',
-          cardId: currentSelected
-        });
-      }
+    const card = await this.findCard(ws, cardId);
+    if (!card) return;
+    
+    // Deselect (and unlock) the session's previous card first
+    if (ws.selectedCardId && ws.selectedCardId !== cardId) {
+      await this.deselectCard(ws);
     }
     
     // Select new card
-    this.selectedCards.set(userId, cardId);
-    
-    // Lock the card
-    this.lockedCards.set(cardId, userId);
-    
-    // Broadcast selection and lock
-    this.broadcastToSpace(ws.currentSpaceId, {
-      type: 'card:selected',
+    ws.selectedCardId = cardId;
+    await this.adapter.hset(SELECTIONS_KEY, ws.sessionId, JSON.stringify({
       cardId: cardId,
+      spaceId: ws.currentSpaceId,
       userId: userId,
       userName: ws.userName,
-      userColor: ws.userColor
-    });
+      userColor: ws.userColor,
+      nodeId: this.nodeId
+    }));
     
+    // Broadcast selection
     this.broadcastToSpace(ws.currentSpaceId, {
-      type: 'card:locked',
+      type: 'card:selected',
       cardId: cardId,
       userId: userId,
+      sessionId: ws.sessionId,
       userName: ws.userName,
       userColor: ws.userColor
     });
+    
+    // Only users who can edit the card lock it while it is selected
+    if (!this.canEditCard(ws, card)) {
+      return;
+    }
+    
+    // A card locked by another session stays theirs
+    await this.lockCard(ws, cardId);
   }
 
-  handleCardDeselect(ws, data) {
+  async handleCardDeselect(ws, data) {
     if (!ws.currentSpaceId || !ws.userId) return;
     
     const { cardId } = data;
-    const userId = ws.userId;
     
-    console.log(`User ${userId} deselecting card ${cardId} in space ${ws.currentSpaceId}`);
+    console.log(`User ${ws.userId} deselecting card ${cardId} in space ${ws.currentSpaceId} (session ${ws.sessionId})`);
     
-    // Check if this card is selected by this user
-    if (this.selectedCards.get(userId) !== cardId) {
+    // Check if this card is selected by this session
+    if (ws.selectedCardId !== cardId) {
       return; // Silently ignore
     }
     
-    // Deselect card
-    this.selectedCards.delete(userId);
+    await this.deselectCard(ws);
+  }
+  
+  async handleCanvasClearSelection(ws, data) {
+    if (!ws.currentSpaceId || !ws.userId) return;
     
-    // Unlock card
-    if (this.lockedCards.get(cardId) === userId) {
-      this.lockedCards.delete(cardId);
-      
-      this.broadcastToSpace(ws.currentSpaceId, {
-        type: 'card:unlocked',
-        cardId: cardId
-      });
-    }
+    console.log(`User ${ws.userId} clearing selection in space ${ws.currentSpaceId} (session ${ws.sessionId})`);
     
-    // Broadcast deselection
-    this.broadcastToSpace(ws.currentSpaceId, {
-      type: 'card:deselected',
-      cardId: cardId,
-      userId: userId,
-      userName: ws.userName
-    });
+    const selectedCardId = ws.selectedCardId;
+    if (selectedCardId) {
+      await this.deselectCard(ws);
+      console.log(`User ${ws.userId} cleared selection of card ${selectedCardId}`);
+    }
+  }
+  
+  // Collaborative editing of card content (see services/collabEditService.js)
+  
+  // Editing session of a card the socket's user may edit live, or null after sending the error
+  getCollabSession(ws, cardId, { join = false } = {}) {
+    const session = collabEditService.getSession(cardId);
+    if (!session || (!join && !session.participants.has(ws.sessionId))) {
+      this.sendError(ws, 'Join the editing session of this card first');
+      return null;
+    }
+    if (session.spaceId !== ws.currentSpaceId ||
+        !permissionService.canOnCard(ws.space, session.card, { id: ws.userId, email: ws.userEmail }, permissions.CARD_EDIT)) {
+      this.sendError(ws, permissionService.deniedMessage(permissions.CARD_EDIT));
+      return null;
+    }
+    return session;
+  }
+  
+  sendCollabState(ws, session, extra = {}) {
+    ws.send(JSON.stringify({
+      type: 'collab:state',
+      cardId: session.cardId,
+      content: session.content,
+      version: session.version,
+      participants: collabEditService.getParticipants(session),
+      ...extra
+    }));
   }
   
-  handleCanvasClearSelection(ws, data) {
+  async handleCollabJoin(ws, data) {
     if (!ws.currentSpaceId || !ws.userId) return;
     
-    const userId = ws.userId;
+    const { cardId } = data;
+    try {
+      await collabEditService.open(cardId);
+    } catch (error) {
+      this.sendError(ws, error.status ? error.message : 'Failed to open card for editing');
+      return;
+    }
     
-    console.log(`User ${userId} clearing all selections in space ${ws.currentSpaceId}`);
+    if (!this.getCollabSession(ws, cardId, { join: true })) return;
     
-    // Get user's currently selected card
-    const selectedCardId = this.selectedCards.get(userId);
+    // Live edits would bypass review
+    if (cardApprovalService.requiresReview(ws.space, ws.userId)) {
+      this.sendError(ws, 'Changes in this space need approval; edit the card instead of joining a live session');
+      return;
+    }
     
-    if (selectedCardId) {
-      // Deselect user's card
-      this.selectedCards.delete(userId);
-      
-      // Unlock the card if it was locked by this user
-      if (this.lockedCards.get(selectedCardId) === userId) {
-        this.lockedCards.delete(selectedCardId);
-        
-        this.broadcastToSpace(ws.currentSpaceId, {
-          type: 'card:unlocked',
-          cardId: selectedCardId
-        });
-      }
-      
-      // Broadcast deselection
-      this.broadcastToSpace(ws.currentSpaceId, {
-        type: 'card:deselected',
-        cardId: selectedCardId,
-        userId: userId,
-        userName: ws.userName
+    if (await cardLockService.getLockByOtherSession(cardId, ws.sessionId)) {
+      this.sendError(ws, 'Card is locked by another user or session');
+      return;
+    }
+    
+    const { session, merged, mergeError } = await collabEditService.join(cardId, {
+      id: ws.userId,
+      sessionId: ws.sessionId,
+      name: ws.userName,
+      color: ws.userColor
+    }, {
+      version: data.version,
+      baseContent: data.baseContent,
+      operations: data.operations
+    });
+    
+    console.log(`User ${ws.userId} joined editing session of card ${cardId} (${session.participants.size} editing)`);
+    this.sendCollabState(ws, session, { merged, mergeError });
+  }
+  
+  handleCollabOp(ws, data) {
+    if (!ws.currentSpaceId || !ws.userId) return;
+    
+    const session = this.getCollabSession(ws, data.cardId);
+    if (!session) return;
+    
+    try {
+      const { version } = collabEditService.applyOperation(session, ws.sessionId, data.operation, {
+        baseVersion: data.version,
+        baseContent: data.baseContent,
+        selection: data.selection
       });
-      
-      console.log(`User ${userId} cleared selection of card ${selectedCardId}`);
+      ws.send(JSON.stringify({
+        type: 'collab:ack',
+        cardId: session.cardId,
+        version
+      }));
+    } catch (error) {
+      if (!error.status) {
+        console.error(`Error applying edit to card ${session.cardId}:`, error);
+      }
+      // The client's copy cannot be reconciled with this operation: send the current one
+      this.sendCollabState(ws, session, { rejected: true, message: error.status ? error.message : 'Failed to apply edit' });
     }
   }
   
-  handleDisconnect(ws) {
+  handleCollabSelection(ws, data) {
+    if (!ws.currentSpaceId || !ws.userId) return;
+    
+    const session = collabEditService.getSession(data.cardId);
+    if (!session || !session.participants.has(ws.sessionId)) return;
+    
+    collabEditService.setSelection(session, ws.sessionId, data.selection, data.version);
+  }
+  
+  handleCollabLeave(ws, data) {
+    if (!ws.userId) return;
+    
+    collabEditService.leave(data.cardId, ws.sessionId).catch(error => {
+      console.error(`Error leaving editing session of card ${data.cardId}:`, error);
+    });
+  }
+  
+  disconnect(ws) {
+    this.handleDisconnect(ws).catch(error => {
+      console.error(`Error cleaning up after session ${ws.sessionId} of user ${ws.userId}:`, error);
+    });
+  }
+  
+  // Clean up the disconnecting session only; the user's other sessions keep
+  // their presence, selections and locks
+  async handleDisconnect(ws) {
     if (!ws.userId) {
       console.log('WebSocket: Disconnect called for unauthenticated connection');
       return;
@@ -556,89 +1205,208 @@ class WebSocketServer {
     const userName = ws.userName;
     const currentSpace = ws.currentSpaceId;
     
-    console.log(`WebSocket: User ${userId} (${userName}) disconnected from space ${currentSpace || 'none'}`);
+    console.log(`WebSocket: User ${userId} (${userName}) disconnected from space ${currentSpace || 'none'} (session ${ws.sessionId})`);
     
     // Leave current space first
-    this.handleSpaceLeave(ws);
+    await this.handleSpaceLeave(ws);
     
     // Remove from all mappings
-    this.activeUsers.delete(userId);
-    this.userSockets.delete(userId);
-    this.userSpaces.delete(userId);
-    this.selectedCards.delete(userId);
-    
-    // Clean up any card locks by this user
-    let unlockedCards = 0;
-    this.lockedCards.forEach((lockUserId, cardId) => {
-      if (lockUserId === userId) {
-        this.lockedCards.delete(cardId);
-        unlockedCards++;
-        
-        // Broadcast unlock to all users in the current space
-        if (currentSpace) {
-          this.broadcastToSpace(currentSpace, {
-            type: 'card:unlocked',
-            cardId: cardId
-          });
-        }
+    this.sessions.delete(ws.sessionId);
+    const sockets = this.userSockets.get(userId);
+    if (sockets) {
+      sockets.delete(ws);
+      if (sockets.size === 0) {
+        this.userSockets.delete(userId);
+        this.activeUsers.delete(userId);
+      }
+    }
+    await this.adapter.hdel(PRESENCE_KEY, ws.sessionId);
+    
+    // Clean up any card locks held by this session
+    const unlockedCards = await cardLockService.releaseAll(ws.sessionId);
+    unlockedCards.forEach(lock => this.broadcastUnlocked(lock, 'released'));
+    
+    console.log(`WebSocket: Cleaned up session ${ws.sessionId} of user ${userId} - unlocked ${unlockedCards.length} cards, active users: ${this.activeUsers.size}, sessions: ${this.sessions.size}`);
+  }
+  
+  // Whether the socket's user may see a card (card and section visibility rules)
+  canSeeCard(ws, card) {
+    return !!ws.space && permissionService.canViewCard(ws.space, card, { id: ws.userId, email: ws.userEmail });
+  }
+  
+  // Send a message to everyone in a space, on every node. Messages other than
+  // presence are numbered (`seq`) and kept so dropped clients can resume.
+  // options.card: only deliver to users who can see this card (e.g. comment events)
+  // options.permission: only deliver to users holding this permission in the space
+  // options.excludeSessionId: skip one session (e.g. the one a change came from) but
+  // not the user's other sessions
+  broadcastToSpace(spaceId, message, excludeUserId = null, { card = null, permission = null, excludeSessionId = null } = {}) {
+    const options = { card, permission, excludeSessionId };
+    
+    // Numbering is asynchronous: queue the space's broadcasts so they go out in order
+    const previous = this.spaceBroadcasts.get(spaceId) || Promise.resolve();
+    const next = previous
+      .then(() => this.publishToSpace(spaceId, message, excludeUserId, options))
+      .catch(error => console.error(`Error broadcasting ${message.type} to space ${spaceId}:`, error));
+    this.spaceBroadcasts.set(spaceId, next);
+    next.then(() => {
+      if (this.spaceBroadcasts.get(spaceId) === next) {
+        this.spaceBroadcasts.delete(spaceId);
       }
     });
+    return next;
+  }
+  
+  async publishToSpace(spaceId, message, excludeUserId, options) {
+    const event = EPHEMERAL_EVENTS.has(message.type)
+      ? message
+      : await spaceEventLogService.append(spaceId, message, { excludeUserId, ...options });
     
-    console.log(`WebSocket: Cleaned up user ${userId} - unlocked ${unlockedCards} cards, active users: ${this.activeUsers.size}, total spaces: ${this.userSpaces.size}`);
+    this.deliverToSpace(spaceId, event, excludeUserId, options);
+    this.relay({ kind: 'broadcast', spaceId, message: event, excludeUserId, options });
   }
   
-  broadcastToSpace(spaceId, message, excludeUserId = null) {
+  // What a session receives of a broadcast: a function returning the message
+  // to send to a socket, or null when it is not for them
+  prepareDelivery(message, excludeUserId = null, { card = null, permission = null, excludeSessionId = null } = {}) {
     const messageStr = JSON.stringify(message);
+    
+    // Restricted cards only go to users allowed to see them; users who can no
+    // longer see an updated card are told to remove it
+    const restrictedCard = card || (message.card && ['card:created', 'card:updated'].includes(message.type) ? message.card : null);
+    const hiddenMessageStr = restrictedCard && message.type === 'card:updated'
+      ? JSON.stringify({ type: 'card:deleted', cardId: restrictedCard.id || restrictedCard._id, userId: message.userId, userName: message.userName, seq: message.seq })
+      : null;
+    
+    return ws => {
+      if (ws.userId === excludeUserId || ws.sessionId === excludeSessionId) {
+        return null;
+      }
+      if (permission && !(ws.spacePermissions && ws.spacePermissions.has(permission))) {
+        return null;
+      }
+      if (restrictedCard && !this.canSeeCard(ws, restrictedCard)) {
+        return hiddenMessageStr;
+      }
+      return messageStr;
+    };
+  }
+  
+  // Send a message to the sessions in a space connected to this node
+  deliverToSpace(spaceId, message, excludeUserId = null, options = {}) {
+    const messageFor = this.prepareDelivery(message, excludeUserId, options);
     let sentCount = 0;
     
     // Only log non-cursor messages to avoid console spam
     if (message.type !== 'cursor:move') {
-      console.log(`Broadcasting to space ${spaceId}:`, message.type, excludeUserId ? `(excluding ${excludeUserId})` : '(to all)');
+      const excluded = excludeUserId ? `(excluding ${excludeUserId})` : options.excludeSessionId ? `(excluding session ${options.excludeSessionId})` : '(to all)';
+      console.log(`Broadcasting to space ${spaceId}:`, message.type, message.seq ? `#${message.seq}` : '', excluded);
     }
     
-    this.userSpaces.forEach((userSpaceId, userId) => {
-      if (userSpaceId === spaceId && userId !== excludeUserId) {
-        const ws = this.userSockets.get(userId);
-        if (ws && ws.readyState === WebSocket.OPEN) {
-          ws.send(messageStr);
-          sentCount++;
-          if (message.type !== 'cursor:move') {
-            console.log(`  -> Sent to user ${userId}`);
-          }
-        } else if (message.type !== 'cursor:move') {
-          console.log(`  -> Failed to send to user ${userId} (socket not ready)`);
+    this.sessions.forEach((ws, sessionId) => {
+      if (ws.currentSpaceId !== spaceId) {
+        return;
+      }
+      if (ws.readyState !== WebSocket.OPEN) {
+        if (message.type !== 'cursor:move') {
+          console.log(`  -> Failed to send to user ${ws.userId} (session ${sessionId}, socket not ready)`);
         }
+        return;
+      }
+      
+      const messageStr = messageFor(ws);
+      if (!messageStr) {
+        return;
+      }
+      
+      // A resuming session gets live events after the ones it missed
+      if (ws.pendingEvents) {
+        ws.pendingEvents.push({ seq: message.seq, messageStr });
+      } else {
+        ws.send(messageStr);
+      }
+      sentCount++;
+      if (message.type !== 'cursor:move') {
+        console.log(`  -> Sent to user ${ws.userId} (session ${sessionId})`);
       }
     });
     
     if (message.type !== 'cursor:move') {
-      console.log(`Broadcast sent to ${sentCount} users in space ${spaceId}`);
-    }
-  }
-  
-  sendUsersInSpace(ws, spaceId) {
-    const users = [];
-    let totalInSpace = 0;
-    
-    this.userSpaces.forEach((userSpaceId, userId) => {
-      if (userSpaceId === spaceId) {
-        totalInSpace++;
-        const user = this.activeUsers.get(userId);
-        if (user) {
-          users.push({
-            id: user.id,
-            name: user.name,
-            color: user.color,
-            picture: user.picture,
-            cursor: user.cursor || { x: 0, y: 0 }
-          });
-        } else {
-          console.warn(`WebSocket: User ${userId} in space ${spaceId} but not in activeUsers`);
-        }
+      console.log(`Broadcast sent to ${sentCount} sessions in space ${spaceId}`);
+    }
+  }
+  
+  // Send a message to all of a user's sessions, wherever they are; returns
+  // whether this node delivered it (it is relayed to the other nodes as well,
+  // which may hold more of the user's sessions)
+  sendToUser(userId, message) {
+    const delivered = this.deliverToUser(userId, message);
+    this.relay({ kind: 'user', userId: userId.toString(), message });
+    return delivered;
+  }
+  
+  deliverToUser(userId, message) {
+    const sockets = [...(this.userSockets.get(userId.toString()) || [])].filter(ws => ws.readyState === WebSocket.OPEN);
+    const messageStr = JSON.stringify(message);
+    sockets.forEach(ws => ws.send(messageStr));
+    return sockets.length > 0;
+  }
+  
+  // Send a message to one session, wherever it is; returns whether this node delivered it
+  sendToSession(sessionId, message) {
+    if (this.deliverToSession(sessionId, message)) {
+      return true;
+    }
+    this.relay({ kind: 'session', sessionId, message });
+    return false;
+  }
+  
+  deliverToSession(sessionId, message) {
+    const ws = this.sessions.get(sessionId);
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    ws.send(JSON.stringify(message));
+    return true;
+  }
+  
+  /**
+   * Users present in a space, on any node, each listed once with their
+   * sessions, status and latest activity
+   */
+  async getSpaceUsers(spaceId) {
+    const users = new Map();
+    const sessionsOf = new Map();
+    
+    (await this.getSpacePresence(spaceId)).forEach(session => {
+      if (!users.has(session.id)) {
+        users.set(session.id, {
+          id: session.id,
+          name: session.name,
+          color: session.color,
+          picture: session.picture,
+          sessions: [],
+          lastActivity: null
+        });
+        sessionsOf.set(session.id, []);
       }
+      const user = users.get(session.id);
+      user.sessions.push(session.sessionId);
+      user.lastActivity = Math.max(user.lastActivity || 0, session.lastActivity || 0) || null;
+      sessionsOf.get(session.id).push(session);
     });
     
-    console.log(`WebSocket: Sending ${users.length} users to newly joined user in space ${spaceId} (total mapped: ${totalInSpace})`);
+    return [...users.values()].map(user => ({ ...user, status: userStatus(sessionsOf.get(user.id)) }));
+  }
+  
+  async sendUsersInSpace(ws, spaceId) {
+    const users = (await this.getSpaceUsers(spaceId)).map(user => {
+      // Cursors are only known for sessions on this node; the others' arrive with their next move
+      const local = user.sessions.map(sessionId => this.sessions.get(sessionId)).find(session => session && session.cursor);
+      return { ...user, cursor: local ? local.cursor : { x: 0, y: 0 } };
+    });
+    
+    console.log(`WebSocket: Sending ${users.length} users to newly joined session in space ${spaceId}`);
     
     ws.send(JSON.stringify({
       type: 'users:list',
@@ -646,31 +1414,11 @@ class WebSocketServer {
     }));
   }
   
-  sendLockStates(ws, spaceId) {
-    const lockStates = [];
-    
-    // Get users in this space
-    const usersInSpace = new Set();
-    this.userSpaces.forEach((userSpaceId, userId) => {
-      if (userSpaceId === spaceId) {
-        usersInSpace.add(userId);
-      }
-    });
-    
-    // Find locked cards by users in this space
-    this.lockedCards.forEach((lockUserId, cardId) => {
-      if (usersInSpace.has(lockUserId)) {
-        const user = this.activeUsers.get(lockUserId);
-        if (user) {
-          lockStates.push({
-            cardId: cardId,
-            userId: lockUserId,
-            userName: user.name,
-            userColor: user.color
-          });
-        }
-      }
-    });
+  async sendLockStates(ws, spaceId) {
+    const lockStates = (await cardLockService.getSpaceLocks(spaceId)).map(lock => ({
+      ...cardLockService.toJSON(lock),
+      leaseMs: cardLockService.leaseMs
+    }));
     
     console.log(`WebSocket: Sending ${lockStates.length} lock states to newly joined user in space ${spaceId}`);
     
@@ -682,29 +1430,21 @@ class WebSocketServer {
     }
   }
   
-  sendSelectionStates(ws, spaceId) {
+  async sendSelectionStates(ws, spaceId) {
+    const selections = await this.adapter.hgetall(SELECTIONS_KEY);
     const selectionStates = [];
     
-    // Get users in this space
-    const usersInSpace = new Set();
-    this.userSpaces.forEach((userSpaceId, userId) => {
-      if (userSpaceId === spaceId) {
-        usersInSpace.add(userId);
-      }
-    });
-    
-    // Find selected cards by users in this space
-    this.selectedCards.forEach((cardId, userId) => {
-      if (usersInSpace.has(userId)) {
-        const user = this.activeUsers.get(userId);
-        if (user) {
-          selectionStates.push({
-            cardId: cardId,
-            userId: userId,
-            userName: user.name,
-            userColor: user.color
-          });
-        }
+    // Find selected cards by sessions in this space
+    Object.entries(selections).forEach(([sessionId, raw]) => {
+      const selection = parse(raw);
+      if (selection.spaceId === spaceId) {
+        selectionStates.push({
+          cardId: selection.cardId,
+          userId: selection.userId,
+          sessionId: sessionId,
+          userName: selection.userName,
+          userColor: selection.userColor
+        });
       }
     });
     
@@ -718,11 +1458,16 @@ class WebSocketServer {
     }
   }
   
-  assignUserColor(userId) {
-    const usedColors = new Set();
-    this.activeUsers.forEach(user => {
-      usedColors.add(user.color);
-    });
+  // All of a user's sessions share one color
+  async assignUserColor(userId) {
+    const presence = Object.values(await this.adapter.hgetall(PRESENCE_KEY)).map(parse);
+    const own = presence.find(session => session.id === userId);
+    if (own) {
+      return own.color;
+    }
+    
+    // Colors in use by users connected to any node
+    const usedColors = new Set(presence.map(session => session.color));
     
     const availableColors = this.userColors.filter(color => !usedColors.has(color));
     
@@ -740,86 +1485,11 @@ class WebSocketServer {
     }));
   }
   
-  // Card and connection event handlers
-  handleCardCreated(ws, data) {
-    if (!ws.currentSpaceId) return;
-    
-    console.log(`Card created in space ${ws.currentSpaceId}:`, data.card.id);
-    
-    // Broadcast to all users in the same space except the sender
-    this.broadcastToSpace(ws.currentSpaceId, {
-      type: 'card:created',
-      card: data.card,
-      userId: ws.userId,
-      userName: ws.userName
-    }, ws.userId);
-  }
-
-  handleCardUpdated(ws, data) {
-    if (!ws.currentSpaceId) {
-      console.warn(`Card update ignored - no current space for user ${ws.userId}`);
-      return;
-    }
-    
-    console.log(`Card updated in space ${ws.currentSpaceId}:`, {
-      cardId: data.card.id,
-      cardTitle: data.card.title,
-      cardPosition: data.card.position,
-      userId: ws.userId,
-      userName: ws.userName
-    });
-    
-    // Broadcast to all users in the same space except the sender
-    this.broadcastToSpace(ws.currentSpaceId, {
-      type: 'card:updated',
-      card: data.card,
-      userId: ws.userId,
-      userName: ws.userName
-    }, ws.userId);
-    
-    console.log(`Card update broadcasted to space ${ws.currentSpaceId} by user ${ws.userName}`);
-  }
-
-  handleCardDeleted(ws, data) {
-    if (!ws.currentSpaceId) return;
-    
-    console.log(`Card deleted in space ${ws.currentSpaceId}:`, data.cardId);
-    
-    // Broadcast to all users in the same space except the sender
-    this.broadcastToSpace(ws.currentSpaceId, {
-      type: 'card:deleted',
-      cardId: data.cardId,
-      userId: ws.userId,
-      userName: ws.userName
-    }, ws.userId);
-  }
-
-  handleConnectionCreated(ws, data) {
-    if (!ws.currentSpaceId) return;
-    
-    console.log(`Connection created in space ${ws.currentSpaceId}:`, data.connection.id);
-    
-    // Broadcast to all users in the same space except the sender
-    this.broadcastToSpace(ws.currentSpaceId, {
-      type: 'connection:created',
-      connection: data.connection,
-      userId: ws.userId,
-      userName: ws.userName
-    }, ws.userId);
-  }
-
-  handleConnectionDeleted(ws, data) {
-    if (!ws.currentSpaceId) return;
-    
-    console.log(`Connection deleted in space ${ws.currentSpaceId}:`, data.connectionId);
-    
-    // Broadcast to all users in the same space except the sender
-    this.broadcastToSpace(ws.currentSpaceId, {
-      type: 'connection:deleted',
-      connectionId: data.connectionId,
-      userId: ws.userId,
-      userName: ws.userName
-    }, ws.userId);
+  // Card and connection events are broadcast by the REST API once a change
+  // is saved (see controllers/cardController.js); copies sent by clients are
+  // not relayed, so nobody can announce changes that were not made.
+  handleClientChangeEvent(ws, data) {
+    console.log(`WebSocket: Ignoring ${data.type} from user ${ws.userId} (session ${ws.sessionId}); saved changes are broadcast by the server`);
   }
   
   // Cleanup method
@@ -827,6 +1497,15 @@ class WebSocketServer {
     if (this.heartbeatInterval) {
       clearInterval(this.heartbeatInterval);
     }
+    if (this.lockExpiryInterval) {
+      clearInterval(this.lockExpiryInterval);
+    }
+    if (this.presenceInterval) {
+      clearInterval(this.presenceInterval);
+    }
+    if (this.nodeInterval) {
+      clearInterval(this.nodeInterval);
+    }
     this.wss.close();
   }
 }